@@ -0,0 +1,94 @@
+const cron = require("node-cron");
+
+// Configured in .env (bot-wide; the pruning is about database size, not guild policy):
+//   ACTIVITY_RETENTION_DAYS  days of raw activity_log rows to keep (default 30); older
+//                            rows are folded into daily totals (activity_daily)
+//   ACTIVITY_PRUNE_CRON      5-field cron for the pruning job (default daily 04:30), "off" to disable
+//   ACTIVITY_VACUUM          incremental (default) | full | off: how freed pages go back to the OS
+const DEFAULT_RETENTION_DAYS = 30;
+const DEFAULT_PRUNE_CRON = "30 4 * * *";
+const VACUUM_MODES = ["incremental", "full", "off"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function retentionDays() {
+  const n = Number(process.env.ACTIVITY_RETENTION_DAYS);
+  return Number.isInteger(n) && n >= 1 ? n : DEFAULT_RETENTION_DAYS;
+}
+
+function vacuumMode() {
+  const mode = (process.env.ACTIVITY_VACUUM || "incremental").toLowerCase();
+  return VACUUM_MODES.includes(mode) ? mode : "incremental";
+}
+
+/**
+ * Activity pruning for one database (see createDb).
+ */
+function createActivityRetention({ db }) {
+  const { sqlite, rollupActivityBefore } = db;
+
+  /**
+   * Give freed pages back to the OS. Incremental mode needs auto_vacuum = INCREMENTAL,
+   * which an existing database only picks up through one full VACUUM (done once, here).
+   * VACUUM blocks the bot while it runs, so it only happens after a prune freed something.
+   */
+  function vacuum(mode) {
+    if (mode === "off") return "off";
+
+    if (mode === "incremental" && sqlite.pragma("auto_vacuum", { simple: true }) === 2) {
+      sqlite.pragma("incremental_vacuum");
+      return "incremental";
+    }
+
+    if (mode === "incremental") {
+      console.log("[activity] Switching the database to incremental auto-vacuum (one-time full VACUUM)…");
+      sqlite.pragma("auto_vacuum = INCREMENTAL");
+    }
+    sqlite.exec("VACUUM");
+    return "full";
+  }
+
+  /**
+   * Roll up and delete raw activity older than the retention window (cut at a UTC
+   * midnight, so each day lives in exactly one of the two tables), then vacuum.
+   * Returns { rows, days, vacuum }.
+   */
+  function pruneActivity(atMs = Date.now()) {
+    const today = Date.parse(`${new Date(atMs).toISOString().slice(0, 10)}T00:00:00Z`);
+    const cutoff = today - retentionDays() * DAY_MS;
+
+    const { rows, days } = rollupActivityBefore(cutoff);
+    const vacuumed = rows ? vacuum(vacuumMode()) : "skipped";
+    if (rows) {
+      console.log(`[activity] Rolled up ${rows} raw row(s) over ${days} day(s) before ${new Date(cutoff).toISOString().slice(0, 10)} (vacuum: ${vacuumed})`);
+    }
+    return { rows, days, vacuum: vacuumed };
+  }
+
+  function startActivityRetention() {
+    const expr = (process.env.ACTIVITY_PRUNE_CRON || DEFAULT_PRUNE_CRON).trim();
+    if (expr.toLowerCase() === "off") return;
+
+    if (expr.split(/\s+/).length !== 5 || !cron.validate(expr)) {
+      console.error(`[activity] Invalid ACTIVITY_PRUNE_CRON "${expr}"; activity pruning is off.`);
+      return;
+    }
+
+    cron.schedule(expr, () => {
+      try {
+        pruneActivity();
+      } catch (err) {
+        console.error("[activity] prune failed:", err?.message || err);
+      }
+    });
+  }
+
+  return {
+    pruneActivity,
+    startActivityRetention,
+  };
+}
+
+module.exports = {
+  createActivityRetention,
+};
@@ -0,0 +1,191 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const cron = require("node-cron");
+const { backupDir } = require("./db");
+
+// Configured in .env (bot-wide, not per guild):
+//   BACKUP_DIR       destination directory (default: ./backups next to the database)
+//   BACKUP_CRON      5-field cron for scheduled backups (default daily 03:30), "off" to disable
+//   BACKUP_TIMEZONE  timezone for BACKUP_CRON (default: host time)
+//   BACKUP_KEEP      number of backups to keep (default 7)
+//   BACKUP_KEEP_PREMIGRATION  number of pre-migration snapshots to keep (default 3)
+//   BOT_OWNER_IDS    comma-separated user IDs allowed to use /backup (default: the application owner/team)
+const DEFAULT_BACKUP_CRON = "30 3 * * *";
+const DEFAULT_BACKUP_KEEP = 7;
+const DEFAULT_PREMIGRATION_KEEP = 3;
+
+// Backup file names (UTC times), by kind; the two groups are the date and time.
+//   scheduled:    xpbot-20261019-033000.sqlite (scheduled and /backup now)
+//   premigration: xpbot-premigration-v3-20261019T033000.sqlite (written before schema upgrades)
+const BACKUP_NAME_RES = {
+  scheduled: /^xpbot-(\d{8})-(\d{6})\.sqlite$/,
+  premigration: /^xpbot-premigration-v\d+-(\d{8})T(\d{6})\.sqlite$/,
+};
+
+function keepFromEnv(value, fallback) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 1 ? n : fallback;
+}
+
+function backupKeep() {
+  return keepFromEnv(process.env.BACKUP_KEEP, DEFAULT_BACKUP_KEEP);
+}
+
+function premigrationKeep() {
+  return keepFromEnv(process.env.BACKUP_KEEP_PREMIGRATION, DEFAULT_PREMIGRATION_KEEP);
+}
+
+function parseBackupName(name) {
+  for (const [kind, re] of Object.entries(BACKUP_NAME_RES)) {
+    const m = re.exec(name);
+    if (m) return { kind, stamp: `${m[1]}${m[2]}` };
+  }
+  return null;
+}
+
+function backupName(t) {
+  const iso = new Date(t).toISOString(); // 2026-10-19T03:30:00.000Z
+  return `xpbot-${iso.slice(0, 10).replace(/-/g, "")}-${iso.slice(11, 19).replace(/:/g, "")}.sqlite`;
+}
+
+/**
+ * Backups in the destination directory, newest first:
+ * [{ name, file, kind: "scheduled" | "premigration", size, createdAt }].
+ */
+function listBackups() {
+  const dir = backupDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(name => ({ name, parsed: parseBackupName(name) }))
+    .filter(b => b.parsed)
+    .sort((a, b) => b.parsed.stamp.localeCompare(a.parsed.stamp) || b.name.localeCompare(a.name))
+    .map(({ name, parsed }) => {
+      const file = path.join(dir, name);
+      const stat = fs.statSync(file);
+      return { name, file, kind: parsed.kind, size: stat.size, createdAt: stat.mtimeMs };
+    });
+}
+
+// Make the copy a standalone file (it inherits WAL mode, which would leave -wal/-shm
+// files next to it) and run PRAGMA integrity_check; returns "ok" or the first problems.
+function finalizeBackup(file) {
+  const copy = new Database(file, { fileMustExist: true });
+  try {
+    copy.pragma("journal_mode = DELETE");
+    const rows = copy.pragma("integrity_check", { simple: false });
+    const problems = rows.map(r => r.integrity_check).filter(v => v !== "ok");
+    return problems.length ? problems.slice(0, 5).join("; ") : "ok";
+  } finally {
+    copy.close();
+  }
+}
+
+// Each kind is rotated under its own keep count. Returns the number of files removed.
+function pruneBackups({ keep = backupKeep(), keepPremigration = premigrationKeep() } = {}) {
+  const backups = listBackups();
+  const old = [
+    ...backups.filter(b => b.kind === "scheduled").slice(keep),
+    ...backups.filter(b => b.kind === "premigration").slice(keepPremigration),
+  ];
+  for (const b of old) fs.rmSync(b.file, { force: true });
+  return old.length;
+}
+
+/**
+ * /backup is for whoever runs the bot, not server admins: BOT_OWNER_IDS, or the
+ * application's owner (every member of the owning team).
+ */
+async function isBotOwner(client, userId) {
+  const ids = (process.env.BOT_OWNER_IDS || "").split(",").map(s => s.trim()).filter(Boolean);
+  if (ids.length) return ids.includes(userId);
+
+  const app = await client.application.fetch().catch(() => null);
+  const owner = app?.owner;
+  if (!owner) return false;
+  return owner.members ? owner.members.has(userId) : owner.id === userId;
+}
+
+/**
+ * Backups of one database (see createDb).
+ */
+function createBackup({ db }) {
+  const { sqlite } = db;
+
+  let running = false;
+
+  /**
+   * Online backup via SQLite's backup API (safe while the bot is writing, unlike
+   * copying the file in WAL mode). The copy is written under a temporary name and
+   * only kept if it passes an integrity check; then old backups are rotated out.
+   * Returns { name, file, size, durationMs, pruned }.
+   */
+  async function runBackup() {
+    if (running) throw new Error("A backup is already running.");
+    running = true;
+
+    const startedAt = Date.now();
+    const dir = backupDir();
+    const name = backupName(startedAt);
+    const file = path.join(dir, name);
+    const partial = `${file}.partial`;
+
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      await sqlite.backup(partial);
+
+      const integrity = finalizeBackup(partial);
+      if (integrity !== "ok") throw new Error(`Integrity check failed: ${integrity}`);
+
+      fs.renameSync(partial, file);
+      const pruned = pruneBackups();
+      const size = fs.statSync(file).size;
+      console.log(`[backup] Wrote ${file} (${size} bytes, integrity ok), pruned ${pruned}`);
+      return { name, file, size, durationMs: Date.now() - startedAt, pruned };
+    } catch (err) {
+      for (const f of [partial, `${partial}-wal`, `${partial}-shm`]) fs.rmSync(f, { force: true });
+      throw err;
+    } finally {
+      running = false;
+    }
+  }
+
+  function startBackupScheduler() {
+    // Rotate pre-migration snapshots written at startup, even if scheduled backups are off.
+    const pruned = pruneBackups();
+    if (pruned) console.log(`[backup] Pruned ${pruned} old backup(s) in ${backupDir()}`);
+
+    const expr = (process.env.BACKUP_CRON || DEFAULT_BACKUP_CRON).trim();
+    if (expr.toLowerCase() === "off") return;
+
+    const tz = process.env.BACKUP_TIMEZONE || null;
+    if (expr.split(/\s+/).length !== 5 || !cron.validate(expr)) {
+      console.error(`[backup] Invalid BACKUP_CRON "${expr}"; scheduled backups are off.`);
+      return;
+    }
+
+    cron.schedule(expr, async () => {
+      try {
+        await runBackup();
+      } catch (err) {
+        console.error("[backup] scheduled backup failed:", err?.message || err);
+      }
+    }, tz ? { timezone: tz } : {});
+    console.log(`[backup] Scheduled backups: cron "${expr}"${tz ? ` (${tz})` : ""}, keeping ${backupKeep()} in ${backupDir()}`);
+  }
+
+  return {
+    runBackup,
+    startBackupScheduler,
+  };
+}
+
+module.exports = {
+  backupDir,
+  backupKeep,
+  premigrationKeep,
+  listBackups,
+  pruneBackups,
+  isBotOwner,
+  createBackup,
+};
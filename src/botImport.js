@@ -0,0 +1,188 @@
+// Parse leaderboard exports from other leveling bots (MEE6-style JSON, generic CSV)
+// into { user_id, xp } rows for this bot. Used by /xpdata importbot and src/import-bot-export.js.
+const { clampXpTotal } = require("./db");
+const { xpForLevel } = require("./xp");
+
+const BOT_IMPORT_FORMATS = ["auto", "mee6", "csv"];
+
+const SNOWFLAKE_RE = /^\d{17,20}$/;
+
+// Field names seen in the wild for the same thing.
+const ID_KEYS = ["user_id", "userid", "id", "user", "member_id", "discord_id"];
+const XP_KEYS = ["xp", "exp", "experience", "total_xp", "totalxp", "points"];
+const LEVEL_KEYS = ["level", "lvl", "rank_level"];
+
+function pick(obj, keys) {
+  for (const k of keys) {
+    if (obj[k] !== undefined && obj[k] !== null && obj[k] !== "") return obj[k];
+  }
+  return undefined;
+}
+
+function lowerKeys(obj) {
+  const out = {};
+  for (const [k, v] of Object.entries(obj ?? {})) out[k.toLowerCase()] = v;
+  return out;
+}
+
+/**
+ * Turn one source record into an XP total.
+ * use "xp": the record's XP (falls back to its level); use "level": the start of the
+ * record's level on this guild's curve (so members keep their level, not their XP).
+ * Returns { user_id, xp } or { reason }.
+ */
+function toRow(record, use, curve) {
+  const r = lowerKeys(record);
+  const id = String(pick(r, ID_KEYS) ?? "").trim();
+  if (!SNOWFLAKE_RE.test(id)) return { reason: "missing or invalid user ID" };
+
+  const xp = pick(r, XP_KEYS);
+  const level = pick(r, LEVEL_KEYS);
+  const xpNum = Number(xp);
+  const levelNum = Number(level);
+
+  if (use === "level" || xp === undefined) {
+    if (level === undefined || !Number.isInteger(levelNum) || levelNum < 0) {
+      return { user_id: id, reason: use === "level" ? "no valid level" : "no valid XP or level" };
+    }
+    return { user_id: id, xp: xpForLevel(levelNum, curve) };
+  }
+
+  if (!Number.isFinite(xpNum) || xpNum < 0) return { user_id: id, reason: "invalid XP" };
+  return { user_id: id, xp: clampXpTotal(xpNum) };
+}
+
+// MEE6 leaderboard API / dumps: { players: [{ id, xp, level, ... }] }; other bots use
+// similar wrappers, or a bare array.
+function jsonRecords(raw) {
+  if (Array.isArray(raw)) return raw;
+  for (const k of ["players", "users", "members", "leaderboard", "data"]) {
+    if (Array.isArray(raw?.[k])) return raw[k];
+  }
+  return null;
+}
+
+function splitCsvLine(line) {
+  const sep = line.includes(",") ? "," : line.includes(";") ? ";" : "\t";
+  return line.split(sep).map(c => c.trim().replace(/^"(.*)"$/, "$1").trim());
+}
+
+// CSV with a header (user_id + xp or level, any order), or headerless "user_id,value"
+// where value is XP (or a level with use "level").
+function csvRecords(text, use) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return [];
+
+  const first = splitCsvLine(lines[0]).map(c => c.toLowerCase());
+  const hasHeader = !SNOWFLAKE_RE.test(first[0] ?? "");
+  const header = hasHeader ? first : ["user_id", use === "level" ? "level" : "xp"];
+
+  return lines.slice(hasHeader ? 1 : 0).map((line) => {
+    const cells = splitCsvLine(line);
+    const rec = {};
+    header.forEach((h, i) => { rec[h] = cells[i]; });
+    return rec;
+  });
+}
+
+/**
+ * Parse an export. format: auto|mee6|csv; use: xp|level; curve: the guild's level curve
+ * (a guild_settings row works). Returns { format, rows, unmatched } or { error }.
+ * unmatched: [{ entry, user_id?, reason }] (entry is 1-based).
+ * Duplicate user IDs keep the last row.
+ */
+function parseBotExport(text, { format = "auto", use = "xp", curve } = {}) {
+  const body = String(text ?? "").replace(/^﻿/, "").trim();
+  if (!body) return { error: "The file is empty." };
+
+  let detected = format;
+  let records = null;
+  if (format !== "csv" && /^[[{]/.test(body)) {
+    let raw;
+    try {
+      raw = JSON.parse(body);
+    } catch {
+      return { error: "The file looks like JSON but couldn't be parsed." };
+    }
+    records = jsonRecords(raw);
+    if (!records) return { error: "No list of users found in the JSON (expected an array or a `players` list)." };
+    detected = "mee6";
+  } else if (format === "mee6") {
+    return { error: "Expected a JSON export for format `mee6`." };
+  } else {
+    records = csvRecords(body, use);
+    detected = "csv";
+  }
+
+  const byUser = new Map();
+  const unmatched = [];
+  records.forEach((rec, i) => {
+    const row = toRow(rec, use, curve);
+    if (row.reason) unmatched.push({ entry: i + 1, user_id: row.user_id, reason: row.reason });
+    else byUser.set(row.user_id, row.xp);
+  });
+
+  return {
+    format: detected,
+    rows: [...byUser].map(([user_id, xp]) => ({ user_id, xp })),
+    unmatched,
+  };
+}
+
+function describeUnmatched(unmatched, max = 5) {
+  return unmatched
+    .slice(0, max)
+    .map(u => `#${u.entry}${u.user_id ? ` (${u.user_id})` : ""}: ${u.reason}`)
+    .join("; ") + (unmatched.length > max ? "; …" : "");
+}
+
+/**
+ * Import previews (current XP comparison), bound to a database.
+ */
+function createBotImport({ db }) {
+  const {
+    allUsersInGuild,
+  } = db;
+
+  /**
+   * Dry-run summary for /xpdata importbot. `absent` are user IDs in the file who aren't
+   * in the server; absentMode "skip" leaves them out, "keep" imports them as departed.
+   */
+  function describeBotImport(guildId, { format, use, rows, unmatched, absent = [], absentMode = "skip" }) {
+    const current = new Map(allUsersInGuild(guildId).map(u => [u.user_id, u.xp]));
+    const absentSet = new Set(absent);
+    const applied = absentMode === "keep" ? rows : rows.filter(r => !absentSet.has(r.user_id));
+
+    let added = 0;
+    let changed = 0;
+    for (const r of applied) {
+      if (!current.has(r.user_id)) added++;
+      else if (current.get(r.user_id) !== r.xp) changed++;
+    }
+
+    const lines = [
+      `**Import preview** (${format === "mee6" ? "JSON" : "CSV"}, XP from ${use === "level" ? "levels on this server's curve" : "the file's XP"}; nothing changed yet)`,
+      `- users in file: **${rows.length}** → **${added}** new, **${changed}** with different XP (their XP is overwritten)`,
+    ];
+    if (absent.length) {
+      lines.push(absentMode === "keep"
+        ? `- **${absent.length}** not in this server: imported but hidden until they rejoin`
+        : `- **${absent.length}** not in this server: skipped`);
+    }
+    if (unmatched.length) {
+      lines.push(`⚠️ **${unmatched.length}** unmatched row(s) skipped: ${describeUnmatched(unmatched)}`);
+    }
+    return lines.join("\n");
+  }
+
+  return {
+    describeBotImport,
+  };
+}
+
+module.exports = {
+  BOT_IMPORT_FORMATS,
+  parseBotExport,
+  describeUnmatched,
+  createBotImport,
+};
@@ -0,0 +1,62 @@
+// /backup now|list (bot owner only)
+const { SlashCommandBuilder, MessageFlags, PermissionFlagsBits } = require("discord.js");
+const { backupDir, backupKeep, premigrationKeep, listBackups } = require("../backup");
+const { fitReply, formatBytes } = require("./shared");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("backup")
+    .setDescription("Database backups (bot owner only).")
+    .addSubcommand((sc) =>
+      sc.setName("now").setDescription("Back up the database now (online backup + integrity check).")
+    )
+    .addSubcommand((sc) =>
+      sc.setName("list").setDescription("List stored backups.")
+    ),
+  // Hidden from non-admins by default; only bot owners (BOT_OWNER_IDS or the app owner) can use it.
+  permissions: PermissionFlagsBits.Administrator,
+  ownerOnly: true,
+
+  async execute(interaction, { backup }) {
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === "now") {
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+      try {
+        const b = await backup.runBackup();
+        await interaction.editReply({
+          content:
+          `Backup written: \`${b.name}\` (${formatBytes(b.size)}, ${(b.durationMs / 1000).toFixed(1)}s, integrity ok).\n` +
+          `Keeping the newest ${backupKeep()}` + (b.pruned ? `; removed ${b.pruned} old backup(s).` : "."),
+        });
+      } catch (err) {
+        console.error("[backup] manual backup failed:", err?.message || err);
+        await interaction.editReply({ content: `Backup failed: ${err?.message || err}` });
+      }
+      return;
+    }
+
+    if (sub === "list") {
+      const backups = listBackups();
+      if (!backups.length) {
+        await interaction.reply({
+          content: `No backups in \`${backupDir()}\` yet. Run \`/backup now\` to make one.`,
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+      const lines = backups.map(b =>
+        `- \`${b.name}\` • ${formatBytes(b.size)} • <t:${Math.floor(b.createdAt / 1000)}:f>` +
+        (b.kind === "premigration" ? " • before a schema upgrade" : "")
+      );
+      await interaction.reply({
+        content: fitReply(
+          `**Backups** in \`${backupDir()}\` (keeping ${backupKeep()}, plus ${premigrationKeep()} pre-migration):\n` +
+          lines.join("\n")
+        ),
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+  },
+};
@@ -0,0 +1,198 @@
+// /decay preview|runnow|history (admin/mod)
+const {
+  SlashCommandBuilder,
+  MessageFlags,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+} = require("discord.js");
+const { levelFromXp } = require("../xp");
+const { describeDecay } = require("../decay");
+const { ADMIN_PERMISSIONS, isAdminOrMod, fitReply } = require("./shared");
+
+// Button custom IDs (run now confirmation, only usable by the admin who asked):
+//   decay:runnow:confirm|cancel:<userId>:<issuedAtMs>
+const DECAY_PREFIX = "decay";
+const DECAY_RUNNOW_CONFIRM_MS = 60 * 1000;
+const DECAY_LIST_LINES = 10;
+
+function describeDecayRun(run) {
+  const who = run.trigger === "manual" && run.triggered_by ? `manual by <@${run.triggered_by}>` : run.trigger;
+  return `**#${run.id}** <t:${Math.floor(run.started_at / 1000)}:f> (${who}) — ` +
+    `${run.users_affected} user(s), −${run.xp_removed.toLocaleString()} XP`;
+}
+
+function buildDecayPreview(decay, guildId) {
+  const { settings, entries, xpRemoved, roleDrops } = decay.previewDecay(guildId);
+
+  const lines = [
+    `**Decay preview** (nothing was changed)`,
+    `Policy: ${describeDecay(settings)}`,
+  ];
+  if (!settings.decay_enabled) lines.push("_Decay is disabled; this is what a run would do if it were enabled._");
+
+  if (!entries.length) {
+    lines.push("No one would lose XP right now.");
+    return fitReply(lines.join("\n"));
+  }
+
+  lines.push(`Would decay **${entries.length}** user(s), removing **${xpRemoved.toLocaleString()} XP** in total.`);
+  lines.push("", "**Biggest losses:**");
+  for (const e of entries.slice(0, DECAY_LIST_LINES)) {
+    lines.push(
+      `<@${e.user_id}>: ${e.before.toLocaleString()} → ${e.after.toLocaleString()} XP ` +
+      `(Lvl ${levelFromXp(e.before, settings)} → ${levelFromXp(e.after, settings)})`
+    );
+  }
+  if (entries.length > DECAY_LIST_LINES) lines.push(`…and ${entries.length - DECAY_LIST_LINES} more`);
+
+  if (roleDrops.length) {
+    lines.push("", `**Would fall below a level role:** ${roleDrops.length} user(s) (roles are removed after their drop grace days)`);
+    for (const d of roleDrops.slice(0, DECAY_LIST_LINES)) {
+      lines.push(`<@${d.user_id}>: ${d.roles.map(r => `<@&${r.role_id}> (${r.drop_grace_days}d)`).join(", ")}`);
+    }
+    if (roleDrops.length > DECAY_LIST_LINES) lines.push(`…and ${roleDrops.length - DECAY_LIST_LINES} more`);
+  }
+
+  return fitReply(lines.join("\n"));
+}
+
+function buildDecayHistory(db, guildId, runId) {
+  if (runId === null) {
+    const runs = db.listDecayRuns(guildId, DECAY_LIST_LINES);
+    if (!runs.length) return "No decay runs recorded yet.";
+    return `**Recent decay runs:**\n${runs.map(describeDecayRun).join("\n")}\n` +
+      `Use \`/decay history run:<number>\` for per-user details.`;
+  }
+
+  const run = db.getDecayRun(guildId, runId);
+  if (!run) return `No decay run #${runId} in this server.`;
+
+  const rows = db.listDecayRunEntries(run.id, 20);
+  const lines = [describeDecayRun(run)];
+  if (!rows.length) lines.push("No one lost XP in this run.");
+  for (const r of rows) {
+    lines.push(`<@${r.user_id}>: ${r.xp_before.toLocaleString()} → ${r.xp_after.toLocaleString()} XP`);
+  }
+  if (run.users_affected > rows.length) lines.push(`…and ${run.users_affected - rows.length} more`);
+  return fitReply(lines.join("\n"));
+}
+
+async function handleDecayButton(interaction, { decay }) {
+  const [, action, choice, ownerId, issuedAt] = interaction.customId.split(":");
+  if (action !== "runnow") return;
+
+  if (interaction.user.id !== ownerId || !isAdminOrMod(interaction)) {
+    await interaction.reply({
+      content: "Only the admin who ran this command can confirm it.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  if (choice === "cancel") {
+    await interaction.update({ content: "Decay run cancelled. No XP was changed.", components: [] });
+    return;
+  }
+
+  if (Date.now() - Number(issuedAt) > DECAY_RUNNOW_CONFIRM_MS) {
+    await interaction.update({ content: "Confirmation expired. Run `/decay runnow` again.", components: [] });
+    return;
+  }
+
+  await interaction.update({ content: "Running decay…", components: [] });
+
+  const result = await decay.runDecayForGuild(interaction.client, interaction.guild.id, {
+    trigger: "manual",
+    triggeredBy: interaction.user.id,
+  });
+
+  await interaction.editReply({
+    content: result
+      ? `Decay run **#${result.runId}** finished: **${result.usersAffected}** user(s), ` +
+        `−${result.xpRemoved.toLocaleString()} XP. See \`/decay history run:${result.runId}\`.`
+      : "Decay is disabled for this server; nothing was changed.",
+  });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("decay")
+    .setDescription("Preview, run or review XP decay.")
+    .addSubcommand((sc) =>
+      sc
+        .setName("preview")
+        .setDescription("Show what a decay run would do right now (changes nothing).")
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("runnow")
+        .setDescription("Run decay immediately (asks for confirmation).")
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("history")
+        .setDescription("List recent decay runs, or show one run in detail.")
+        .addIntegerOption((opt) =>
+          opt
+            .setName("run")
+            .setDescription("Run number to show per-user XP changes for")
+            .setMinValue(1)
+            .setRequired(false)
+        )
+    ),
+  permissions: ADMIN_PERMISSIONS,
+  componentPrefix: DECAY_PREFIX,
+
+  async execute(interaction, { db, decay }) {
+    const guildId = interaction.guildId;
+    const settings = db.getGuildSettings(guildId);
+
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === "preview") {
+      await interaction.reply({ content: buildDecayPreview(decay, guildId), flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    if (sub === "history") {
+      const runId = interaction.options.getInteger("run");
+      await interaction.reply({ content: buildDecayHistory(db, guildId, runId), flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    if (sub === "runnow") {
+      if (!settings.decay_enabled) {
+        await interaction.reply({
+          content: "Decay is disabled for this server. Enable it with `/setdecay enabled:true` first (`/decay preview` works either way).",
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+
+      const { entries, xpRemoved } = decay.previewDecay(guildId);
+      const issuedAt = Date.now();
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`${DECAY_PREFIX}:runnow:confirm:${interaction.user.id}:${issuedAt}`)
+          .setLabel("Run decay now")
+          .setStyle(ButtonStyle.Danger),
+        new ButtonBuilder()
+          .setCustomId(`${DECAY_PREFIX}:runnow:cancel:${interaction.user.id}:${issuedAt}`)
+          .setLabel("Cancel")
+          .setStyle(ButtonStyle.Secondary)
+      );
+
+      await interaction.reply({
+        content:
+        `⚠️ Running decay now would remove **${xpRemoved.toLocaleString()} XP** from **${entries.length}** user(s) ` +
+        `(in addition to the daily run). Confirm within ${DECAY_RUNNOW_CONFIRM_MS / 1000}s.`,
+        components: [row],
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+  },
+
+  handleComponent: handleDecayButton,
+};
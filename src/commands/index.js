@@ -0,0 +1,204 @@
+// Slash command registry, shared by register-commands.js and the InteractionCreate
+// dispatcher in index.js, so a command can't be registered without a handler (or
+// handled without being registered).
+//
+// Each module in this directory exports:
+//   data             SlashCommandBuilder (name, description, options)
+//   permissions      optional member permissions (PermissionFlagsBits); registered as the
+//                    command's default permissions and checked again on every use
+//   ownerOnly        optional; only bot owners may use it (replaces the permission check)
+//   channels         "restricted" (default): only in /setcommandchannel channels, if any are set
+//                    "admin-anywhere": members with `permissions` may use it in any channel
+//   execute(interaction, ctx)          the slash command handler
+//   autocomplete(interaction, ctx)     optional, for options with setAutocomplete(true)
+//   componentPrefix, handleComponent(interaction, ctx)
+//                    optional; buttons and select menus whose custom ID is "<prefix>:…"
+// ctx is the database and the modules built on it (see createCommandRouter).
+const { Collection, MessageFlags } = require("discord.js");
+const { isBotOwner } = require("../backup");
+
+const COMMAND_MODULES = [
+  require("./xp"),
+  require("./rank"),
+  require("./voicestats"),
+  require("./leaderboard"),
+  require("./setxp"),
+  require("./setreaction"),
+  require("./setretention"),
+  require("./setmsgfilter"),
+  require("./setdecay"),
+  require("./decay"),
+  require("./setlevelcurve"),
+  require("./setlevelup"),
+  require("./leveltorole"),
+  require("./xpadmin"),
+  require("./xpdata"),
+  require("./xpmultiplier"),
+  require("./xpevent"),
+  require("./setcommandchannel"),
+  require("./backup"),
+  require("./settings"),
+];
+
+const CHANNEL_POLICIES = ["restricted", "admin-anywhere"];
+
+/**
+ * Validate command modules and index them by command name and component prefix.
+ * Throws on anything that would make dispatch ambiguous.
+ */
+function loadCommands(modules = COMMAND_MODULES) {
+  const commands = new Collection();
+  const components = new Collection();
+
+  for (const cmd of modules) {
+    const name = cmd.data?.name;
+    if (!name || typeof cmd.execute !== "function") {
+      throw new Error(`Command module ${name ? `/${name}` : "(unnamed)"} needs data and execute()`);
+    }
+    if (commands.has(name)) throw new Error(`Duplicate command /${name}`);
+    if (cmd.channels !== undefined && !CHANNEL_POLICIES.includes(cmd.channels)) {
+      throw new Error(`/${name}: unknown channel policy "${cmd.channels}"`);
+    }
+    if (cmd.channels === "admin-anywhere" && cmd.permissions === undefined) {
+      throw new Error(`/${name}: "admin-anywhere" needs permissions`);
+    }
+
+    if (cmd.componentPrefix !== undefined) {
+      if (typeof cmd.handleComponent !== "function") throw new Error(`/${name}: componentPrefix needs handleComponent()`);
+      if (components.has(cmd.componentPrefix)) throw new Error(`Duplicate component prefix "${cmd.componentPrefix}"`);
+      components.set(cmd.componentPrefix, cmd);
+    }
+
+    if (cmd.permissions !== undefined) cmd.data.setDefaultMemberPermissions(cmd.permissions);
+    commands.set(name, cmd);
+  }
+
+  return { commands, components };
+}
+
+const registry = loadCommands();
+
+/**
+ * Command JSON for the REST registration call.
+ */
+function commandData({ commands } = registry) {
+  return commands.map((cmd) => cmd.data.toJSON());
+}
+
+// Reply, or follow up if the handler already replied/deferred. Errors are
+// swallowed: if Discord rejects the response (timed out), there's nothing else to do.
+async function replyEphemeral(interaction, content) {
+  try {
+    if (interaction.deferred || interaction.replied) {
+      await interaction.followUp({ content, flags: MessageFlags.Ephemeral });
+    } else {
+      await interaction.reply({ content, flags: MessageFlags.Ephemeral });
+    }
+  } catch {
+    // Interaction already expired.
+  }
+}
+
+/**
+ * InteractionCreate handler bound to `ctx` (the database and the modules built on it):
+ * slash commands, autocomplete and message components (buttons, select menus).
+ */
+function createCommandRouter(ctx, { commands, components } = registry) {
+  function hasPermissions(interaction, cmd) {
+    return cmd.permissions === undefined || Boolean(interaction.memberPermissions?.has(cmd.permissions));
+  }
+
+  /**
+   * Command channel restriction:
+   * - If no allowed channels configured => allowed everywhere
+   * - If configured => only allowed in those channels
+   * - EXCEPTION: "admin-anywhere" commands (/setcommandchannel) for admins, to avoid lockout
+   */
+  function channelAllowed(interaction, cmd) {
+    if (cmd.channels === "admin-anywhere" && hasPermissions(interaction, cmd)) return true;
+    const rows = ctx.db.listAllowedCommandChannels(interaction.guildId);
+    if (!rows.length) return true;
+    return rows.some(r => r.channel_id === interaction.channelId);
+  }
+
+  async function mayUse(interaction, cmd) {
+    if (cmd.ownerOnly) return isBotOwner(interaction.client, interaction.user.id);
+    return hasPermissions(interaction, cmd);
+  }
+
+  async function runCommand(interaction) {
+    const cmd = commands.get(interaction.commandName);
+    if (!cmd) {
+      await replyEphemeral(interaction, `Unknown command: \`/${interaction.commandName}\`. Re-run \`npm run register\`.`);
+      return;
+    }
+
+    try {
+      if (!channelAllowed(interaction, cmd)) {
+        await replyEphemeral(interaction, "Commands aren’t enabled in this channel.");
+        return;
+      }
+      if (!(await mayUse(interaction, cmd))) {
+        await replyEphemeral(
+          interaction,
+          cmd.ownerOnly ? "Only the bot owner can use this command." : "You don’t have permission to use this."
+        );
+        return;
+      }
+
+      await cmd.execute(interaction, ctx);
+
+      // Fallback so Discord never times out
+      if (!interaction.deferred && !interaction.replied) {
+        const sub = interaction.options.getSubcommand(false);
+        await replyEphemeral(interaction, `Unhandled command: \`/${cmd.data.name}${sub ? ` ${sub}` : ""}\` (handler missing).`);
+      }
+    } catch (err) {
+      console.error(`[commands] /${cmd.data.name} error:`, err);
+      await replyEphemeral(interaction, "Something went wrong handling that command (check bot logs).");
+    }
+  }
+
+  async function runAutocomplete(interaction) {
+    const cmd = commands.get(interaction.commandName);
+    try {
+      if (!cmd?.autocomplete || !hasPermissions(interaction, cmd)) {
+        await interaction.respond([]);
+        return;
+      }
+      await cmd.autocomplete(interaction, ctx);
+    } catch (err) {
+      console.error(`[commands] /${interaction.commandName} autocomplete error:`, err);
+      if (!interaction.responded) await interaction.respond([]).catch(() => {});
+    }
+  }
+
+  async function runComponent(interaction) {
+    const cmd = components.get(interaction.customId.split(":")[0]);
+    if (!cmd) return;
+
+    try {
+      await cmd.handleComponent(interaction, ctx);
+    } catch (err) {
+      console.error(`[commands] /${cmd.data.name} component error:`, err);
+      if (!interaction.deferred && !interaction.replied) {
+        await replyEphemeral(interaction, "Something went wrong handling that button (check bot logs).");
+      }
+    }
+  }
+
+  return async function handleInteraction(interaction) {
+    if (!interaction.guild) return;
+
+    if (interaction.isChatInputCommand()) await runCommand(interaction);
+    else if (interaction.isAutocomplete()) await runAutocomplete(interaction);
+    else if (interaction.isMessageComponent()) await runComponent(interaction);
+  };
+}
+
+module.exports = {
+  CHANNEL_POLICIES,
+  loadCommands,
+  commandData,
+  createCommandRouter,
+};
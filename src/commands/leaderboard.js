@@ -0,0 +1,283 @@
+// /leaderboard [limit] [around] [range] [period] (PUBLIC) PNG, paginated with nav buttons
+const {
+  SlashCommandBuilder,
+  MessageFlags,
+  AttachmentBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+} = require("discord.js");
+const { renderLeaderboardPng, MAX_ROWS } = require("../renderLeaderboard");
+const { levelFromXp, curveFromSettings } = require("../xp");
+
+// Button custom IDs:
+//   lb:page:<page>:<limit>:<period>  -> show a specific page (0-based)
+//   lb:me:<limit>:<period>           -> the page containing the clicking user (ephemeral, so
+//                                       the shared message stays as it is for everyone else)
+const LEADERBOARD_PREFIX = "lb";
+
+// Rolling windows for /leaderboard period:<...>. "all" = lifetime XP.
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LEADERBOARD_PERIODS = {
+  all: { label: "All time", windowMs: null },
+  month: { label: "Last 30 days", windowMs: 30 * DAY_MS },
+  week: { label: "Last 7 days", windowMs: 7 * DAY_MS },
+  day: { label: "Last 24 hours", windowMs: DAY_MS },
+};
+
+function clampLeaderboardLimit(limit) {
+  return Math.max(1, Math.min(MAX_ROWS, Math.floor(Number(limit) || 10)));
+}
+
+function normalizePeriod(period) {
+  return Object.prototype.hasOwnProperty.call(LEADERBOARD_PERIODS, period) ? period : "all";
+}
+
+// Start of the period's window (ms epoch), or null for the lifetime board.
+function periodSince(period) {
+  const windowMs = LEADERBOARD_PERIODS[period].windowMs;
+  return windowMs === null ? null : Date.now() - windowMs;
+}
+
+/**
+ * Resolve display names for leaderboard rows and shape them for renderLeaderboardPng.
+ * `highlightUserId` (optional) marks that user's row.
+ * For windowed boards (`windowed`), row XP is XP earned in the window; the level and
+ * progress bar still come from the user's lifetime total.
+ */
+async function toLeaderboardEntries(db, guild, rows, offset, curve, { highlightUserId = null, windowed = false } = {}) {
+  let members = null;
+  try {
+    members = await guild.members.fetch({ user: rows.map(r => r.user_id) });
+  } catch {
+    members = null;
+  }
+
+  return rows.map((r, idx) => {
+    const m = members?.get?.(r.user_id);
+    const name = m?.displayName || m?.user?.username || `User ${r.user_id}`;
+    const totalXp = windowed ? db.getXp(guild.id, r.user_id) : r.xp;
+    const level = levelFromXp(totalXp, curve);
+    return {
+      rank: offset + idx + 1,
+      name,
+      xp: r.xp,
+      totalXp,
+      level,
+      highlight: r.user_id === highlightUserId,
+    };
+  });
+}
+
+/**
+ * Build a full leaderboard message payload (content + PNG + nav buttons) for one page.
+ * Returns null when the board has no data yet.
+ */
+async function buildLeaderboardPage(db, guild, settings, page, limit, period = "all") {
+  const since = periodSince(period);
+  const windowed = since !== null;
+
+  const total = windowed ? db.countUsersSince(guild.id, since) : db.countUsers(guild.id);
+  if (!total) return null;
+
+  const pageCount = Math.max(1, Math.ceil(total / limit));
+  const safePage = Math.max(0, Math.min(pageCount - 1, Math.floor(Number(page) || 0)));
+  const offset = safePage * limit;
+
+  const rows = windowed
+    ? db.topUsersSince(guild.id, since, limit, offset)
+    : db.topUsers(guild.id, limit, offset);
+  const curve = curveFromSettings(settings);
+  const entries = await toLeaderboardEntries(db, guild, rows, offset, curve, { windowed });
+
+  const lastRank = Math.min(total, offset + limit);
+  const periodLabel = LEADERBOARD_PERIODS[period].label;
+  const png = renderLeaderboardPng(entries, curve, {
+    rowCount: limit,
+    startRank: offset + 1,
+    gained: windowed,
+    subtitle: windowed
+      ? `Ranks ${offset + 1}–${lastRank} of ${total} by XP earned • ${periodLabel}`
+      : `Ranks ${offset + 1}–${lastRank} of ${total} by XP • Quantum-approved`,
+  });
+  const file = new AttachmentBuilder(png, { name: "heisenxp-leaderboard.png" });
+
+  const nav = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${LEADERBOARD_PREFIX}:page:${safePage - 1}:${limit}:${period}`)
+      .setLabel("Previous")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(safePage <= 0),
+    new ButtonBuilder()
+      .setCustomId(`${LEADERBOARD_PREFIX}:page:${safePage + 1}:${limit}:${period}`)
+      .setLabel("Next")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(safePage >= pageCount - 1),
+    new ButtonBuilder()
+      .setCustomId(`${LEADERBOARD_PREFIX}:me:${limit}:${period}`)
+      .setLabel("Jump to me")
+      .setStyle(ButtonStyle.Primary)
+  );
+
+  return {
+    content: `**Leaderboard — ${periodLabel}** (page ${safePage + 1}/${pageCount})`,
+    files: [file],
+    components: [nav],
+  };
+}
+
+/**
+ * "Around me" view: the user's own row highlighted with `span` neighbours above and below.
+ * Returns null when the user has no XP (in the period) yet.
+ */
+async function buildAroundUserView(db, guild, settings, userId, span, period = "all") {
+  const since = periodSince(period);
+  const windowed = since !== null;
+
+  const around = db.usersAroundUser(guild.id, userId, span, since);
+  if (!around) return null;
+
+  const curve = curveFromSettings(settings);
+  const entries = await toLeaderboardEntries(db, guild, around.rows, around.offset, curve, {
+    highlightUserId: userId,
+    windowed,
+  });
+  const total = windowed ? db.countUsersSince(guild.id, since) : db.countUsers(guild.id);
+  const periodLabel = LEADERBOARD_PERIODS[period].label;
+
+  const png = renderLeaderboardPng(entries, curve, {
+    rowCount: entries.length,
+    startRank: around.offset + 1,
+    gained: windowed,
+    subtitle: `Rank ${around.rank} of ${total} • Around you • ${periodLabel}`,
+  });
+  const file = new AttachmentBuilder(png, { name: "heisenxp-leaderboard.png" });
+
+  return {
+    content: `**Leaderboard — ${periodLabel}** (around <@${userId}>, rank #${around.rank})`,
+    files: [file],
+    allowedMentions: { parse: [] },
+  };
+}
+
+/**
+ * Leaderboard navigation buttons. Previous/Next re-render the page in place;
+ * "Jump to me" answers the clicking user with their own page.
+ * Member lookups and the PNG render can take a while, so the interaction is deferred first.
+ */
+async function handleLeaderboardButton(interaction, { db }) {
+  const [, action, ...args] = interaction.customId.split(":");
+  const guildId = interaction.guildId;
+  const settings = db.getGuildSettings(guildId);
+
+  if (action === "me") {
+    const limit = clampLeaderboardLimit(args[0]);
+    const period = normalizePeriod(args[1]);
+    const since = periodSince(period);
+    const rank = since === null
+      ? db.getUserRank(guildId, interaction.user.id)
+      : db.getUserRankSince(guildId, interaction.user.id, since);
+    if (!rank) {
+      await interaction.reply({
+        content: "You aren’t on this leaderboard yet — earn some XP first.",
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+    const payload = await buildLeaderboardPage(db, interaction.guild, settings, Math.floor((rank - 1) / limit), limit, period);
+    await interaction.editReply(payload ?? { content: "No leaderboard data yet." });
+    return;
+  }
+
+  const page = Math.max(0, Number(args[0]) || 0);
+  const limit = clampLeaderboardLimit(args[1]);
+  const period = normalizePeriod(args[2]);
+
+  await interaction.deferUpdate();
+  const payload = await buildLeaderboardPage(db, interaction.guild, settings, page, limit, period);
+  if (!payload) {
+    await interaction.editReply({ content: "No leaderboard data yet.", files: [], components: [], attachments: [] });
+    return;
+  }
+
+  // Replace the old image instead of stacking attachments.
+  await interaction.editReply({ ...payload, attachments: [] });
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("leaderboard")
+    .setDescription("Show the XP leaderboard (paginated).")
+    .addIntegerOption((opt) =>
+      opt
+        .setName("limit")
+        .setDescription("Rows per page (max 20)")
+        .setMinValue(1)
+        .setMaxValue(20)
+        .setRequired(false)
+    )
+    .addBooleanOption((opt) =>
+      opt
+        .setName("around")
+        .setDescription("Show your own rank with the users just above and below you")
+        .setRequired(false)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("range")
+        .setDescription("With around: how many users above/below to show (default 3, max 9)")
+        .setMinValue(1)
+        .setMaxValue(9)
+        .setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("period")
+        .setDescription("Rank by XP earned in a time window (default: all time)")
+        .addChoices(
+          { name: "All time", value: "all" },
+          { name: "Last 30 days", value: "month" },
+          { name: "Last 7 days", value: "week" },
+          { name: "Last 24 hours", value: "day" }
+        )
+        .setRequired(false)
+    ),
+
+  componentPrefix: LEADERBOARD_PREFIX,
+
+  async execute(interaction, { db }) {
+    const settings = db.getGuildSettings(interaction.guildId);
+    const period = normalizePeriod(interaction.options.getString("period") ?? "all");
+
+    if (interaction.options.getBoolean("around")) {
+      const span = Math.max(1, Math.min(9, interaction.options.getInteger("range") ?? 3));
+      const payload = await buildAroundUserView(db, interaction.guild, settings, interaction.user.id, span, period);
+      if (!payload) {
+        await interaction.reply({
+          content: "You aren’t on this leaderboard yet — earn some XP first.",
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+
+      await interaction.reply(payload);
+      return;
+    }
+
+    const limit = clampLeaderboardLimit(interaction.options.getInteger("limit") ?? 10);
+    const payload = await buildLeaderboardPage(db, interaction.guild, settings, 0, limit, period);
+    if (!payload) {
+      await interaction.reply({
+        content: "No leaderboard data yet.",
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    await interaction.reply(payload);
+  },
+
+  handleComponent: handleLeaderboardButton,
+};
@@ -0,0 +1,198 @@
+// /leveltorole (admin/mod)
+const { SlashCommandBuilder, MessageFlags } = require("discord.js");
+const { xpForLevel, curveFromSettings } = require("../xp");
+const { ROLE_REWARD_MODES, describeRoleRewardMode } = require("../roles");
+const { ADMIN_PERMISSIONS } = require("./shared");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("leveltorole")
+    .setDescription("Map a role to a level requirement (and drop grace days).")
+    .addSubcommand((sc) =>
+      sc
+        .setName("set")
+        .setDescription("Set/update a level->role mapping.")
+        .addRoleOption((opt) =>
+          opt.setName("role").setDescription("Role to manage").setRequired(true)
+        )
+        .addIntegerOption((opt) =>
+          opt
+            .setName("level")
+            .setDescription("Level required")
+            .setMinValue(0)
+            .setRequired(true)
+        )
+        .addIntegerOption((opt) =>
+          opt
+            .setName("dropdays")
+            .setDescription("Days below level before removing")
+            .setMinValue(0)
+            .setRequired(true)
+        )
+        .addBooleanOption((opt) =>
+          opt
+            .setName("keepforever")
+            .setDescription("Milestone role: never remove it once earned")
+            .setRequired(false)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("remove")
+        .setDescription("Remove a mapping for a role.")
+        .addRoleOption((opt) =>
+          opt
+            .setName("role")
+            .setDescription("Role to unmanage")
+            .setRequired(true)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc.setName("list").setDescription("List current level->role mappings.")
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("resync")
+        .setDescription("Re-apply level roles to everyone with XP now.")
+        .addRoleOption((opt) =>
+          opt
+            .setName("role")
+            .setDescription("Only resync this mapped role")
+            .setRequired(false)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("mode")
+        .setDescription("Stack every earned role, or keep only the highest.")
+        .addStringOption((opt) =>
+          opt
+            .setName("mode")
+            .setDescription("Role reward mode")
+            .addChoices(
+              { name: "Stack all earned roles", value: "stack" },
+              { name: "Keep only the highest role", value: "highest" }
+            )
+            .setRequired(true)
+        )
+    ),
+  permissions: ADMIN_PERMISSIONS,
+
+  async execute(interaction, { db, roleResync }) {
+    const guildId = interaction.guildId;
+    const settings = db.getGuildSettings(guildId);
+
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === "set") {
+      const role = interaction.options.getRole("role", true);
+      const level = interaction.options.getInteger("level", true);
+      const dropdays = interaction.options.getInteger("dropdays", true);
+      const keepforever = interaction.options.getBoolean("keepforever");
+
+      db.upsertLevelRole(guildId, role.id, Math.max(0, level), Math.max(0, dropdays), keepforever);
+      const keep = db.listLevelRoles(guildId).find(r => r.role_id === role.id)?.keep_forever;
+
+      await interaction.reply({
+        content: keep
+          ? `Mapped ${role} to **Lvl ${level}** as a milestone (never removed once earned).`
+          : `Mapped ${role} to **Lvl ${level}** (remove after **${dropdays}** day(s) below).`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    if (sub === "remove") {
+      const role = interaction.options.getRole("role", true);
+      db.deleteLevelRole(guildId, role.id);
+
+      await interaction.reply({
+        content: `Removed mapping for ${role}.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    if (sub === "resync") {
+      const role = interaction.options.getRole("role");
+      const mappings = db.listLevelRoles(guildId);
+
+      if (!mappings.length) {
+        await interaction.reply({ content: "No level→role mappings configured.", flags: MessageFlags.Ephemeral });
+        return;
+      }
+      if (role && !mappings.some(m => m.role_id === role.id)) {
+        await interaction.reply({ content: `${role} isn’t mapped to a level.`, flags: MessageFlags.Ephemeral });
+        return;
+      }
+      if (roleResync.isResyncRunning(guildId)) {
+        await interaction.reply({ content: "A role resync is already running for this server.", flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+      const what = role ? `${role}` : "all level roles";
+      const describe = (t) =>
+        `${t.processed.toLocaleString()} / ${t.total.toLocaleString()} members checked • ` +
+        `**${t.added}** added, **${t.removed}** removed, **${t.failed}** failed` +
+        (t.missing ? ` • ${t.missing} no longer in the server` : "");
+
+      // The interaction token expires after 15 minutes; keep going even if edits stop working.
+      const edit = (content) => interaction.editReply({ content }).catch(() => {});
+
+      await edit(`Resyncing ${what}…`);
+      const totals = await roleResync.resyncGuildRoles(interaction.guild, settings, {
+        roleId: role?.id ?? null,
+        onProgress: (t) => edit(`Resyncing ${what}…\n${describe(t)}`),
+      });
+      console.log(`[roles] Resync in guild ${guildId} by ${interaction.user.id}: ${JSON.stringify(totals)}`);
+
+      await edit(
+        `Resync of ${what} finished.\n${describe(totals)}` +
+        (totals.failed ? "\nFailures are logged in the bot console (usually role hierarchy or Manage Roles permission)." : "") +
+        `\nRoles below their level stay until their drop grace days pass.`
+      );
+      return;
+    }
+
+    if (sub === "mode") {
+      const mode = interaction.options.getString("mode", true);
+      if (!ROLE_REWARD_MODES.includes(mode)) {
+        await interaction.reply({ content: `Unknown mode \`${mode}\`.`, flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      const updated = db.updateGuildSettings(guildId, { role_reward_mode: mode });
+      await interaction.reply({
+        content:
+        `Role reward mode: **${describeRoleRewardMode(updated)}**.\n` +
+        `Members' roles update the next time they earn XP (lower roles are removed after their drop grace days).`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    if (sub === "list") {
+      const rows = db.listLevelRoles(guildId);
+      if (!rows.length) {
+        await interaction.reply({
+          content: "No level→role mappings configured.",
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+
+      const curve = curveFromSettings(settings);
+      const lines = rows.map(r =>
+        `- <@&${r.role_id}> @ **Lvl ${r.level_required}** (${xpForLevel(r.level_required, curve).toLocaleString()} XP; ` +
+        `${r.keep_forever ? "**kept forever**" : `drop after **${r.drop_grace_days}d**`})`
+      );
+      await interaction.reply({
+        content: `**Level→Role mappings** (mode: ${describeRoleRewardMode(settings)}):\n${lines.join("\n")}`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+  },
+};
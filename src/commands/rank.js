@@ -0,0 +1,33 @@
+// /rank [user] (PUBLIC) PNG rank card
+const { SlashCommandBuilder, AttachmentBuilder } = require("discord.js");
+const { levelFromXp, curveFromSettings } = require("../xp");
+const { renderRankCardPng } = require("../renderRankCard");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("rank")
+    .setDescription("Show a rank card with level progress (yours or another user's).")
+    .addUserOption((opt) =>
+      opt
+        .setName("user")
+        .setDescription("User to check")
+        .setRequired(false)
+    ),
+
+  async execute(interaction, { db }) {
+    const guildId = interaction.guildId;
+    const target = interaction.options.getUser("user") ?? interaction.user;
+    const xp = db.getXp(guildId, target.id);
+    const curve = curveFromSettings(db.getGuildSettings(guildId));
+    const level = levelFromXp(xp, curve);
+    const rank = db.getUserRank(guildId, target.id);
+
+    const member = await interaction.guild.members.fetch(target.id).catch(() => null);
+    const name = member?.displayName || target.globalName || target.username;
+
+    const png = renderRankCardPng({ name, rank, xp, level }, curve);
+    const file = new AttachmentBuilder(png, { name: "heisenxp-rank.png" });
+
+    await interaction.reply({ files: [file] });
+  },
+};
@@ -0,0 +1,80 @@
+// /setcommandchannel (admin/mod)
+const { SlashCommandBuilder, MessageFlags } = require("discord.js");
+const { ADMIN_PERMISSIONS } = require("./shared");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("setcommandchannel")
+    .setDescription("Restrict bot commands to specific channels for this guild.")
+    .addSubcommand((sc) =>
+      sc
+        .setName("add")
+        .setDescription("Allow commands in a channel.")
+        .addChannelOption((opt) =>
+          opt
+            .setName("channel")
+            .setDescription("Channel to allow")
+            .setRequired(true)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("remove")
+        .setDescription("Remove a channel from allowed list.")
+        .addChannelOption((opt) =>
+          opt
+            .setName("channel")
+            .setDescription("Channel to remove")
+            .setRequired(true)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc.setName("list").setDescription("List allowed command channels.")
+    ),
+  permissions: ADMIN_PERMISSIONS,
+  // Usable in any channel by admins, so a bad channel list can't lock them out.
+  channels: "admin-anywhere",
+
+  async execute(interaction, { db }) {
+    const guildId = interaction.guildId;
+
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === "add") {
+      const ch = interaction.options.getChannel("channel", true);
+      db.addAllowedCommandChannel(guildId, ch.id);
+      await interaction.reply({
+        content: `Commands are now allowed in <#${ch.id}>.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    if (sub === "remove") {
+      const ch = interaction.options.getChannel("channel", true);
+      db.removeAllowedCommandChannel(guildId, ch.id);
+      await interaction.reply({
+        content: `Removed <#${ch.id}> from allowed command channels.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    if (sub === "list") {
+      const rows = db.listAllowedCommandChannels(guildId);
+      if (!rows.length) {
+        await interaction.reply({
+          content: "No allowed channels configured — commands are allowed in all channels.",
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+      const lines = rows.map(r => `- <#${r.channel_id}>`);
+      await interaction.reply({
+        content: `**Allowed command channels:**\n${lines.join("\n")}`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+  },
+};
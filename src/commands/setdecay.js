@@ -0,0 +1,220 @@
+// /setdecay (admin/mod)
+const { SlashCommandBuilder, MessageFlags } = require("discord.js");
+const { DECAY_MODES, DECAY_FLOORS, isValidTimezone, buildDecayCron, describeDecay } = require("../decay");
+const { ADMIN_PERMISSIONS, MAX_XP_AWARD } = require("./shared");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("setdecay")
+    .setDescription("Configure decay for this guild.")
+    .addBooleanOption((opt) =>
+      opt
+        .setName("enabled")
+        .setDescription("Enable/disable decay")
+        .setRequired(false)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("messages")
+        .setDescription("Activity needed in the window to not decay (weighted; 1 message = 1 by default)")
+        .setMinValue(0)
+        .setRequired(false)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("days")
+        .setDescription("Window in days")
+        .setMinValue(1)
+        .setRequired(false)
+    )
+    .addNumberOption((opt) =>
+      opt
+        .setName("percent")
+        .setDescription("Decay percent (e.g. 10 = 10%)")
+        .setMinValue(0)
+        .setMaxValue(95)
+        .setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("mode")
+        .setDescription("How inactive users lose XP")
+        .addChoices(
+          { name: "Percent per run", value: "percent" },
+          { name: "Fixed XP per run", value: "fixed" },
+          { name: "Grace period, then percent", value: "grace" }
+        )
+        .setRequired(false)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("amount")
+        .setDescription("XP removed per run (mode 'Fixed XP per run')")
+        .setMinValue(0)
+        .setRequired(false)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("gracedays")
+        .setDescription("Days of inactivity before decay starts (mode 'Grace period')")
+        .setMinValue(0)
+        .setMaxValue(365)
+        .setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("floor")
+        .setDescription("Never decay below this")
+        .addChoices(
+          { name: "No floor", value: "none" },
+          { name: "Start of current level", value: "level" },
+          { name: "Lowest mapped role's level", value: "role" }
+        )
+        .setRequired(false)
+    )
+    .addNumberOption((opt) =>
+      opt
+        .setName("weightmessages")
+        .setDescription("Activity points per message (default 1)")
+        .setMinValue(0)
+        .setMaxValue(100)
+        .setRequired(false)
+    )
+    .addNumberOption((opt) =>
+      opt
+        .setName("weightreactions")
+        .setDescription("Activity points per reaction given or received (default 0)")
+        .setMinValue(0)
+        .setMaxValue(100)
+        .setRequired(false)
+    )
+    .addNumberOption((opt) =>
+      opt
+        .setName("weightvoice")
+        .setDescription("Activity points per eligible voice minute (default 0)")
+        .setMinValue(0)
+        .setMaxValue(100)
+        .setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("schedule")
+        .setDescription("When decay runs (default daily at 04:00)")
+        .addChoices(
+          { name: "Daily", value: "daily" },
+          { name: "Weekly", value: "weekly" },
+          { name: "Custom cron expression", value: "custom" }
+        )
+        .setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("time")
+        .setDescription("Time of day for daily/weekly runs, HH:MM 24-hour (default 04:00)")
+        .setMaxLength(5)
+        .setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("weekday")
+        .setDescription("Day for weekly runs (default Sunday)")
+        .addChoices(
+          { name: "Sunday", value: "sun" },
+          { name: "Monday", value: "mon" },
+          { name: "Tuesday", value: "tue" },
+          { name: "Wednesday", value: "wed" },
+          { name: "Thursday", value: "thu" },
+          { name: "Friday", value: "fri" },
+          { name: "Saturday", value: "sat" }
+        )
+        .setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("cron")
+        .setDescription("5-field cron expression for schedule 'Custom' (e.g. 30 3 * * 1)")
+        .setMaxLength(100)
+        .setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("timezone")
+        .setDescription("IANA timezone, e.g. Europe/Berlin or America/New_York ('host' = bot's local time)")
+        .setMaxLength(64)
+        .setRequired(false)
+    ),
+  permissions: ADMIN_PERMISSIONS,
+
+  async execute(interaction, { db, decay }) {
+    const guildId = interaction.guildId;
+
+    const enabled = interaction.options.getBoolean("enabled");
+    const messages = interaction.options.getInteger("messages");
+    const days = interaction.options.getInteger("days");
+    const percent = interaction.options.getNumber("percent"); // 0..95
+    const mode = interaction.options.getString("mode");
+    const amount = interaction.options.getInteger("amount");
+    const gracedays = interaction.options.getInteger("gracedays");
+    const floor = interaction.options.getString("floor");
+    const weightmessages = interaction.options.getNumber("weightmessages");
+    const weightreactions = interaction.options.getNumber("weightreactions");
+    const weightvoice = interaction.options.getNumber("weightvoice");
+    const schedule = interaction.options.getString("schedule");
+    const time = interaction.options.getString("time");
+    const weekday = interaction.options.getString("weekday");
+    const cronExpr = interaction.options.getString("cron");
+    const timezone = interaction.options.getString("timezone");
+
+    const patch = {};
+
+    if (enabled !== null) patch.decay_enabled = enabled ? 1 : 0;
+    if (messages !== null) patch.decay_min_messages = Math.max(0, messages);
+    if (days !== null) patch.decay_window_days = Math.max(1, days);
+    if (percent !== null) patch.decay_percent = Math.max(0, Math.min(0.95, percent / 100));
+    if (mode !== null && DECAY_MODES.includes(mode)) patch.decay_mode = mode;
+    if (amount !== null) patch.decay_amount = Math.max(0, Math.min(amount, MAX_XP_AWARD));
+    if (gracedays !== null) patch.decay_grace_days = Math.max(0, gracedays);
+    if (floor !== null && DECAY_FLOORS.includes(floor)) patch.decay_floor = floor;
+    if (weightmessages !== null) patch.decay_weight_message = Math.max(0, weightmessages);
+    if (weightreactions !== null) patch.decay_weight_reaction = Math.max(0, weightreactions);
+    if (weightvoice !== null) patch.decay_weight_voice = Math.max(0, weightvoice);
+
+    if (schedule !== null) {
+      const built = buildDecayCron({ schedule, time, weekday, expression: cronExpr });
+      if (built.error) {
+        await interaction.reply({ content: built.error, flags: MessageFlags.Ephemeral });
+        return;
+      }
+      patch.decay_cron = built.cron;
+    } else if (time !== null || weekday !== null || cronExpr !== null) {
+      await interaction.reply({
+        content: "Pick a `schedule` (daily, weekly or custom) to go with `time`, `weekday` or `cron`.",
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    if (timezone !== null) {
+      const tz = timezone.trim();
+      if (tz.toLowerCase() === "host") {
+        patch.decay_timezone = null;
+      } else if (isValidTimezone(tz)) {
+        patch.decay_timezone = tz;
+      } else {
+        await interaction.reply({
+          content: `Unknown timezone \`${tz}\`. Use an IANA name like \`Europe/Berlin\` or \`America/New_York\`.`,
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+    }
+
+    const updated = db.updateGuildSettings(guildId, patch);
+    decay.scheduleGuildDecay(interaction.client, guildId);
+
+    await interaction.reply({
+      content: `Updated decay settings:\n${describeDecay(updated)}`,
+      flags: MessageFlags.Ephemeral,
+    });
+  },
+};
@@ -0,0 +1,85 @@
+// /setlevelcurve (admin/mod)
+const { SlashCommandBuilder, MessageFlags } = require("discord.js");
+const { LEVEL_CURVES, xpForLevel, curveFromSettings, parseCurveTable, describeCurve } = require("../xp");
+const { ADMIN_PERMISSIONS } = require("./shared");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("setlevelcurve")
+    .setDescription("Choose how much XP each level needs.")
+    .addStringOption((opt) =>
+      opt
+        .setName("type")
+        .setDescription("Curve shape")
+        .addChoices(
+          { name: "Linear (L × factor)", value: "linear" },
+          { name: "Quadratic (L² × factor, default)", value: "quadratic" },
+          { name: "Exponential (+15% per level)", value: "exponential" },
+          { name: "Custom table", value: "custom" }
+        )
+        .setRequired(true)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("factor")
+        .setDescription("Curve factor (XP scale, default 100)")
+        .setMinValue(1)
+        .setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("table")
+        .setDescription("Custom: XP totals for levels 1,2,3,... e.g. 100,250,500")
+        .setRequired(false)
+    ),
+  permissions: ADMIN_PERMISSIONS,
+
+  async execute(interaction, { db }) {
+    const guildId = interaction.guildId;
+    const settings = db.getGuildSettings(guildId);
+
+    const type = interaction.options.getString("type", true);
+    const factor = interaction.options.getInteger("factor");
+    const tableText = interaction.options.getString("table");
+
+    if (!LEVEL_CURVES.includes(type)) {
+      await interaction.reply({ content: `Unknown curve type \`${type}\`.`, flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const patch = { level_curve: type };
+    if (factor !== null) patch.level_xp_factor = Math.max(1, factor);
+
+    if (type === "custom") {
+      if (tableText === null && !settings.level_curve_table) {
+        await interaction.reply({
+          content: "The custom curve needs a `table`: XP totals for levels 1, 2, 3, … (e.g. `100, 250, 500, 1000`).",
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+      if (tableText !== null) {
+        const parsed = parseCurveTable(tableText);
+        if (parsed.error) {
+          await interaction.reply({ content: parsed.error, flags: MessageFlags.Ephemeral });
+          return;
+        }
+        patch.level_curve_table = JSON.stringify(parsed.table);
+      }
+    }
+
+    const updated = db.updateGuildSettings(guildId, patch);
+    const curve = curveFromSettings(updated);
+    const preview = [1, 2, 3, 5, 10, 20]
+      .map(L => `Lvl ${L}: ${xpForLevel(L, curve).toLocaleString()} XP`)
+      .join(" • ");
+
+    await interaction.reply({
+      content:
+      `Updated level curve: **${describeCurve(curve)}**\n` +
+      `${preview}\n` +
+      `Level roles follow the new curve as members next earn XP (or run a role resync).`,
+      flags: MessageFlags.Ephemeral,
+    });
+  },
+};
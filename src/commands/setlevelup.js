@@ -0,0 +1,81 @@
+// /setlevelup (admin/mod)
+const { SlashCommandBuilder, MessageFlags, ChannelType } = require("discord.js");
+const { LEVELUP_MODES, DEFAULT_LEVELUP_TEMPLATE, describeLevelUpTarget } = require("../levelUp");
+const { ADMIN_PERMISSIONS } = require("./shared");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("setlevelup")
+    .setDescription("Configure level-up announcements for this guild.")
+    .addStringOption((opt) =>
+      opt
+        .setName("mode")
+        .setDescription("Where to announce level-ups")
+        .addChoices(
+          { name: "Off", value: "off" },
+          { name: "Same channel", value: "same" },
+          { name: "Fixed channel", value: "channel" },
+          { name: "DM the member", value: "dm" }
+        )
+        .setRequired(false)
+    )
+    .addChannelOption((opt) =>
+      opt
+        .setName("channel")
+        .setDescription("Channel for mode 'Fixed channel'")
+        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+        .setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("template")
+        .setDescription("Message template: {user} {username} {level} {role} {server}")
+        .setMaxLength(500)
+        .setRequired(false)
+    )
+    .addBooleanOption((opt) =>
+      opt
+        .setName("resettemplate")
+        .setDescription("Go back to the default template")
+        .setRequired(false)
+    ),
+  permissions: ADMIN_PERMISSIONS,
+
+  async execute(interaction, { db }) {
+    const guildId = interaction.guildId;
+    const settings = db.getGuildSettings(guildId);
+
+    const mode = interaction.options.getString("mode");
+    const channel = interaction.options.getChannel("channel");
+    const template = interaction.options.getString("template");
+    const resetTemplate = interaction.options.getBoolean("resettemplate");
+
+    const patch = {};
+    if (mode !== null && LEVELUP_MODES.includes(mode)) patch.levelup_mode = mode;
+    if (channel !== null) patch.levelup_channel_id = channel.id;
+    if (template !== null) patch.levelup_template = template;
+    if (resetTemplate) patch.levelup_template = null;
+
+    const effectiveMode = patch.levelup_mode ?? settings.levelup_mode;
+    const effectiveChannel = patch.levelup_channel_id ?? settings.levelup_channel_id;
+    if (effectiveMode === "channel" && !effectiveChannel) {
+      await interaction.reply({
+        content: "Mode `channel` needs a `channel` to post in.",
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const updated = db.updateGuildSettings(guildId, patch);
+
+    await interaction.reply({
+      content:
+      `Updated level-up announcements:\n` +
+      `- where: **${describeLevelUpTarget(updated)}**\n` +
+      `- template: ${updated.levelup_template ?? `(default) ${DEFAULT_LEVELUP_TEMPLATE}`}\n` +
+      `Placeholders: \`{user}\` \`{username}\` \`{level}\` \`{role}\` \`{server}\``,
+      allowedMentions: { parse: [] },
+      flags: MessageFlags.Ephemeral,
+    });
+  },
+};
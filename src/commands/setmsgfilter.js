@@ -0,0 +1,101 @@
+// /setmsgfilter (admin/mod)
+const { SlashCommandBuilder, MessageFlags } = require("discord.js");
+const { MAX_DEDUPE_WINDOW, LENGTH_SCALE_FULL_CHARS } = require("../messageFilters");
+const { ADMIN_PERMISSIONS } = require("./shared");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("setmsgfilter")
+    .setDescription("Configure which messages earn XP (anti-spam filters).")
+    .addIntegerOption((opt) =>
+      opt
+        .setName("minchars")
+        .setDescription("Minimum characters of real text (0 = off)")
+        .setMinValue(0)
+        .setMaxValue(2000)
+        .setRequired(false)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("minwords")
+        .setDescription("Minimum words (0 = off)")
+        .setMinValue(0)
+        .setMaxValue(200)
+        .setRequired(false)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("duplicates")
+        .setDescription("Compare against the user's last N messages (0 = off)")
+        .setMinValue(0)
+        .setMaxValue(20)
+        .setRequired(false)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("similarity")
+        .setDescription("Near-duplicate threshold in percent (default 90)")
+        .setMinValue(50)
+        .setMaxValue(100)
+        .setRequired(false)
+    )
+    .addBooleanOption((opt) =>
+      opt
+        .setName("requiretext")
+        .setDescription("Ignore messages that are only links, attachments or stickers")
+        .setRequired(false)
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("prefixes")
+        .setDescription("Ignore messages starting with these, space-separated (e.g. ! ?), or 'none'")
+        .setMaxLength(100)
+        .setRequired(false)
+    )
+    .addNumberOption((opt) =>
+      opt
+        .setName("lengthscale")
+        .setDescription("Max XP multiplier for long messages (1 = off, up to 5)")
+        .setMinValue(1)
+        .setMaxValue(5)
+        .setRequired(false)
+    ),
+  permissions: ADMIN_PERMISSIONS,
+
+  async execute(interaction, { db }) {
+    const guildId = interaction.guildId;
+
+    const minchars = interaction.options.getInteger("minchars");
+    const minwords = interaction.options.getInteger("minwords");
+    const duplicates = interaction.options.getInteger("duplicates");
+    const similarity = interaction.options.getInteger("similarity"); // 50..100
+    const requiretext = interaction.options.getBoolean("requiretext");
+    const prefixes = interaction.options.getString("prefixes");
+    const lengthscale = interaction.options.getNumber("lengthscale");
+
+    const patch = {};
+    if (minchars !== null) patch.msg_min_chars = Math.max(0, minchars);
+    if (minwords !== null) patch.msg_min_words = Math.max(0, minwords);
+    if (duplicates !== null) patch.msg_dedupe_window = Math.max(0, Math.min(MAX_DEDUPE_WINDOW, duplicates));
+    if (similarity !== null) patch.msg_dedupe_similarity = Math.max(0.5, Math.min(1, similarity / 100));
+    if (requiretext !== null) patch.msg_require_text = requiretext ? 1 : 0;
+    if (prefixes !== null) {
+      const list = prefixes.split(/\s+/).filter(Boolean);
+      patch.msg_command_prefixes = list.length && prefixes.trim().toLowerCase() !== "none" ? list.join(" ") : null;
+    }
+    if (lengthscale !== null) patch.msg_length_scale_max = Math.max(1, Math.min(5, lengthscale));
+
+    const updated = db.updateGuildSettings(guildId, patch);
+
+    await interaction.reply({
+      content:
+      `Updated message XP filters:\n` +
+      `- min length: **${updated.msg_min_chars} chars**, **${updated.msg_min_words} words** (links/mentions/emoji don’t count)\n` +
+      `- duplicate check: **${updated.msg_dedupe_window ? `last ${updated.msg_dedupe_window} msgs, ≥${Math.round(updated.msg_dedupe_similarity * 100)}% similar` : "off"}**\n` +
+      `- ignore link/attachment/sticker-only: **${!!updated.msg_require_text}**\n` +
+      `- ignored command prefixes: **${updated.msg_command_prefixes ?? "none"}**\n` +
+      `- length scaling: **${Number(updated.msg_length_scale_max) > 1 ? `up to ×${updated.msg_length_scale_max} at ${LENGTH_SCALE_FULL_CHARS} chars` : "off"}**`,
+      flags: MessageFlags.Ephemeral,
+    });
+  },
+};
@@ -0,0 +1,68 @@
+// /setreaction (admin/mod)
+const { SlashCommandBuilder, MessageFlags } = require("discord.js");
+const { REACTION_REWARD_MODES, describeReactionRules } = require("../reactionXp");
+const { ADMIN_PERMISSIONS } = require("./shared");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("setreaction")
+    .setDescription("Configure who earns reaction XP and anti-farming rules.")
+    .addStringOption((opt) =>
+      opt
+        .setName("reward")
+        .setDescription("Who earns XP for a reaction")
+        .addChoices(
+          { name: "Reactor", value: "reactor" },
+          { name: "Message author", value: "author" },
+          { name: "Both", value: "both" }
+        )
+        .setRequired(false)
+    )
+    .addBooleanOption((opt) =>
+      opt
+        .setName("selfreactions")
+        .setDescription("Allow XP for reacting to your own messages")
+        .setRequired(false)
+    )
+    .addBooleanOption((opt) =>
+      opt
+        .setName("botmessages")
+        .setDescription("Allow XP for reacting to bot messages")
+        .setRequired(false)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("revokewindow")
+        .setDescription("Take XP back if the reaction is removed within N minutes (0 = never)")
+        .setMinValue(0)
+        .setMaxValue(10080)
+        .setRequired(false)
+    ),
+  permissions: ADMIN_PERMISSIONS,
+
+  async execute(interaction, { db }) {
+    const guildId = interaction.guildId;
+
+    const reward = interaction.options.getString("reward");
+    const selfreactions = interaction.options.getBoolean("selfreactions");
+    const botmessages = interaction.options.getBoolean("botmessages");
+    const revokewindow = interaction.options.getInteger("revokewindow"); // minutes
+
+    const patch = {};
+    if (reward !== null && REACTION_REWARD_MODES.includes(reward)) patch.reaction_reward_mode = reward;
+    if (selfreactions !== null) patch.reaction_allow_self = selfreactions ? 1 : 0;
+    if (botmessages !== null) patch.reaction_allow_bot_messages = botmessages ? 1 : 0;
+    if (revokewindow !== null) patch.reaction_revoke_window_sec = Math.max(0, revokewindow) * 60;
+
+    const updated = db.updateGuildSettings(guildId, patch);
+
+    await interaction.reply({
+      content:
+      `Updated reaction XP rules:\n` +
+      `- ${describeReactionRules(updated)}\n` +
+      `- XP per reaction: **${updated.reaction_xp}** (cooldown ${updated.reaction_cooldown_sec}s per reactor; see \`/setxp\`)\n` +
+      `- each user earns at most once per message`,
+      flags: MessageFlags.Ephemeral,
+    });
+  },
+};
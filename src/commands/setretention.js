@@ -0,0 +1,54 @@
+// /setretention (admin/mod)
+const { SlashCommandBuilder, MessageFlags } = require("discord.js");
+const { describeRetention } = require("../members");
+const { ADMIN_PERMISSIONS } = require("./shared");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("setretention")
+    .setDescription("What happens to the XP data of members who leave.")
+    .addStringOption((opt) =>
+      opt
+        .setName("mode")
+        .setDescription("Retention for departed members")
+        .addChoices(
+          { name: "Keep forever (restored if they rejoin)", value: "keep" },
+          { name: "Purge after N days", value: "days" },
+          { name: "Purge immediately", value: "immediate" }
+        )
+        .setRequired(true)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("days")
+        .setDescription("Days to keep departed members' data (mode 'Purge after N days')")
+        .setMinValue(1)
+        .setMaxValue(3650)
+        .setRequired(false)
+    ),
+  permissions: ADMIN_PERMISSIONS,
+
+  async execute(interaction, { db }) {
+    const guildId = interaction.guildId;
+
+    const mode = interaction.options.getString("mode", true);
+    const days = interaction.options.getInteger("days");
+
+    let value;
+    if (mode === "keep") value = null;
+    else if (mode === "immediate") value = 0;
+    else if (days === null || days < 1) {
+      await interaction.reply({ content: "Mode `days` needs `days` (1 or more).", flags: MessageFlags.Ephemeral });
+      return;
+    } else value = days;
+
+    const updated = db.updateGuildSettings(guildId, { departed_retention_days: value });
+
+    await interaction.reply({
+      content:
+      `Departed members’ data: **${describeRetention(updated)}**.\n` +
+      `Applies to XP, activity and role timers; members who already left are purged on the next hourly check.`,
+      flags: MessageFlags.Ephemeral,
+    });
+  },
+};
@@ -0,0 +1,49 @@
+// /settings (admin/mod)
+const { SlashCommandBuilder, MessageFlags } = require("discord.js");
+const { curveFromSettings, describeCurve } = require("../xp");
+const { describeRoleRewardMode } = require("../roles");
+const { describeRetention } = require("../members");
+const { describeLevelUpTarget } = require("../levelUp");
+const { describeMessageFilters } = require("../messageFilters");
+const { describeDecay } = require("../decay");
+const { describeReactionRules } = require("../reactionXp");
+const { ADMIN_PERMISSIONS } = require("./shared");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("settings")
+    .setDescription("Show current guild settings."),
+  permissions: ADMIN_PERMISSIONS,
+
+  async execute(interaction, { db }) {
+    const guildId = interaction.guildId;
+    const settings = db.getGuildSettings(guildId);
+
+    const chans = db.listAllowedCommandChannels(guildId);
+    const chanText = chans.length
+    ? chans.map(r => `<#${r.channel_id}>`).join(", ")
+    : "All channels (no restriction set)";
+
+    const roles = db.listLevelRoles(guildId);
+    const roleText = roles.length
+    ? roles.map(r => `<@&${r.role_id}> @ Lvl ${r.level_required} (${r.keep_forever ? "kept forever" : `drop after ${r.drop_grace_days}d`})`).join("\n")
+    : "(none configured)";
+
+    await interaction.reply({
+      content:
+      `**HeisenXP-Bot Settings**\n` +
+      `**XP:** msg=${settings.msg_xp}, reaction=${settings.reaction_xp}, voice/min=${settings.voice_xp_per_min}\n` +
+      `**Cooldowns:** msg=${settings.msg_cooldown_sec}s, reaction=${settings.reaction_cooldown_sec}s\n` +
+      `**Reaction XP:** ${describeReactionRules(settings)}\n` +
+      `**Message filters:** ${describeMessageFilters(settings)}\n` +
+      `**XP multipliers:** ${db.listXpMultipliers(guildId).length} configured (see \`/xpmultiplier list\`)\n` +
+      `**Decay:** ${describeDecay(settings)}\n` +
+      `**Level curve:** ${describeCurve(curveFromSettings(settings))}\n` +
+      `**Level-up announcements:** ${describeLevelUpTarget(settings)}\n` +
+      `**Departed members:** ${describeRetention(settings)}\n` +
+      `**Commands allowed in:** ${chanText}\n` +
+      `**Level→Role mappings** (${describeRoleRewardMode(settings)}):\n${roleText}`,
+      flags: MessageFlags.Ephemeral,
+    });
+  },
+};
@@ -0,0 +1,86 @@
+// /setxp (admin/mod)
+const { SlashCommandBuilder, MessageFlags } = require("discord.js");
+const { ADMIN_PERMISSIONS, validateXpValue } = require("./shared");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("setxp")
+    .setDescription("Set XP values and cooldowns for this guild.")
+    .addIntegerOption((opt) =>
+      opt
+        .setName("message")
+        .setDescription("XP per message")
+        .setMinValue(0)
+        .setRequired(false)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("reaction")
+        .setDescription("XP per reaction")
+        .setMinValue(0)
+        .setRequired(false)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("voice")
+        .setDescription("XP per voice minute")
+        .setMinValue(0)
+        .setRequired(false)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("msgcooldown")
+        .setDescription("Message XP cooldown seconds")
+        .setMinValue(0)
+        .setRequired(false)
+    )
+    .addIntegerOption((opt) =>
+      opt
+        .setName("reactioncooldown")
+        .setDescription("Reaction XP cooldown seconds")
+        .setMinValue(0)
+        .setRequired(false)
+    ),
+  permissions: ADMIN_PERMISSIONS,
+
+  async execute(interaction, { db }) {
+    const guildId = interaction.guildId;
+
+    const msg = interaction.options.getInteger("message");
+    const reaction = interaction.options.getInteger("reaction");
+    const voice = interaction.options.getInteger("voice");
+    const msgcooldown = interaction.options.getInteger("msgcooldown");
+    const reactioncooldown = interaction.options.getInteger("reactioncooldown");
+
+    const errors = [
+      validateXpValue(msg, "Message"),
+        validateXpValue(reaction, "Reaction"),
+        validateXpValue(voice, "Voice"),
+    ].filter(Boolean);
+
+    if (errors.length) {
+      await interaction.reply({ content: errors.join("\n"), flags: MessageFlags.Ephemeral });
+      return;
+    }
+
+    const patch = {};
+    if (msg !== null) patch.msg_xp = msg;
+    if (reaction !== null) patch.reaction_xp = reaction;
+    if (voice !== null) patch.voice_xp_per_min = voice;
+    if (msgcooldown !== null) patch.msg_cooldown_sec = msgcooldown;
+    if (reactioncooldown !== null) patch.reaction_cooldown_sec = reactioncooldown;
+
+    const updated = db.updateGuildSettings(guildId, patch);
+
+    await interaction.reply({
+      content:
+      `Updated XP settings:\n` +
+      `- msg_xp: **${updated.msg_xp}**\n` +
+      `- reaction_xp: **${updated.reaction_xp}**\n` +
+      `- voice_xp_per_min: **${updated.voice_xp_per_min}**\n` +
+      `- msg_cooldown_sec: **${updated.msg_cooldown_sec}**\n` +
+      `- reaction_cooldown_sec: **${updated.reaction_cooldown_sec}**`,
+      flags: MessageFlags.Ephemeral,
+    });
+  },
+};
@@ -0,0 +1,53 @@
+// Helpers shared by the command modules in this directory.
+const { PermissionFlagsBits } = require("discord.js");
+const { MAX_XP_AWARD } = require("../db");
+
+// Default permission for admin/mod commands (registered and checked by the registry).
+const ADMIN_PERMISSIONS = PermissionFlagsBits.ManageGuild;
+
+const MAX_REPLY_CHARS = 2000; // Discord message content limit
+
+function isAdminOrMod(interaction) {
+  return interaction.memberPermissions?.has(ADMIN_PERMISSIONS);
+}
+
+function fitReply(text) {
+  return text.length <= MAX_REPLY_CHARS ? text : `${text.slice(0, MAX_REPLY_CHARS - 1)}…`;
+}
+
+function validateXpValue(value, label) {
+  if (value === null || value === undefined) return null;
+  if (!Number.isFinite(value) || value < 0) {
+    return `${label} XP must be a finite non-negative number.`;
+  }
+  if (value > MAX_XP_AWARD) {
+    return `XP value too large. Maximum value per ${label.toLowerCase()} is ${MAX_XP_AWARD.toLocaleString()}.`;
+  }
+  return null;
+}
+
+function formatBytes(n) {
+  if (n >= 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+  if (n >= 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${n} B`;
+}
+
+function formatDuration(ms) {
+  const totalMin = Math.floor(Math.max(0, ms) / 60000);
+  const d = Math.floor(totalMin / 1440);
+  const h = Math.floor((totalMin % 1440) / 60);
+  const m = totalMin % 60;
+  if (d) return `${d}d ${h}h ${m}m`;
+  if (h) return `${h}h ${m}m`;
+  return `${m}m`;
+}
+
+module.exports = {
+  ADMIN_PERMISSIONS,
+  MAX_XP_AWARD,
+  isAdminOrMod,
+  fitReply,
+  validateXpValue,
+  formatBytes,
+  formatDuration,
+};
@@ -0,0 +1,43 @@
+// /voicestats [user] (ephemeral)
+const { SlashCommandBuilder, MessageFlags } = require("discord.js");
+const { formatDuration } = require("./shared");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("voicestats")
+    .setDescription("Show voice time, longest session and favourite channels.")
+    .addUserOption((opt) =>
+      opt
+        .setName("user")
+        .setDescription("User to check")
+        .setRequired(false)
+    ),
+
+  async execute(interaction, { db }) {
+    const target = interaction.options.getUser("user") ?? interaction.user;
+    const stats = db.getVoiceStats(interaction.guildId, target.id);
+
+    if (!stats.sessions) {
+      await interaction.reply({
+        content: `${target.username} has no recorded voice time yet.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const favs = stats.channels.length
+      ? stats.channels.map((c, i) => `${i + 1}. <#${c.channel_id}> — ${formatDuration(c.ms)}`).join("\n")
+      : "(none)";
+
+    await interaction.reply({
+      content:
+      `**Voice stats for ${target.username}**\n` +
+      `- Total time: **${formatDuration(stats.totalMs)}** over **${stats.sessions}** session(s)\n` +
+      `- XP-eligible minutes: **${stats.eligibleMinutes}**\n` +
+      `- Longest session: **${formatDuration(stats.longestMs)}**\n` +
+      (stats.open ? `- In voice now: <#${stats.open.channel_id}>\n` : "") +
+      `**Favourite channels:**\n${favs}`,
+      flags: MessageFlags.Ephemeral,
+    });
+  },
+};
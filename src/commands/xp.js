@@ -0,0 +1,26 @@
+// /xp [user] (ephemeral)
+const { SlashCommandBuilder, MessageFlags } = require("discord.js");
+const { levelFromXp } = require("../xp");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("xp")
+    .setDescription("Show your XP and level (or another user's).")
+    .addUserOption((opt) =>
+      opt
+        .setName("user")
+        .setDescription("User to check")
+        .setRequired(false)
+    ),
+
+  async execute(interaction, { db }) {
+    const target = interaction.options.getUser("user") ?? interaction.user;
+    const xp = db.getXp(interaction.guildId, target.id);
+    const level = levelFromXp(xp, db.getGuildSettings(interaction.guildId));
+
+    await interaction.reply({
+      content: `${target.username}: **${xp} XP** (Level **${level}**)`,
+      flags: MessageFlags.Ephemeral,
+    });
+  },
+};
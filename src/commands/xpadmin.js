@@ -0,0 +1,246 @@
+// /xpadmin (admin/mod)
+const {
+  SlashCommandBuilder,
+  MessageFlags,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+} = require("discord.js");
+const { levelFromXp } = require("../xp");
+const { ADMIN_PERMISSIONS, isAdminOrMod } = require("./shared");
+
+// Button custom IDs (resetall confirmation, only usable by the admin who asked):
+//   xpadmin:resetall:confirm:<userId>:<issuedAtMs>
+//   xpadmin:resetall:cancel:<userId>:<issuedAtMs>
+const XPADMIN_PREFIX = "xpadmin";
+const RESETALL_CONFIRM_MS = 60 * 1000;
+
+/**
+ * Re-apply level roles for one user after an out-of-band XP change.
+ * Quietly skips users who are no longer in the guild.
+ */
+async function syncRolesForUserId({ db, roles }, guild, userId, settings) {
+  const member = await guild.members.fetch(userId).catch(() => null);
+  if (!member) return;
+  const lvl = levelFromXp(db.getXp(guild.id, userId), settings);
+  await roles.syncMemberRoles(member, lvl);
+}
+
+async function handleXpAdminButton(interaction, ctx) {
+  const [, action, choice, ownerId, issuedAt] = interaction.customId.split(":");
+  if (action !== "resetall") return;
+
+  if (interaction.user.id !== ownerId || !isAdminOrMod(interaction)) {
+    await interaction.reply({
+      content: "Only the admin who ran this command can confirm it.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  if (choice === "cancel") {
+    await interaction.update({ content: "Reset cancelled. No XP was changed.", components: [] });
+    return;
+  }
+
+  if (Date.now() - Number(issuedAt) > RESETALL_CONFIRM_MS) {
+    await interaction.update({ content: "Confirmation expired. Run `/xpadmin resetall` again.", components: [] });
+    return;
+  }
+
+  await interaction.update({ content: "Resetting all XP for this server…", components: [] });
+
+  const { db, roleResync } = ctx;
+  const guild = interaction.guild;
+  const settings = db.getGuildSettings(guild.id);
+  const userIds = db.resetGuildXp(guild.id);
+  console.log(`[xpadmin] ${interaction.user.id} reset all XP in guild ${guild.id} (${userIds.length} users)`);
+
+  // The interaction token expires after 15 minutes; keep going even if edits stop working.
+  const edit = (content) => interaction.editReply({ content }).catch(() => {});
+  const done = `Reset XP for **${userIds.length}** user(s).`;
+
+  if (!userIds.length || !db.listLevelRoles(guild.id).length) {
+    await edit(done);
+    return;
+  }
+  if (roleResync.isResyncRunning(guild.id)) {
+    await edit(`${done}\nA role resync is already running, so level roles weren’t updated; they catch up as members earn XP again.`);
+    return;
+  }
+
+  const describe = (t) =>
+    `${t.processed.toLocaleString()} / ${t.total.toLocaleString()} members checked • ` +
+    `**${t.removed}** roles removed, **${t.failed}** failed`;
+
+  await edit(`${done}\nSyncing level roles…`);
+  const totals = await roleResync.resyncGuildRoles(guild, settings, {
+    userIds,
+    onProgress: (t) => edit(`${done}\nSyncing level roles…\n${describe(t)}`),
+  });
+  await edit(`${done}\nLevel roles were re-synced (drop grace days still apply).\n${describe(totals)}`);
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("xpadmin")
+    .setDescription("Adjust or reset members' XP.")
+    .addSubcommand((sc) =>
+      sc
+        .setName("give")
+        .setDescription("Give XP to a user.")
+        .addUserOption((opt) =>
+          opt.setName("user").setDescription("User to adjust").setRequired(true)
+        )
+        .addIntegerOption((opt) =>
+          opt
+            .setName("amount")
+            .setDescription("XP to add")
+            .setMinValue(1)
+            .setRequired(true)
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("reason")
+            .setDescription("Why (kept in the XP ledger)")
+            .setMaxLength(200)
+            .setRequired(false)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("take")
+        .setDescription("Take XP from a user.")
+        .addUserOption((opt) =>
+          opt.setName("user").setDescription("User to adjust").setRequired(true)
+        )
+        .addIntegerOption((opt) =>
+          opt
+            .setName("amount")
+            .setDescription("XP to remove")
+            .setMinValue(1)
+            .setRequired(true)
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("reason")
+            .setDescription("Why (kept in the XP ledger)")
+            .setMaxLength(200)
+            .setRequired(false)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("set")
+        .setDescription("Set a user's total XP.")
+        .addUserOption((opt) =>
+          opt.setName("user").setDescription("User to adjust").setRequired(true)
+        )
+        .addIntegerOption((opt) =>
+          opt
+            .setName("amount")
+            .setDescription("New XP total")
+            .setMinValue(0)
+            .setRequired(true)
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("reason")
+            .setDescription("Why (kept in the XP ledger)")
+            .setMaxLength(200)
+            .setRequired(false)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("reset")
+        .setDescription("Reset a user's XP to 0.")
+        .addUserOption((opt) =>
+          opt.setName("user").setDescription("User to reset").setRequired(true)
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("reason")
+            .setDescription("Why (kept in the XP ledger)")
+            .setMaxLength(200)
+            .setRequired(false)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("resetall")
+        .setDescription("Reset XP for everyone in this server (asks for confirmation).")
+    ),
+  permissions: ADMIN_PERMISSIONS,
+  componentPrefix: XPADMIN_PREFIX,
+
+  async execute(interaction, ctx) {
+    const { db } = ctx;
+    const guildId = interaction.guildId;
+    const settings = db.getGuildSettings(guildId);
+
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === "resetall") {
+      const issuedAt = Date.now();
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`${XPADMIN_PREFIX}:resetall:confirm:${interaction.user.id}:${issuedAt}`)
+          .setLabel("Reset ALL XP")
+          .setStyle(ButtonStyle.Danger),
+        new ButtonBuilder()
+          .setCustomId(`${XPADMIN_PREFIX}:resetall:cancel:${interaction.user.id}:${issuedAt}`)
+          .setLabel("Cancel")
+          .setStyle(ButtonStyle.Secondary)
+      );
+
+      await interaction.reply({
+        content:
+        `⚠️ This will permanently delete **all XP** for every member of this server ` +
+        `(including period leaderboard history). Confirm within ${RESETALL_CONFIRM_MS / 1000}s.`,
+        components: [row],
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const target = interaction.options.getUser("user", true);
+    const reason = interaction.options.getString("reason") ?? null;
+
+    // Fetching the member and editing roles can outlast Discord's 3s reply window.
+    await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+    const before = db.getXp(guildId, target.id);
+
+    if (sub === "give") {
+      const amount = interaction.options.getInteger("amount", true);
+      db.addXp(guildId, target.id, Math.max(0, amount), "manual", reason);
+    } else if (sub === "take") {
+      const amount = interaction.options.getInteger("amount", true);
+      db.addXp(guildId, target.id, -Math.max(0, amount), "manual", reason);
+    } else if (sub === "set") {
+      const amount = interaction.options.getInteger("amount", true);
+      db.setXp(guildId, target.id, amount, "manual", reason);
+    } else if (sub === "reset") {
+      db.setXp(guildId, target.id, 0, "manual", reason);
+    }
+
+    const after = db.getXp(guildId, target.id);
+    await syncRolesForUserId(ctx, interaction.guild, target.id, settings);
+
+    console.log(
+      `[xpadmin] ${interaction.user.id} ${sub} ${target.id} in guild ${guildId}: ${before} -> ${after}` +
+      (reason ? ` (${reason})` : "")
+    );
+
+    await interaction.editReply({
+      content:
+      `${target}: **${before} XP** → **${after} XP** ` +
+      `(Level **${levelFromXp(before, settings)}** → **${levelFromXp(after, settings)}**)` +
+      (reason ? `\nReason: ${reason}` : ""),
+      allowedMentions: { parse: [] },
+    });
+  },
+
+  handleComponent: handleXpAdminButton,
+};
@@ -0,0 +1,337 @@
+// /xpdata export|import|importbot (admin/mod)
+const {
+  SlashCommandBuilder,
+  MessageFlags,
+  AttachmentBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+} = require("discord.js");
+const { exportToCsv, parseGuildExport } = require("../xpData");
+const { parseBotExport } = require("../botImport");
+const { ADMIN_PERMISSIONS, isAdminOrMod, fitReply } = require("./shared");
+
+// Button custom IDs: xpdata:import|importbot:confirm|cancel:<userId>:<token>
+// The parsed file waits in memory until the admin confirms (or it expires).
+const XPDATA_PREFIX = "xpdata";
+const XPDATA_IMPORT_CONFIRM_MS = 5 * 60 * 1000;
+const XPDATA_MAX_FILE_BYTES = 8 * 1024 * 1024;
+const pendingImports = new Map(); // token => { guildId, userId, data, issuedAt }
+
+async function downloadAttachment(file) {
+  const res = await fetch(file.url);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.text();
+}
+
+function sweepPendingImports() {
+  const cutoff = Date.now() - XPDATA_IMPORT_CONFIRM_MS;
+  for (const [token, p] of pendingImports.entries()) {
+    if (p.issuedAt < cutoff) pendingImports.delete(token);
+  }
+}
+
+async function handleXpDataButton(interaction, ctx) {
+  const [, action, choice, ownerId, token] = interaction.customId.split(":");
+  if (action !== "import" && action !== "importbot") return;
+
+  if (interaction.user.id !== ownerId || !isAdminOrMod(interaction)) {
+    await interaction.reply({
+      content: "Only the admin who ran this command can confirm it.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  sweepPendingImports();
+  const pending = pendingImports.get(token);
+  pendingImports.delete(token);
+
+  if (choice === "cancel") {
+    await interaction.update({ content: "Import cancelled. Nothing was changed.", components: [] });
+    return;
+  }
+
+  if (!pending || pending.guildId !== interaction.guild.id) {
+    await interaction.update({ content: `This import expired. Run \`/xpdata ${action}\` again.`, components: [] });
+    return;
+  }
+
+  if (action === "importbot") {
+    await applyBotImport(interaction, ctx, pending);
+    return;
+  }
+
+  ctx.db.importGuildData(pending.guildId, pending.data);
+  ctx.decay.scheduleGuildDecay(interaction.client, pending.guildId);
+  console.log(
+    `[xpdata] ${interaction.user.id} imported ${pending.data.users.length} user(s) into guild ${pending.guildId} (${pending.data.mode})`
+  );
+
+  await interaction.update({
+    content:
+    `Imported **${pending.data.users.length}** user(s), settings, ${pending.data.levelRoles.length} level role mapping(s) ` +
+    `and ${pending.data.channels.length} command channel(s) (${pending.data.mode}).\n` +
+    `Run \`/leveltorole resync\` to update members' roles now.`,
+    components: [],
+  });
+}
+
+// Confirmed /xpdata importbot: write XP, then optionally resync everyone's level roles.
+async function applyBotImport(interaction, { db, roleResync }, pending) {
+  const { users, departedUserIds, syncRoles } = pending.data;
+  db.importGuildData(pending.guildId, { mode: "merge", users, departedUserIds });
+  console.log(
+    `[xpdata] ${interaction.user.id} imported ${users.length} user(s) from another bot into guild ${pending.guildId}`
+  );
+
+  const done = `Imported XP for **${users.length}** user(s).`;
+  if (!syncRoles || !db.listLevelRoles(pending.guildId).length || roleResync.isResyncRunning(pending.guildId)) {
+    await interaction.update({
+      content: `${done}\n` + (syncRoles && roleResync.isResyncRunning(pending.guildId)
+        ? "A role resync is already running; run `/leveltorole resync` again once it finishes."
+        : "Run `/leveltorole resync` to update members' roles now."),
+      components: [],
+    });
+    return;
+  }
+
+  await interaction.update({ content: `${done}\nSyncing level roles…`, components: [] });
+  const edit = (content) => interaction.editReply({ content }).catch(() => {});
+  const describe = (t) =>
+    `${t.processed.toLocaleString()} / ${t.total.toLocaleString()} members checked • ` +
+    `**${t.added}** added, **${t.removed}** removed, **${t.failed}** failed`;
+
+  const totals = await roleResync.resyncGuildRoles(interaction.guild, db.getGuildSettings(pending.guildId), {
+    onProgress: (t) => edit(`${done}\nSyncing level roles…\n${describe(t)}`),
+  });
+  await edit(`${done}\nRole sync finished.\n${describe(totals)}`);
+}
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("xpdata")
+    .setDescription("Export or import this server's XP data and configuration.")
+    .addSubcommand((sc) =>
+      sc
+        .setName("export")
+        .setDescription("Download users, XP, settings, level roles and command channels (JSON + CSV).")
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("import")
+        .setDescription("Import a /xpdata export (shows a preview before applying).")
+        .addAttachmentOption((opt) =>
+          opt.setName("file").setDescription("JSON file from /xpdata export").setRequired(true)
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("mode")
+            .setDescription("Merge into current data (default) or replace it")
+            .addChoices(
+              { name: "Merge", value: "merge" },
+              { name: "Replace", value: "replace" }
+            )
+            .setRequired(false)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("importbot")
+        .setDescription("Import XP from another leveling bot (MEE6-style JSON or CSV; preview first).")
+        .addAttachmentOption((opt) =>
+          opt.setName("file").setDescription("JSON leaderboard export, or CSV of user_id,xp / user_id,level").setRequired(true)
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("format")
+            .setDescription("File format (default: detect)")
+            .addChoices(
+              { name: "Detect", value: "auto" },
+              { name: "MEE6-style JSON", value: "mee6" },
+              { name: "CSV", value: "csv" }
+            )
+            .setRequired(false)
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("use")
+            .setDescription("Take the file's XP (default), or its levels converted with this server's curve")
+            .addChoices(
+              { name: "XP", value: "xp" },
+              { name: "Level", value: "level" }
+            )
+            .setRequired(false)
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("absent")
+            .setDescription("Users in the file who aren't in this server (default: skip)")
+            .addChoices(
+              { name: "Skip them", value: "skip" },
+              { name: "Import them (hidden until they rejoin)", value: "keep" }
+            )
+            .setRequired(false)
+        )
+        .addBooleanOption((opt) =>
+          opt.setName("syncroles").setDescription("Resync level roles after importing (default: no)").setRequired(false)
+        )
+    ),
+  permissions: ADMIN_PERMISSIONS,
+  componentPrefix: XPDATA_PREFIX,
+
+  async execute(interaction, { db, xpData, botImport }) {
+    const guildId = interaction.guildId;
+    const settings = db.getGuildSettings(guildId);
+
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === "export") {
+      const data = xpData.buildGuildExport(guildId);
+      const stamp = new Date().toISOString().slice(0, 10);
+      await interaction.reply({
+        content: `Exported **${data.users.length}** user(s), settings, ${data.level_roles.length} level role mapping(s) and ${data.allowed_command_channels.length} command channel(s).`,
+        files: [
+          new AttachmentBuilder(Buffer.from(JSON.stringify(data, null, 2)), { name: `heisenxp-${guildId}-${stamp}.json` }),
+          new AttachmentBuilder(Buffer.from(exportToCsv(data)), { name: `heisenxp-${guildId}-${stamp}-users.csv` }),
+        ],
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    if (sub === "import") {
+      const file = interaction.options.getAttachment("file", true);
+      const mode = interaction.options.getString("mode") === "replace" ? "replace" : "merge";
+
+      if (file.size > XPDATA_MAX_FILE_BYTES) {
+        await interaction.reply({ content: "That file is too large (max 8 MB).", flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+      let text;
+      try {
+        text = await downloadAttachment(file);
+      } catch (err) {
+        await interaction.editReply({ content: `Couldn’t download the file: ${err?.message || err}` });
+        return;
+      }
+
+      const parsed = parseGuildExport(text, settings);
+      if (parsed.error) {
+        await interaction.editReply({ content: parsed.error });
+        return;
+      }
+
+      sweepPendingImports();
+      const token = interaction.id;
+      pendingImports.set(token, {
+        guildId,
+        userId: interaction.user.id,
+        data: { ...parsed.data, mode },
+        issuedAt: Date.now(),
+      });
+
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`${XPDATA_PREFIX}:import:confirm:${interaction.user.id}:${token}`)
+          .setLabel(mode === "replace" ? "Replace data" : "Merge data")
+          .setStyle(mode === "replace" ? ButtonStyle.Danger : ButtonStyle.Primary),
+        new ButtonBuilder()
+          .setCustomId(`${XPDATA_PREFIX}:import:cancel:${interaction.user.id}:${token}`)
+          .setLabel("Cancel")
+          .setStyle(ButtonStyle.Secondary)
+      );
+
+      await interaction.editReply({
+        content: fitReply(
+          `${xpData.describeImport(guildId, parsed.data, mode)}\n` +
+          `Confirm within ${XPDATA_IMPORT_CONFIRM_MS / 60000} minutes.`
+        ),
+        components: [row],
+      });
+      return;
+    }
+
+    if (sub === "importbot") {
+      const file = interaction.options.getAttachment("file", true);
+      const format = interaction.options.getString("format") ?? "auto";
+      const use = interaction.options.getString("use") === "level" ? "level" : "xp";
+      const absentMode = interaction.options.getString("absent") === "keep" ? "keep" : "skip";
+      const syncRoles = interaction.options.getBoolean("syncroles") ?? false;
+
+      if (file.size > XPDATA_MAX_FILE_BYTES) {
+        await interaction.reply({ content: "That file is too large (max 8 MB).", flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+      let text;
+      try {
+        text = await downloadAttachment(file);
+      } catch (err) {
+        await interaction.editReply({ content: `Couldn’t download the file: ${err?.message || err}` });
+        return;
+      }
+
+      const parsed = parseBotExport(text, { format, use, curve: settings });
+      if (parsed.error) {
+        await interaction.editReply({ content: parsed.error });
+        return;
+      }
+      if (!parsed.rows.length) {
+        await interaction.editReply({
+          content: fitReply(`No importable rows found.\n${botImport.describeBotImport(guildId, { ...parsed, use })}`),
+        });
+        return;
+      }
+
+      // Match rows against the member list (needs the Server Members intent).
+      let members;
+      try {
+        members = await interaction.guild.members.fetch();
+      } catch (err) {
+        await interaction.editReply({ content: `Couldn’t fetch the member list: ${err?.message || err}` });
+        return;
+      }
+      const absent = parsed.rows.filter(r => !members.has(r.user_id)).map(r => r.user_id);
+      const absentSet = new Set(absent);
+      const users = absentMode === "keep" ? parsed.rows : parsed.rows.filter(r => !absentSet.has(r.user_id));
+
+      sweepPendingImports();
+      const token = interaction.id;
+      pendingImports.set(token, {
+        guildId,
+        userId: interaction.user.id,
+        data: { users, departedUserIds: absentMode === "keep" ? absent : [], syncRoles },
+        issuedAt: Date.now(),
+      });
+
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`${XPDATA_PREFIX}:importbot:confirm:${interaction.user.id}:${token}`)
+          .setLabel(syncRoles ? "Import and sync roles" : "Import")
+          .setStyle(ButtonStyle.Primary)
+          .setDisabled(!users.length),
+        new ButtonBuilder()
+          .setCustomId(`${XPDATA_PREFIX}:importbot:cancel:${interaction.user.id}:${token}`)
+          .setLabel("Cancel")
+          .setStyle(ButtonStyle.Secondary)
+      );
+
+      await interaction.editReply({
+        content: fitReply(
+          `${botImport.describeBotImport(guildId, { ...parsed, use, absent, absentMode })}\n` +
+          `Confirm within ${XPDATA_IMPORT_CONFIRM_MS / 60000} minutes.`
+        ),
+        components: [row],
+      });
+      return;
+    }
+  },
+
+  handleComponent: handleXpDataButton,
+};
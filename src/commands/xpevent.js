@@ -0,0 +1,169 @@
+// /xpevent (admin/mod)
+const { SlashCommandBuilder, MessageFlags, ChannelType } = require("discord.js");
+const { MAX_MULTIPLIER } = require("../multipliers");
+const { parseWhen, parseChannelIds, describeXpEvent } = require("../xpEvents");
+const { ADMIN_PERMISSIONS, fitReply } = require("./shared");
+
+const AUTOCOMPLETE_MAX_CHOICES = 25; // Discord limit
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("xpevent")
+    .setDescription("Schedule XP boost events (e.g. double-XP weekends).")
+    .addSubcommand((sc) =>
+      sc
+        .setName("create")
+        .setDescription("Schedule a new XP boost event.")
+        .addStringOption((opt) =>
+          opt
+            .setName("name")
+            .setDescription("Event name")
+            .setMaxLength(100)
+            .setRequired(true)
+        )
+        .addNumberOption((opt) =>
+          opt
+            .setName("multiplier")
+            .setDescription("XP multiplier while running (e.g. 2 = double XP)")
+            .setMinValue(0.1)
+            .setMaxValue(10)
+            .setRequired(true)
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("start")
+            .setDescription("now, +2h, 2026-10-24 18:00 (UTC), 2026-10-24T18:00+02:00")
+            .setRequired(true)
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("end")
+            .setDescription("+2d (after start), or an absolute time like start")
+            .setRequired(true)
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("channels")
+            .setDescription("Only boost these channels/categories (mention them); default all")
+            .setRequired(false)
+        )
+        .addChannelOption((opt) =>
+          opt
+            .setName("announce")
+            .setDescription("Announce start and end in this channel")
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+            .setRequired(false)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc.setName("list").setDescription("List upcoming and running XP events.")
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("cancel")
+        .setDescription("Cancel an XP event.")
+        .addIntegerOption((opt) =>
+          opt
+            .setName("id")
+            .setDescription("Event ID (from /xpevent list)")
+            .setMinValue(1)
+            .setRequired(true)
+            .setAutocomplete(true)
+        )
+    ),
+  permissions: ADMIN_PERMISSIONS,
+
+  async execute(interaction, { db }) {
+    const guildId = interaction.guildId;
+
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === "create") {
+      const name = interaction.options.getString("name", true).trim();
+      const multiplier = interaction.options.getNumber("multiplier", true);
+      const startText = interaction.options.getString("start", true);
+      const endText = interaction.options.getString("end", true);
+      const channelsText = interaction.options.getString("channels");
+      const announceChannel = interaction.options.getChannel("announce");
+
+      const startsAt = parseWhen(startText);
+      // Relative end times ("+2d") count from the event start, not from now.
+      const endsAt = startsAt === null ? null : parseWhen(endText, startsAt);
+
+      const errors = [];
+      if (!name) errors.push("Event name can’t be empty.");
+      if (!Number.isFinite(multiplier) || multiplier <= 0 || multiplier > MAX_MULTIPLIER) {
+        errors.push(`Multiplier must be above 0 and at most ${MAX_MULTIPLIER}.`);
+      }
+      if (startsAt === null) errors.push(`Couldn’t read start time \`${startText}\`.`);
+      if (startsAt !== null && endsAt === null) errors.push(`Couldn’t read end time \`${endText}\`.`);
+      if (startsAt !== null && endsAt !== null && endsAt <= startsAt) errors.push("End must be after start.");
+      if (endsAt !== null && endsAt <= Date.now()) errors.push("That event would already be over.");
+
+      const channelIds = parseChannelIds(channelsText);
+      if (channelsText && !channelIds.length) errors.push("No channels found in `channels` (mention them like #general).");
+
+      if (errors.length) {
+        await interaction.reply({
+          content: `${errors.join("\n")}\nTimes: \`now\`, \`+2h\`, \`+1d\`, \`2026-10-24 18:00\` (UTC) or \`2026-10-24T18:00+02:00\`.`,
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+
+      const ev = db.createXpEvent(guildId, {
+        name: name.slice(0, 100),
+        multiplier,
+        startsAt,
+        endsAt,
+        channelIds,
+        announceChannelId: announceChannel?.id ?? null,
+        createdBy: interaction.user.id,
+      });
+
+      await interaction.reply({
+        content:
+        `Scheduled XP event:\n${describeXpEvent(ev)}` +
+        (ev.announce_channel_id ? `\nStart/end will be announced in <#${ev.announce_channel_id}>.` : ""),
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    if (sub === "list") {
+      const events = db.listUpcomingXpEvents(guildId);
+      if (!events.length) {
+        await interaction.reply({ content: "No upcoming or running XP events.", flags: MessageFlags.Ephemeral });
+        return;
+      }
+
+      const t = Date.now();
+      const lines = events.map(ev => `- ${ev.starts_at <= t ? "🟢 " : ""}${describeXpEvent(ev)}`);
+      await interaction.reply({
+        content: fitReply(`**XP events** (🟢 = running)\n${lines.join("\n")}`),
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    if (sub === "cancel") {
+      const id = interaction.options.getInteger("id", true);
+      const ok = db.cancelXpEvent(guildId, id);
+      await interaction.reply({
+        content: ok ? `Cancelled XP event **#${id}**.` : `No active XP event with ID **#${id}**.`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+  },
+
+  // /xpevent cancel id: suggest upcoming and running events.
+  async autocomplete(interaction, { db }) {
+    const typed = String(interaction.options.getFocused() ?? "").toLowerCase();
+    const choices = db.listUpcomingXpEvents(interaction.guildId)
+      .filter(ev => !typed || String(ev.id).startsWith(typed) || ev.name.toLowerCase().includes(typed))
+      .slice(0, AUTOCOMPLETE_MAX_CHOICES)
+      .map(ev => ({ name: `#${ev.id} ${ev.name} (×${Number(ev.multiplier)})`.slice(0, 100), value: ev.id }));
+    await interaction.respond(choices);
+  },
+};
@@ -0,0 +1,130 @@
+// /xpmultiplier (admin/mod)
+const { SlashCommandBuilder, MessageFlags } = require("discord.js");
+const { MAX_MULTIPLIER } = require("../multipliers");
+const { ADMIN_PERMISSIONS } = require("./shared");
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName("xpmultiplier")
+    .setDescription("Boost, reduce or disable XP for channels and roles.")
+    .addSubcommand((sc) =>
+      sc
+        .setName("add")
+        .setDescription("Set a multiplier for a channel/category or a role (0 = no XP).")
+        .addNumberOption((opt) =>
+          opt
+            .setName("multiplier")
+            .setDescription("e.g. 2 = double XP, 0.5 = half, 0 = no XP")
+            .setMinValue(0)
+            .setMaxValue(10)
+            .setRequired(true)
+        )
+        .addChannelOption((opt) =>
+          opt
+            .setName("channel")
+            .setDescription("Channel or category")
+            .setRequired(false)
+        )
+        .addRoleOption((opt) =>
+          opt.setName("role").setDescription("Role").setRequired(false)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("remove")
+        .setDescription("Remove a channel or role multiplier.")
+        .addChannelOption((opt) =>
+          opt
+            .setName("channel")
+            .setDescription("Channel or category")
+            .setRequired(false)
+        )
+        .addRoleOption((opt) =>
+          opt.setName("role").setDescription("Role").setRequired(false)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc.setName("list").setDescription("List XP multipliers.")
+    ),
+  permissions: ADMIN_PERMISSIONS,
+
+  async execute(interaction, { db }) {
+    const guildId = interaction.guildId;
+
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === "list") {
+      const rows = db.listXpMultipliers(guildId);
+      if (!rows.length) {
+        await interaction.reply({
+          content: "No XP multipliers configured — every channel and role earns ×1.",
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+
+      const fmt = (r) => {
+        const target = r.target_type === "channel" ? `<#${r.target_id}>` : `<@&${r.target_id}>`;
+        const m = Number(r.multiplier);
+        return `- ${target}: **×${m}**${m === 0 ? " (no XP)" : ""}`;
+      };
+      const channels = rows.filter(r => r.target_type === "channel").map(fmt);
+      const roles = rows.filter(r => r.target_type === "role").map(fmt);
+
+      await interaction.reply({
+        content:
+        `**XP multipliers** (channel × role; a ×0 role blocks XP, otherwise the member's highest role multiplier applies)\n` +
+        `**Channels/categories:**\n${channels.join("\n") || "(none)"}\n` +
+        `**Roles:**\n${roles.join("\n") || "(none)"}`,
+        allowedMentions: { parse: [] },
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const channel = interaction.options.getChannel("channel");
+    const role = interaction.options.getRole("role");
+    if ((channel && role) || (!channel && !role)) {
+      await interaction.reply({
+        content: "Pick exactly one `channel` or `role`.",
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    const targetType = channel ? "channel" : "role";
+    const target = channel ?? role;
+    const label = channel ? `<#${channel.id}>` : `${role}`;
+
+    if (sub === "add") {
+      const multiplier = interaction.options.getNumber("multiplier", true);
+      if (!Number.isFinite(multiplier) || multiplier < 0 || multiplier > MAX_MULTIPLIER) {
+        await interaction.reply({
+          content: `Multiplier must be between 0 and ${MAX_MULTIPLIER}.`,
+          flags: MessageFlags.Ephemeral,
+        });
+        return;
+      }
+
+      db.upsertXpMultiplier(guildId, targetType, target.id, multiplier);
+      await interaction.reply({
+        content: `${label} now earns **×${multiplier}** XP${multiplier === 0 ? " (no XP)" : ""}.`,
+        allowedMentions: { parse: [] },
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+
+    if (sub === "remove") {
+      const removed = db.deleteXpMultiplier(guildId, targetType, target.id);
+      await interaction.reply({
+        content: removed
+          ? `Removed the multiplier for ${label} (back to ×1).`
+          : `${label} has no multiplier configured.`,
+        allowedMentions: { parse: [] },
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+  },
+};
@@ -1,9 +1,9 @@
 // src/db.js
 const Database = require("better-sqlite3");
 const path = require("path");
+const { runMigrations } = require("./migrations");
 
-const db = new Database(path.join(__dirname, "..", "xpbot.sqlite"));
-db.pragma("journal_mode = WAL");
+const DEFAULT_DB_PATH = path.join(__dirname, "..", "xpbot.sqlite");
 
 function now() {
   return Date.now();
@@ -12,6 +12,10 @@ function now() {
 // JS-safe XP cap (prevents Infinity/precision loss in Node)
 const MAX_SAFE_XP = Number.MAX_SAFE_INTEGER; // 9,007,199,254,740,991
 
+// Cap for a single XP award or adjustment (per-message/reaction settings, /xpadmin amounts).
+// 1 billion per event is already wildly high, but finite & safe.
+const MAX_XP_AWARD = 1_000_000_000;
+
 /**
  * Clamp any value to a safe finite integer delta (can be negative).
  * - Non-finite -> 0
@@ -40,531 +44,1168 @@ function clampXpTotal(n) {
   return Math.min(Math.floor(x), MAX_SAFE_XP);
 }
 
-/**
- * Helper: check if a table exists.
- */
-function tableExists(name) {
-  const row = db
-  .prepare(`SELECT name FROM sqlite_master WHERE type='table' AND name=?`)
-  .get(name);
-  return !!row;
+// Where backups go (scheduled ones and the automatic pre-migration copy).
+function backupDir() {
+  return path.resolve(process.env.BACKUP_DIR || path.join(__dirname, "..", "backups"));
 }
 
 /**
- * Helper: get columns for a table (empty if table doesn't exist)
+ * Open (creating/migrating as needed) a database and return its query API.
+ * path: a file, or ":memory:" for a throwaway database (tests); defaults to DB_PATH,
+ * then xpbot.sqlite in the project root. Modules get this object injected
+ * (createRoles({ db }), createDecay({ db, roles }), …) instead of requiring a singleton.
  */
-function getColumns(table) {
-  if (!tableExists(table)) return [];
-  return db.prepare(`PRAGMA table_info(${table})`).all().map(r => r.name);
-}
+function createDb({ path: file = process.env.DB_PATH || DEFAULT_DB_PATH } = {}) {
+  const db = new Database(file === ":memory:" ? file : path.resolve(file));
+  db.pragma("journal_mode = WAL");
+
+  // Create/upgrade the schema (see src/migrations.js); throws if the database is newer than the code.
+  runMigrations(db, { backupDir: file === ":memory:" ? null : backupDir() });
+
+  (function repairXp() {
+    // Cleanup pass: clamp any bad/overflow XP already stored (Infinity/NaN/too big/negative)
+    // Handles:
+    // - REAL inf/nan
+    // - TEXT 'Infinity'/'NaN' (if ever inserted as strings)
+    // - values > MAX_SAFE_XP
+    // - values < 0
+    //
+    // Note: SQLite compares INF > any finite number, so xp > MAX_SAFE_XP will catch REAL Infinity.
+    db.prepare(`
+    UPDATE users
+    SET xp = ?, updated_at = ?
+    WHERE xp > ?
+    OR xp < 0
+    OR xp = 'Infinity'
+    OR xp = 'inf'
+    OR xp = 'INF'
+    OR xp = 'NaN'
+    OR xp = 'nan'
+    `).run(MAX_SAFE_XP, now(), MAX_SAFE_XP);
+  })();
+
+  /**
+   * Ensure a settings row exists for a guild.
+   * This also ensures defaults are present for all columns (including migrated ones).
+   */
+  function ensureGuildSettings(guildId) {
+    const t = now();
+    db.prepare(`
+    INSERT INTO guild_settings (guild_id, updated_at)
+    VALUES (?, ?)
+    ON CONFLICT(guild_id) DO UPDATE SET updated_at=excluded.updated_at
+    `).run(guildId, t);
+  }
 
-/**
- * Helper: add column if missing (SQLite doesn't support IF NOT EXISTS for columns).
- */
-function addColumnIfMissing(table, columnName, columnDefSql) {
-  const cols = new Set(getColumns(table));
-  if (cols.has(columnName)) return;
-  db.prepare(`ALTER TABLE ${table} ADD COLUMN ${columnDefSql}`).run();
-}
+  function getGuildSettings(guildId) {
+    ensureGuildSettings(guildId);
+    const row = db.prepare(`SELECT * FROM guild_settings WHERE guild_id=?`).get(guildId);
+
+    // This should never be undefined due to ensureGuildSettings, but be defensive.
+    if (!row) {
+      return {
+        guild_id: guildId,
+        msg_xp: 5,
+        reaction_xp: 2,
+        voice_xp_per_min: 1,
+        msg_cooldown_sec: 20,
+        reaction_cooldown_sec: 10,
+        decay_enabled: 1,
+        decay_window_days: 7,
+        decay_min_messages: 20,
+        decay_percent: 0.10,
+        decay_weight_message: 1,
+        decay_weight_reaction: 0,
+        decay_weight_voice: 0,
+        decay_mode: "percent",
+        decay_amount: 0,
+        decay_grace_days: 0,
+        decay_floor: "none",
+        decay_cron: null,
+        decay_timezone: null,
+        level_xp_factor: 100,
+        level_curve: "quadratic",
+        level_curve_table: null,
+        msg_min_chars: 0,
+        msg_min_words: 0,
+        msg_dedupe_window: 0,
+        msg_dedupe_similarity: 0.9,
+        msg_require_text: 0,
+        msg_command_prefixes: null,
+        msg_length_scale_max: 1,
+        levelup_mode: "off",
+        levelup_channel_id: null,
+        levelup_template: null,
+        role_reward_mode: "stack",
+        departed_retention_days: null,
+        reaction_reward_mode: "reactor",
+        reaction_allow_self: 0,
+        reaction_allow_bot_messages: 0,
+        reaction_revoke_window_sec: 3600,
+        updated_at: now(),
+      };
+    }
+    return row;
+  }
 
-/**
- * Base schema creation.
- * Note: if you change schema later, add migration logic below.
- */
-db.exec(`
-CREATE TABLE IF NOT EXISTS users (
-  guild_id TEXT NOT NULL,
-  user_id  TEXT NOT NULL,
-  xp       INTEGER NOT NULL DEFAULT 0,
-  created_at INTEGER NOT NULL,
-  updated_at INTEGER NOT NULL,
-  PRIMARY KEY (guild_id, user_id)
-);
-
-CREATE TABLE IF NOT EXISTS activity_log (
-  guild_id TEXT NOT NULL,
-  user_id  TEXT NOT NULL,
-  kind     TEXT NOT NULL, -- message|reaction|voice_minute
-  amount   INTEGER NOT NULL DEFAULT 1,
-  created_at INTEGER NOT NULL
-);
-CREATE INDEX IF NOT EXISTS idx_activity_recent
-ON activity_log (guild_id, user_id, kind, created_at);
-
--- Helps range scans on time windows (e.g., decay checks, pruning).
-CREATE INDEX IF NOT EXISTS idx_activity_created_at
-ON activity_log (created_at);
-
--- Kept for compatibility / future features
-CREATE TABLE IF NOT EXISTS voice_sessions (
-  guild_id TEXT NOT NULL,
-  user_id  TEXT NOT NULL,
-  channel_id TEXT NOT NULL,
-  joined_at INTEGER NOT NULL,
-  PRIMARY KEY (guild_id, user_id)
-);
-
--- Per-guild settings (one row per guild)
-CREATE TABLE IF NOT EXISTS guild_settings (
-  guild_id TEXT PRIMARY KEY,
-
-  msg_xp INTEGER NOT NULL DEFAULT 5,
-  voice_xp_per_min INTEGER NOT NULL DEFAULT 1,
-  msg_cooldown_sec INTEGER NOT NULL DEFAULT 20,
-
-  decay_enabled INTEGER NOT NULL DEFAULT 1,
-  decay_window_days INTEGER NOT NULL DEFAULT 7,
-  decay_min_messages INTEGER NOT NULL DEFAULT 20,
-  decay_percent REAL NOT NULL DEFAULT 0.10,
-
-  level_xp_factor INTEGER NOT NULL DEFAULT 100,
-
-  updated_at INTEGER NOT NULL
-);
-
--- Level -> role mapping, plus drop grace days
-CREATE TABLE IF NOT EXISTS level_roles (
-  guild_id TEXT NOT NULL,
-  role_id TEXT NOT NULL,
-  level_required INTEGER NOT NULL,
-  drop_grace_days INTEGER NOT NULL DEFAULT 3,
-  created_at INTEGER NOT NULL,
-  updated_at INTEGER NOT NULL,
-  PRIMARY KEY (guild_id, role_id)
-);
-
--- Tracks when user first fell below a role's required level
-CREATE TABLE IF NOT EXISTS role_drop_state (
-  guild_id TEXT NOT NULL,
-  user_id TEXT NOT NULL,
-  role_id TEXT NOT NULL,
-  below_since INTEGER, -- ms epoch, NULL when not below
-  updated_at INTEGER NOT NULL,
-  PRIMARY KEY (guild_id, user_id, role_id)
-);
-
--- Allowed command channels per guild (if empty => commands allowed everywhere)
-CREATE TABLE IF NOT EXISTS allowed_command_channels (
-  guild_id TEXT NOT NULL,
-  channel_id TEXT NOT NULL,
-  created_at INTEGER NOT NULL,
-  PRIMARY KEY (guild_id, channel_id)
-);
-`);
+  function updateGuildSettings(guildId, patch) {
+    ensureGuildSettings(guildId);
+
+    const allowed = new Set([
+      "msg_xp",
+      "reaction_xp",
+      "voice_xp_per_min",
+      "msg_cooldown_sec",
+      "reaction_cooldown_sec",
+      "decay_enabled",
+      "decay_window_days",
+      "decay_min_messages",
+      "decay_percent",
+      "decay_weight_message",
+      "decay_weight_reaction",
+      "decay_weight_voice",
+      "decay_mode",
+      "decay_amount",
+      "decay_grace_days",
+      "decay_floor",
+      "decay_cron",
+      "decay_timezone",
+      "level_xp_factor",
+      "level_curve",
+      "level_curve_table",
+      "msg_min_chars",
+      "msg_min_words",
+      "msg_dedupe_window",
+      "msg_dedupe_similarity",
+      "msg_require_text",
+      "msg_command_prefixes",
+      "msg_length_scale_max",
+      "levelup_mode",
+      "levelup_channel_id",
+      "levelup_template",
+      "role_reward_mode",
+      "departed_retention_days",
+      "reaction_reward_mode",
+      "reaction_allow_self",
+      "reaction_allow_bot_messages",
+      "reaction_revoke_window_sec",
+    ]);
+
+    const keys = Object.keys(patch).filter(k => allowed.has(k));
+    if (!keys.length) return getGuildSettings(guildId);
+
+    // Clamp absurd XP award values to safe deltas (prevents "quintillion per message" silliness)
+    const clampAward = (v) => {
+      const x = Number(v);
+      if (!Number.isFinite(x)) return 0;
+      return Math.max(0, Math.min(Math.floor(x), MAX_XP_AWARD));
+    };
 
-/**
- * === MIGRATIONS ===
- * Add new columns safely for existing installs.
- */
-(function runMigrations() {
-  // Add per-guild reaction XP + cooldown (new feature)
-  addColumnIfMissing(
-    "guild_settings",
-    "reaction_xp",
-    "reaction_xp INTEGER NOT NULL DEFAULT 2"
-  );
-  addColumnIfMissing(
-    "guild_settings",
-    "reaction_cooldown_sec",
-    "reaction_cooldown_sec INTEGER NOT NULL DEFAULT 10"
-  );
-
-  // Cleanup pass: clamp any bad/overflow XP already stored (Infinity/NaN/too big/negative)
-  // Handles:
-  // - REAL inf/nan
-  // - TEXT 'Infinity'/'NaN' (if ever inserted as strings)
-  // - values > MAX_SAFE_XP
-  // - values < 0
-  //
-  // Note: SQLite compares INF > any finite number, so xp > MAX_SAFE_XP will catch REAL Infinity.
-  db.prepare(`
-  UPDATE users
-  SET xp = ?, updated_at = ?
-  WHERE xp > ?
-  OR xp < 0
-  OR xp = 'Infinity'
-  OR xp = 'inf'
-  OR xp = 'INF'
-  OR xp = 'NaN'
-  OR xp = 'nan'
-  `).run(MAX_SAFE_XP, now(), MAX_SAFE_XP);
-})();
+    const safePatch = { ...patch };
+    if (safePatch.msg_xp !== undefined) safePatch.msg_xp = clampAward(safePatch.msg_xp);
+    if (safePatch.reaction_xp !== undefined) safePatch.reaction_xp = clampAward(safePatch.reaction_xp);
+    if (safePatch.voice_xp_per_min !== undefined) safePatch.voice_xp_per_min = clampAward(safePatch.voice_xp_per_min);
 
-/**
- * Ensure a settings row exists for a guild.
- * This also ensures defaults are present for all columns (including migrated ones).
- */
-function ensureGuildSettings(guildId) {
-  const t = now();
-  db.prepare(`
-  INSERT INTO guild_settings (guild_id, updated_at)
-  VALUES (?, ?)
-  ON CONFLICT(guild_id) DO UPDATE SET updated_at=excluded.updated_at
-  `).run(guildId, t);
-}
+    const sets = keys.map(k => `${k}=@${k}`).join(", ");
+    db.prepare(`
+    UPDATE guild_settings
+    SET ${sets}, updated_at=@updated_at
+    WHERE guild_id=@guild_id
+    `).run({ guild_id: guildId, updated_at: now(), ...safePatch });
 
-function getGuildSettings(guildId) {
-  ensureGuildSettings(guildId);
-  const row = db.prepare(`SELECT * FROM guild_settings WHERE guild_id=?`).get(guildId);
-
-  // This should never be undefined due to ensureGuildSettings, but be defensive.
-  if (!row) {
-    return {
-      guild_id: guildId,
-      msg_xp: 5,
-      reaction_xp: 2,
-      voice_xp_per_min: 1,
-      msg_cooldown_sec: 20,
-      reaction_cooldown_sec: 10,
-      decay_enabled: 1,
-      decay_window_days: 7,
-      decay_min_messages: 20,
-      decay_percent: 0.10,
-      level_xp_factor: 100,
-      updated_at: now(),
-    };
+    return getGuildSettings(guildId);
   }
-  return row;
-}
-
-function updateGuildSettings(guildId, patch) {
-  ensureGuildSettings(guildId);
-
-  const allowed = new Set([
-    "msg_xp",
-    "reaction_xp",
-    "voice_xp_per_min",
-    "msg_cooldown_sec",
-    "reaction_cooldown_sec",
-    "decay_enabled",
-    "decay_window_days",
-    "decay_min_messages",
-    "decay_percent",
-    "level_xp_factor",
-  ]);
-
-  const keys = Object.keys(patch).filter(k => allowed.has(k));
-  if (!keys.length) return getGuildSettings(guildId);
-
-  // Optional: clamp absurd XP award values to safe deltas (prevents "quintillion per message" silliness)
-  // You can adjust these caps to whatever you prefer.
-  const MAX_XP_AWARD = 1_000_000_000; // 1 billion per event is already wildly high, but finite & safe
-  const clampAward = (v) => {
-    const x = Number(v);
-    if (!Number.isFinite(x)) return 0;
-    return Math.max(0, Math.min(Math.floor(x), MAX_XP_AWARD));
-  };
 
-  const safePatch = { ...patch };
-  if (safePatch.msg_xp !== undefined) safePatch.msg_xp = clampAward(safePatch.msg_xp);
-  if (safePatch.reaction_xp !== undefined) safePatch.reaction_xp = clampAward(safePatch.reaction_xp);
-  if (safePatch.voice_xp_per_min !== undefined) safePatch.voice_xp_per_min = clampAward(safePatch.voice_xp_per_min);
+  /**
+   * Users / XP
+   */
+  function ensureUser(guildId, userId) {
+    const t = now();
+    db.prepare(`
+    INSERT INTO users (guild_id, user_id, xp, created_at, updated_at)
+    VALUES (?, ?, 0, ?, ?)
+    ON CONFLICT(guild_id, user_id) DO UPDATE SET updated_at=excluded.updated_at
+    `).run(guildId, userId, t, t);
+  }
 
-  const sets = keys.map(k => `${k}=@${k}`).join(", ");
-  db.prepare(`
-  UPDATE guild_settings
-  SET ${sets}, updated_at=@updated_at
-  WHERE guild_id=@guild_id
-  `).run({ guild_id: guildId, updated_at: now(), ...safePatch });
+  function recordLedger(guildId, userId, source, delta, reason = null, t = now()) {
+    if (!delta) return;
+    db.prepare(`
+    INSERT INTO xp_ledger (guild_id, user_id, source, delta, reason, created_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    `).run(guildId, userId, source, delta, reason, t);
+  }
 
-  return getGuildSettings(guildId);
-}
+  /**
+   * Atomic XP update (prevents lost updates on concurrent events).
+   * Also clamps XP to a JS-safe range to prevent Infinity/precision loss.
+   * The applied delta is recorded in xp_ledger under `source` (with optional `reason`).
+   * Returns the new XP.
+   */
+  function addXp(guildId, userId, delta, source = "manual", reason = null) {
+    // Transaction ensures read-modify-write operations are atomic.
+    // We also cap the *delta* to avoid overshooting the global XP cap.
+    const tx = db.transaction((gId, uId, d) => {
+      ensureUser(gId, uId);
+      const t = now();
+
+      const currentRow = db
+        .prepare(`SELECT xp FROM users WHERE guild_id=? AND user_id=?`)
+        .get(gId, uId);
+      const currentXp = clampXpTotal(currentRow?.xp ?? 0);
+
+      let safeDelta = clampDelta(d);
+
+      // Cumulative cap: don't allow the *applied* delta to exceed remaining headroom.
+      if (safeDelta > 0) {
+        const headroom = MAX_SAFE_XP - currentXp;
+        safeDelta = Math.min(safeDelta, headroom);
+      } else if (safeDelta < 0) {
+        // Don't underflow below 0.
+        safeDelta = -Math.min(Math.abs(safeDelta), currentXp);
+      }
 
-/**
- * Users / XP
- */
-function ensureUser(guildId, userId) {
-  const t = now();
-  db.prepare(`
-  INSERT INTO users (guild_id, user_id, xp, created_at, updated_at)
-  VALUES (?, ?, 0, ?, ?)
-  ON CONFLICT(guild_id, user_id) DO UPDATE SET updated_at=excluded.updated_at
-  `).run(guildId, userId, t, t);
-}
+      if (safeDelta === 0) return currentXp;
 
-/**
- * Atomic XP update (prevents lost updates on concurrent events).
- * Also clamps XP to a JS-safe range to prevent Infinity/precision loss.
- * Returns the new XP.
- */
-function addXp(guildId, userId, delta) {
-  // Transaction ensures read-modify-write operations are atomic.
-  // We also cap the *delta* to avoid overshooting the global XP cap.
-  const tx = db.transaction((gId, uId, d) => {
-    ensureUser(gId, uId);
-    const t = now();
+      db.prepare(`
+        UPDATE users
+        SET xp = MIN(?, MAX(0, xp + ?)),
+            updated_at = ?
+        WHERE guild_id=? AND user_id=?
+      `).run(MAX_SAFE_XP, safeDelta, t, gId, uId);
+
+      const row = db
+        .prepare(`SELECT xp FROM users WHERE guild_id=? AND user_id=?`)
+        .get(gId, uId);
+
+      const safeXp = clampXpTotal(row?.xp ?? 0);
+      if (row && row.xp !== safeXp) {
+        db.prepare(`
+          UPDATE users
+          SET xp=?, updated_at=?
+          WHERE guild_id=? AND user_id=?
+        `).run(safeXp, now(), gId, uId);
+      }
 
-    const currentRow = db
-      .prepare(`SELECT xp FROM users WHERE guild_id=? AND user_id=?`)
-      .get(gId, uId);
-    const currentXp = clampXpTotal(currentRow?.xp ?? 0);
+      recordLedger(gId, uId, source, safeXp - currentXp, reason, t);
+      return safeXp;
+    });
 
-    let safeDelta = clampDelta(d);
+    return tx(guildId, userId, delta);
+  }
 
-    // Cumulative cap: don't allow the *applied* delta to exceed remaining headroom.
-    if (safeDelta > 0) {
-      const headroom = MAX_SAFE_XP - currentXp;
-      safeDelta = Math.min(safeDelta, headroom);
-    } else if (safeDelta < 0) {
-      // Don't underflow below 0.
-      safeDelta = -Math.min(Math.abs(safeDelta), currentXp);
-    }
+  /**
+   * Overwrite a user's XP total. The difference is recorded in xp_ledger under `source`.
+   */
+  function setXp(guildId, userId, xp, source = "manual", reason = null) {
+    const tx = db.transaction(() => {
+      ensureUser(guildId, userId);
+      const safe = clampXpTotal(xp);
+      const t = now();
 
-    if (safeDelta === 0) return currentXp;
+      const row = db.prepare(`SELECT xp FROM users WHERE guild_id=? AND user_id=?`).get(guildId, userId);
+      const before = clampXpTotal(row?.xp ?? 0);
 
-    db.prepare(`
+      db.prepare(`
       UPDATE users
-      SET xp = MIN(?, MAX(0, xp + ?)),
-          updated_at = ?
+      SET xp=?, updated_at=?
       WHERE guild_id=? AND user_id=?
-    `).run(MAX_SAFE_XP, safeDelta, t, gId, uId);
+      `).run(safe, t, guildId, userId);
+
+      recordLedger(guildId, userId, source, safe - before, reason, t);
+    });
+    tx();
+  }
+
+  /**
+   * Wipe all XP for a guild: users, ledger and role drop timers.
+   * Returns the user IDs that had XP rows (so callers can re-sync their roles).
+   */
+  function resetGuildXp(guildId) {
+    const tx = db.transaction(() => {
+      const ids = db.prepare(`SELECT user_id FROM users WHERE guild_id=?`).all(guildId).map(r => r.user_id);
+      db.prepare(`DELETE FROM users WHERE guild_id=?`).run(guildId);
+      db.prepare(`DELETE FROM xp_ledger WHERE guild_id=?`).run(guildId);
+      db.prepare(`DELETE FROM role_drop_state WHERE guild_id=?`).run(guildId);
+      db.prepare(`DELETE FROM decay_state WHERE guild_id=?`).run(guildId);
+      return ids;
+    });
+    return tx();
+  }
+
+  /**
+   * Apply a validated guild import (see xpData.js) in one transaction.
+   * mode "merge": users in the import get its XP, mappings/channels are added or updated.
+   * mode "replace": the guild's XP, mappings and channels are wiped first.
+   * Settings are applied in both modes. XP changes are recorded in the ledger as "import".
+   * `departedUserIds` are imported as members who left (hidden until they rejoin).
+   */
+  function importGuildData(guildId, { mode, users, settings = {}, levelRoles = [], channels = [], departedUserIds = [] }) {
+    const tx = db.transaction(() => {
+      if (mode === "replace") {
+        resetGuildXp(guildId);
+        db.prepare(`DELETE FROM level_roles WHERE guild_id=?`).run(guildId);
+        db.prepare(`DELETE FROM allowed_command_channels WHERE guild_id=?`).run(guildId);
+      }
+
+      if (settings && Object.keys(settings).length) updateGuildSettings(guildId, settings);
+      for (const r of levelRoles) {
+        upsertLevelRole(guildId, r.role_id, r.level_required, r.drop_grace_days, r.keep_forever);
+      }
+      for (const channelId of channels) addAllowedCommandChannel(guildId, channelId);
+      for (const u of users) setXp(guildId, u.user_id, u.xp, "import");
+      for (const userId of departedUserIds) markMemberDeparted(guildId, userId);
+    });
+    tx();
+  }
 
-    const row = db
-      .prepare(`SELECT xp FROM users WHERE guild_id=? AND user_id=?`)
-      .get(gId, uId);
+  function getXp(guildId, userId) {
+    const row = db.prepare(`SELECT xp FROM users WHERE guild_id=? AND user_id=?`).get(guildId, userId);
+    const safe = clampXpTotal(row?.xp ?? 0);
 
-    const safeXp = clampXpTotal(row?.xp ?? 0);
-    if (row && row.xp !== safeXp) {
+    // Normalize legacy bad values on read
+    if (row && row.xp !== safe) {
       db.prepare(`
-        UPDATE users
-        SET xp=?, updated_at=?
-        WHERE guild_id=? AND user_id=?
-      `).run(safeXp, now(), gId, uId);
+      UPDATE users
+      SET xp=?, updated_at=?
+      WHERE guild_id=? AND user_id=?
+      `).run(safe, now(), guildId, userId);
     }
-    return safeXp;
-  });
 
-  return tx(guildId, userId, delta);
-}
+    return safe;
+  }
 
-function setXp(guildId, userId, xp) {
-  ensureUser(guildId, userId);
-  const safe = clampXpTotal(xp);
+  // Leaderboard filter: hide members who left the guild (see departed_members).
+  function notDeparted(table) {
+    return `NOT EXISTS (
+      SELECT 1 FROM departed_members d
+      WHERE d.guild_id=${table}.guild_id AND d.user_id=${table}.user_id
+    )`;
+  }
 
-  db.prepare(`
-  UPDATE users
-  SET xp=?, updated_at=?
-  WHERE guild_id=? AND user_id=?
-  `).run(safe, now(), guildId, userId);
-}
+  function topUsers(guildId, limit = 10, offset = 0) {
+    const rows = db.prepare(`
+    SELECT user_id, xp
+    FROM users
+    WHERE guild_id=? AND ${notDeparted("users")}
+    ORDER BY xp DESC, user_id ASC
+    LIMIT ? OFFSET ?
+    `).all(guildId, limit, Math.max(0, offset));
+
+    // Sanitize results (and normalize DB if needed)
+    let changed = false;
+    const out = rows.map(r => {
+      const safe = clampXpTotal(r.xp);
+      if (r.xp !== safe) changed = true;
+      return { user_id: r.user_id, xp: safe };
+    });
+
+    if (changed) {
+      const t = now();
+      const stmt = db.prepare(`
+      UPDATE users
+      SET xp=?, updated_at=?
+      WHERE guild_id=? AND user_id=?
+      `);
+      const tx = db.transaction(() => {
+        for (const r of out) {
+          stmt.run(r.xp, t, guildId, r.user_id);
+        }
+      });
+      tx();
+    }
+
+    return out;
+  }
+
+  function countUsers(guildId) {
+    const row = db.prepare(`
+    SELECT COUNT(*) AS c FROM users WHERE guild_id=? AND ${notDeparted("users")}
+    `).get(guildId);
+    return row?.c ?? 0;
+  }
+
+  /**
+   * 1-based leaderboard position of a user (same ordering as topUsers:
+   * XP descending, ties broken by user_id so ranks are stable).
+   * Returns null if the user has no XP row in this guild (or has left it).
+   */
+  function getUserRank(guildId, userId) {
+    const row = db.prepare(`
+    SELECT xp FROM users WHERE guild_id=? AND user_id=? AND ${notDeparted("users")}
+    `).get(guildId, userId);
+    if (!row) return null;
+
+    const xp = clampXpTotal(row.xp);
+    const ahead = db.prepare(`
+    SELECT COUNT(*) AS c
+    FROM users
+    WHERE guild_id=? AND ${notDeparted("users")}
+    AND (xp > ? OR (xp = ? AND user_id < ?))
+    `).get(guildId, xp, xp, userId);
+    return (ahead?.c ?? 0) + 1;
+  }
+
+  /**
+   * Windowed leaderboards (from xp_ledger).
+   * "Earned" XP only counts positive deltas, so decay and manual removals
+   * don't push anyone down a weekly board. Users with nothing earned are excluded.
+   * Imported XP (source "import") isn't earned in the window and doesn't count.
+   */
+  function topUsersSince(guildId, sinceMs, limit = 10, offset = 0) {
+    return db.prepare(`
+    SELECT user_id, SUM(delta) AS xp
+    FROM xp_ledger
+    WHERE guild_id=? AND created_at >= ? AND delta > 0 AND source <> 'import' AND ${notDeparted("xp_ledger")}
+    GROUP BY user_id
+    ORDER BY xp DESC, user_id ASC
+    LIMIT ? OFFSET ?
+    `).all(guildId, sinceMs, limit, Math.max(0, offset))
+    .map(r => ({ user_id: r.user_id, xp: clampXpTotal(r.xp) }));
+  }
+
+  function countUsersSince(guildId, sinceMs) {
+    const row = db.prepare(`
+    SELECT COUNT(DISTINCT user_id) AS c
+    FROM xp_ledger
+    WHERE guild_id=? AND created_at >= ? AND delta > 0 AND source <> 'import' AND ${notDeparted("xp_ledger")}
+    `).get(guildId, sinceMs);
+    return row?.c ?? 0;
+  }
+
+  function getUserRankSince(guildId, userId, sinceMs) {
+    const mine = db.prepare(`
+    SELECT SUM(delta) AS xp
+    FROM xp_ledger
+    WHERE guild_id=? AND user_id=? AND created_at >= ? AND delta > 0 AND source <> 'import' AND ${notDeparted("xp_ledger")}
+    `).get(guildId, userId, sinceMs);
+    if (!mine?.xp) return null;
+
+    const ahead = db.prepare(`
+    SELECT COUNT(*) AS c FROM (
+      SELECT user_id, SUM(delta) AS xp
+      FROM xp_ledger
+      WHERE guild_id=? AND created_at >= ? AND delta > 0 AND source <> 'import' AND ${notDeparted("xp_ledger")}
+      GROUP BY user_id
+    )
+    WHERE xp > ? OR (xp = ? AND user_id < ?)
+    `).get(guildId, sinceMs, mine.xp, mine.xp, userId);
+    return (ahead?.c ?? 0) + 1;
+  }
+
+  /**
+   * A window of the leaderboard centred on a user: `span` rows above and below.
+   * Pass `sinceMs` to use the windowed (earned XP) board instead of lifetime XP.
+   * Returns { rank, offset, rows } (rows as topUsers), or null if the user is unranked.
+   */
+  function usersAroundUser(guildId, userId, span = 3, sinceMs = null) {
+    const windowed = sinceMs !== null && sinceMs !== undefined;
+    const rank = windowed
+      ? getUserRankSince(guildId, userId, sinceMs)
+      : getUserRank(guildId, userId);
+    if (!rank) return null;
+
+    const s = Math.max(0, Math.floor(Number(span) || 0));
+    const offset = Math.max(0, rank - 1 - s);
+    const rows = windowed
+      ? topUsersSince(guildId, sinceMs, s * 2 + 1, offset)
+      : topUsers(guildId, s * 2 + 1, offset);
+    return { rank, offset, rows };
+  }
 
-function getXp(guildId, userId) {
-  const row = db.prepare(`SELECT xp FROM users WHERE guild_id=? AND user_id=?`).get(guildId, userId);
-  const safe = clampXpTotal(row?.xp ?? 0);
+  // `includeDeparted: false` leaves out members who left the guild (see departed_members).
+  function allUsersInGuild(guildId, { includeDeparted = true } = {}) {
+    const rows = db.prepare(`
+    SELECT user_id, xp
+    FROM users
+    WHERE guild_id=? ${includeDeparted ? "" : `AND ${notDeparted("users")}`}
+    `).all(guildId);
 
-  // Normalize legacy bad values on read
-  if (row && row.xp !== safe) {
+    return rows.map(r => ({ user_id: r.user_id, xp: clampXpTotal(r.xp) }));
+  }
+
+  /**
+   * Activity log
+   */
+  function logActivity(guildId, userId, kind, amount = 1) {
     db.prepare(`
-    UPDATE users
-    SET xp=?, updated_at=?
-    WHERE guild_id=? AND user_id=?
-    `).run(safe, now(), guildId, userId);
+    INSERT INTO activity_log (guild_id, user_id, kind, amount, created_at)
+    VALUES (?, ?, ?, ?, ?)
+    `).run(guildId, userId, kind, amount, now());
   }
 
-  return safe;
-}
+  /**
+   * Activity per kind over the last `windowDays`: raw activity_log rows, plus the daily
+   * rollups for anything already pruned. Rolled-up days count whole (UTC), so a window
+   * reaching past the raw retention includes all of its first day.
+   * Returns { message, reaction, reaction_received, voice_minute } (missing kinds are 0).
+   */
+  function activityInWindow(guildId, userId, windowDays) {
+    const since = now() - windowDays * 24 * 60 * 60 * 1000;
+    const rows = db.prepare(`
+    SELECT kind, SUM(c) AS c FROM (
+      SELECT kind, COALESCE(SUM(amount), 0) AS c
+      FROM activity_log
+      WHERE guild_id=? AND user_id=? AND created_at >= ?
+      GROUP BY kind
+      UNION ALL
+      SELECT kind, COALESCE(SUM(amount), 0) AS c
+      FROM activity_daily
+      WHERE guild_id=? AND user_id=? AND day >= ?
+      GROUP BY kind
+    )
+    GROUP BY kind
+    `).all(guildId, userId, since, guildId, userId, utcDay(since));
+
+    const out = { message: 0, reaction: 0, reaction_received: 0, voice_minute: 0 };
+    for (const r of rows) out[r.kind] = r.c;
+    return out;
+  }
 
-function topUsers(guildId, limit = 10) {
-  const rows = db.prepare(`
-  SELECT user_id, xp
-  FROM users
-  WHERE guild_id=?
-  ORDER BY xp DESC
-  LIMIT ?
-  `).all(guildId, limit);
-
-  // Sanitize results (and normalize DB if needed)
-  let changed = false;
-  const out = rows.map(r => {
-    const safe = clampXpTotal(r.xp);
-    if (r.xp !== safe) changed = true;
-    return { user_id: r.user_id, xp: safe };
-  });
-
-  if (changed) {
-    const t = now();
-    const stmt = db.prepare(`
-    UPDATE users
-    SET xp=?, updated_at=?
-    WHERE guild_id=? AND user_id=?
+  // "YYYY-MM-DD" (UTC) for a ms timestamp, as stored in activity_daily.day
+  function utcDay(ms) {
+    return new Date(ms).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Fold raw activity older than `cutoffMs` into activity_daily and delete it, one UTC day
+   * per transaction so the database isn't locked for long. Pass a UTC midnight as the
+   * cutoff so no day is split between the two tables. Returns { rows, days }.
+   */
+  function rollupActivityBefore(cutoffMs) {
+    const oldest = db.prepare(`SELECT MIN(created_at) AS t FROM activity_log WHERE created_at < ?`);
+    const rollup = db.prepare(`
+    INSERT INTO activity_daily (guild_id, user_id, kind, day, amount)
+    SELECT guild_id, user_id, kind, ?, SUM(amount)
+    FROM activity_log
+    WHERE created_at >= ? AND created_at < ?
+    GROUP BY guild_id, user_id, kind
+    ON CONFLICT(guild_id, user_id, kind, day) DO UPDATE SET amount = amount + excluded.amount
     `);
+    const prune = db.prepare(`DELETE FROM activity_log WHERE created_at >= ? AND created_at < ?`);
+    const rollupDay = db.transaction((from, to) => {
+      rollup.run(utcDay(from), from, to);
+      return prune.run(from, to).changes;
+    });
+
+    const totals = { rows: 0, days: 0 };
+    for (let t = oldest.get(cutoffMs).t; t !== null; t = oldest.get(cutoffMs).t) {
+      const dayStart = Date.parse(`${utcDay(t)}T00:00:00Z`);
+      const dayEnd = Math.min(dayStart + 24 * 60 * 60 * 1000, cutoffMs);
+      totals.rows += rollupDay(dayStart, dayEnd);
+      totals.days++;
+    }
+    return totals;
+  }
+
+  /**
+   * Voice sessions
+   */
+  function upsertVoiceSession(guildId, userId, channelId, joinedAtMs) {
+    db.prepare(`
+    INSERT INTO voice_sessions (guild_id, user_id, channel_id, joined_at, session_started_at, eligible_minutes, last_seen_at)
+    VALUES (?, ?, ?, ?, ?, 0, ?)
+    ON CONFLICT(guild_id, user_id) DO UPDATE SET
+    channel_id=excluded.channel_id,
+    joined_at=excluded.joined_at,
+    session_started_at=excluded.session_started_at,
+    eligible_minutes=0,
+    last_seen_at=excluded.last_seen_at
+    `).run(guildId, userId, channelId, joinedAtMs, joinedAtMs, joinedAtMs);
+  }
+
+  function getVoiceSession(guildId, userId) {
+    return db.prepare(`
+    SELECT guild_id, user_id, channel_id, joined_at, session_started_at, eligible_minutes, last_seen_at
+    FROM voice_sessions
+    WHERE guild_id=? AND user_id=?
+    `).get(guildId, userId);
+  }
+
+  function deleteVoiceSession(guildId, userId) {
+    db.prepare(`DELETE FROM voice_sessions WHERE guild_id=? AND user_id=?`).run(guildId, userId);
+  }
+
+  function listOpenVoiceSessions() {
+    return db.prepare(`
+    SELECT guild_id, user_id, channel_id, joined_at, session_started_at, eligible_minutes, last_seen_at
+    FROM voice_sessions
+    `).all();
+  }
+
+  // Move the open stint into voice_segments, ending at endedAtMs.
+  function closeVoiceSegment(session, endedAtMs) {
+    const startedAt = session.joined_at;
+    db.prepare(`
+    INSERT INTO voice_segments (guild_id, user_id, channel_id, session_started_at, started_at, ended_at, eligible_minutes)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      session.guild_id,
+      session.user_id,
+      session.channel_id,
+      session.session_started_at ?? startedAt,
+      startedAt,
+      Math.max(startedAt, endedAtMs),
+      session.eligible_minutes ?? 0
+    );
+  }
+
+  /**
+   * User moved to another voice channel: close the current stint, keep the session going.
+   * Starts a fresh session if none was open.
+   */
+  function moveVoiceSession(guildId, userId, channelId, atMs = now()) {
     const tx = db.transaction(() => {
-      for (const r of out) {
-        stmt.run(r.xp, t, guildId, r.user_id);
+      const session = getVoiceSession(guildId, userId);
+      if (!session) {
+        upsertVoiceSession(guildId, userId, channelId, atMs);
+        return;
       }
+      closeVoiceSegment(session, atMs);
+      db.prepare(`
+      UPDATE voice_sessions
+      SET channel_id=?, joined_at=?, eligible_minutes=0, last_seen_at=?,
+          session_started_at=COALESCE(session_started_at, ?)
+      WHERE guild_id=? AND user_id=?
+      `).run(channelId, atMs, atMs, session.joined_at, guildId, userId);
     });
     tx();
   }
 
-  return out;
-}
+  /**
+   * User left voice: close the current stint and the session.
+   */
+  function endVoiceSession(guildId, userId, atMs = now()) {
+    const tx = db.transaction(() => {
+      const session = getVoiceSession(guildId, userId);
+      if (!session) return;
+      closeVoiceSegment(session, atMs);
+      deleteVoiceSession(guildId, userId);
+    });
+    tx();
+  }
 
-function allUsersInGuild(guildId) {
-  const rows = db.prepare(`
-  SELECT user_id, xp
-  FROM users
-  WHERE guild_id=?
-  `).all(guildId);
+  function addVoiceEligibleMinute(guildId, userId) {
+    db.prepare(`
+    UPDATE voice_sessions
+    SET eligible_minutes = eligible_minutes + 1
+    WHERE guild_id=? AND user_id=?
+    `).run(guildId, userId);
+  }
 
-  return rows.map(r => ({ user_id: r.user_id, xp: clampXpTotal(r.xp) }));
-}
+  // Heartbeat for every open session in a guild (called by the voice ticker).
+  function touchVoiceSessions(guildId, atMs = now()) {
+    db.prepare(`UPDATE voice_sessions SET last_seen_at=? WHERE guild_id=?`).run(atMs, guildId);
+  }
 
-/**
- * Activity log
- */
-function logActivity(guildId, userId, kind, amount = 1) {
-  db.prepare(`
-  INSERT INTO activity_log (guild_id, user_id, kind, amount, created_at)
-  VALUES (?, ?, ?, ?, ?)
-  `).run(guildId, userId, kind, amount, now());
-}
+  /**
+   * Voice stats for a user, including the currently open session (if any).
+   * Returns { totalMs, eligibleMinutes, sessions, longestMs, channels: [{ channel_id, ms }] }.
+   */
+  function getVoiceStats(guildId, userId, atMs = now(), topChannels = 3) {
+    const totals = db.prepare(`
+    SELECT
+      COALESCE(SUM(ended_at - started_at), 0) AS total_ms,
+      COALESCE(SUM(eligible_minutes), 0) AS eligible,
+      COUNT(DISTINCT session_started_at) AS sessions
+    FROM voice_segments
+    WHERE guild_id=? AND user_id=?
+    `).get(guildId, userId);
 
-function countMessagesInWindow(guildId, userId, windowDays) {
-  const since = now() - windowDays * 24 * 60 * 60 * 1000;
-  const row = db.prepare(`
-  SELECT COALESCE(SUM(amount), 0) AS c
-  FROM activity_log
-  WHERE guild_id=? AND user_id=? AND kind='message' AND created_at >= ?
-  `).get(guildId, userId, since);
-  return row?.c ?? 0;
-}
+    const sessionRows = db.prepare(`
+    SELECT session_started_at AS started, MAX(ended_at) AS ended
+    FROM voice_segments
+    WHERE guild_id=? AND user_id=?
+    GROUP BY session_started_at
+    `).all(guildId, userId);
+    const sessionLength = new Map(sessionRows.map(r => [r.started, r.ended - r.started]));
 
-/**
- * Voice sessions (kept for compatibility / future)
- */
-function upsertVoiceSession(guildId, userId, channelId, joinedAtMs) {
-  db.prepare(`
-  INSERT INTO voice_sessions (guild_id, user_id, channel_id, joined_at)
-  VALUES (?, ?, ?, ?)
-  ON CONFLICT(guild_id, user_id) DO UPDATE SET channel_id=excluded.channel_id, joined_at=excluded.joined_at
-  `).run(guildId, userId, channelId, joinedAtMs);
-}
+    const channelMs = new Map(
+      db.prepare(`
+      SELECT channel_id, SUM(ended_at - started_at) AS ms
+      FROM voice_segments
+      WHERE guild_id=? AND user_id=?
+      GROUP BY channel_id
+      `).all(guildId, userId).map(r => [r.channel_id, r.ms])
+    );
+
+    let totalMs = totals?.total_ms ?? 0;
+    let eligibleMinutes = totals?.eligible ?? 0;
+    let sessions = totals?.sessions ?? 0;
+
+    const open = getVoiceSession(guildId, userId);
+    if (open) {
+      const stintMs = Math.max(0, atMs - open.joined_at);
+      const sessionStart = open.session_started_at ?? open.joined_at;
+      totalMs += stintMs;
+      eligibleMinutes += open.eligible_minutes ?? 0;
+      if (!sessionLength.has(sessionStart)) sessions += 1;
+      sessionLength.set(sessionStart, Math.max(0, atMs - sessionStart));
+      channelMs.set(open.channel_id, (channelMs.get(open.channel_id) ?? 0) + stintMs);
+    }
 
-function getVoiceSession(guildId, userId) {
-  return db.prepare(`
-  SELECT guild_id, user_id, channel_id, joined_at
-  FROM voice_sessions
-  WHERE guild_id=? AND user_id=?
-  `).get(guildId, userId);
-}
+    let longestMs = 0;
+    for (const ms of sessionLength.values()) longestMs = Math.max(longestMs, ms);
+    const channels = [...channelMs.entries()]
+      .map(([channel_id, ms]) => ({ channel_id, ms }))
+      .sort((a, b) => b.ms - a.ms)
+      .slice(0, topChannels);
 
-function deleteVoiceSession(guildId, userId) {
-  db.prepare(`DELETE FROM voice_sessions WHERE guild_id=? AND user_id=?`).run(guildId, userId);
-}
+    return { totalMs, eligibleMinutes, sessions, longestMs, channels, open: open ?? null };
+  }
 
-/**
- * Level roles
- */
-function upsertLevelRole(guildId, roleId, levelRequired, dropGraceDays) {
-  const t = now();
-  db.prepare(`
-  INSERT INTO level_roles (guild_id, role_id, level_required, drop_grace_days, created_at, updated_at)
-  VALUES (?, ?, ?, ?, ?, ?)
-  ON CONFLICT(guild_id, role_id) DO UPDATE SET
-  level_required=excluded.level_required,
-  drop_grace_days=excluded.drop_grace_days,
-  updated_at=excluded.updated_at
-  `).run(guildId, roleId, levelRequired, dropGraceDays, t, t);
-}
+  /**
+   * Level roles
+   */
+  // keepForever: true/false, or null to leave an existing mapping's flag unchanged.
+  function upsertLevelRole(guildId, roleId, levelRequired, dropGraceDays, keepForever = null) {
+    const t = now();
+    const keep = keepForever === null ? null : (keepForever ? 1 : 0);
+    db.prepare(`
+    INSERT INTO level_roles (guild_id, role_id, level_required, drop_grace_days, keep_forever, created_at, updated_at)
+    VALUES (@guildId, @roleId, @levelRequired, @dropGraceDays, COALESCE(@keep, 0), @t, @t)
+    ON CONFLICT(guild_id, role_id) DO UPDATE SET
+    level_required=excluded.level_required,
+    drop_grace_days=excluded.drop_grace_days,
+    keep_forever=COALESCE(@keep, keep_forever),
+    updated_at=excluded.updated_at
+    `).run({ guildId, roleId, levelRequired, dropGraceDays, keep, t });
+  }
 
-function deleteLevelRole(guildId, roleId) {
-  db.prepare(`DELETE FROM level_roles WHERE guild_id=? AND role_id=?`).run(guildId, roleId);
-  db.prepare(`DELETE FROM role_drop_state WHERE guild_id=? AND role_id=?`).run(guildId, roleId);
-}
+  function deleteLevelRole(guildId, roleId) {
+    db.prepare(`DELETE FROM level_roles WHERE guild_id=? AND role_id=?`).run(guildId, roleId);
+    db.prepare(`DELETE FROM role_drop_state WHERE guild_id=? AND role_id=?`).run(guildId, roleId);
+  }
 
-function listLevelRoles(guildId) {
-  return db.prepare(`
-  SELECT role_id, level_required, drop_grace_days
-  FROM level_roles
-  WHERE guild_id=?
-  ORDER BY level_required ASC
-  `).all(guildId);
-}
+  function listLevelRoles(guildId) {
+    return db.prepare(`
+    SELECT role_id, level_required, drop_grace_days, keep_forever
+    FROM level_roles
+    WHERE guild_id=?
+    ORDER BY level_required ASC
+    `).all(guildId);
+  }
 
-/**
- * Role drop state
- */
-function getRoleDropState(guildId, userId, roleId) {
-  return db.prepare(`
-  SELECT below_since
-  FROM role_drop_state
-  WHERE guild_id=? AND user_id=? AND role_id=?
-  `).get(guildId, userId, roleId);
-}
+  /**
+   * Role drop state
+   */
+  function getRoleDropState(guildId, userId, roleId) {
+    return db.prepare(`
+    SELECT below_since
+    FROM role_drop_state
+    WHERE guild_id=? AND user_id=? AND role_id=?
+    `).get(guildId, userId, roleId);
+  }
 
-function setRoleBelowSince(guildId, userId, roleId, belowSinceOrNull) {
-  const t = now();
-  db.prepare(`
-  INSERT INTO role_drop_state (guild_id, user_id, role_id, below_since, updated_at)
-  VALUES (?, ?, ?, ?, ?)
-  ON CONFLICT(guild_id, user_id, role_id) DO UPDATE SET
-  below_since=excluded.below_since,
-  updated_at=excluded.updated_at
-  `).run(guildId, userId, roleId, belowSinceOrNull, t);
-}
+  function setRoleBelowSince(guildId, userId, roleId, belowSinceOrNull) {
+    const t = now();
+    db.prepare(`
+    INSERT INTO role_drop_state (guild_id, user_id, role_id, below_since, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT(guild_id, user_id, role_id) DO UPDATE SET
+    below_since=excluded.below_since,
+    updated_at=excluded.updated_at
+    `).run(guildId, userId, roleId, belowSinceOrNull, t);
+  }
 
-/**
- * Allowed command channels
- */
-function addAllowedCommandChannel(guildId, channelId) {
-  db.prepare(`
-  INSERT OR IGNORE INTO allowed_command_channels (guild_id, channel_id, created_at)
-  VALUES (?, ?, ?)
-  `).run(guildId, channelId, now());
-}
+  /**
+   * XP multipliers
+   */
+  function upsertXpMultiplier(guildId, targetType, targetId, multiplier) {
+    const t = now();
+    db.prepare(`
+    INSERT INTO xp_multipliers (guild_id, target_type, target_id, multiplier, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(guild_id, target_type, target_id) DO UPDATE SET
+    multiplier=excluded.multiplier,
+    updated_at=excluded.updated_at
+    `).run(guildId, targetType, targetId, multiplier, t, t);
+  }
 
-function removeAllowedCommandChannel(guildId, channelId) {
-  db.prepare(`
-  DELETE FROM allowed_command_channels
-  WHERE guild_id=? AND channel_id=?
-  `).run(guildId, channelId);
-}
+  function deleteXpMultiplier(guildId, targetType, targetId) {
+    const info = db.prepare(`
+    DELETE FROM xp_multipliers
+    WHERE guild_id=? AND target_type=? AND target_id=?
+    `).run(guildId, targetType, targetId);
+    return info.changes > 0;
+  }
+
+  function listXpMultipliers(guildId) {
+    return db.prepare(`
+    SELECT target_type, target_id, multiplier
+    FROM xp_multipliers
+    WHERE guild_id=?
+    ORDER BY target_type ASC, multiplier DESC
+    `).all(guildId);
+  }
+
+  /**
+   * XP boost events
+   */
+  function mapXpEvent(row) {
+    if (!row) return row;
+    let channelIds = null;
+    try {
+      channelIds = row.channel_ids ? JSON.parse(row.channel_ids) : null;
+    } catch {
+      channelIds = null;
+    }
+    return { ...row, channel_ids: Array.isArray(channelIds) && channelIds.length ? channelIds : null };
+  }
+
+  function createXpEvent(guildId, { name, multiplier, startsAt, endsAt, channelIds = null, announceChannelId = null, createdBy = null }) {
+    const info = db.prepare(`
+    INSERT INTO xp_events (guild_id, name, multiplier, starts_at, ends_at, channel_ids, announce_channel_id, created_by, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      guildId,
+      name,
+      multiplier,
+      startsAt,
+      endsAt,
+      channelIds && channelIds.length ? JSON.stringify(channelIds) : null,
+      announceChannelId,
+      createdBy,
+      now()
+    );
+    return getXpEvent(guildId, info.lastInsertRowid);
+  }
+
+  function getXpEvent(guildId, id) {
+    return mapXpEvent(db.prepare(`SELECT * FROM xp_events WHERE guild_id=? AND id=?`).get(guildId, id));
+  }
+
+  // Upcoming and running events (not cancelled, not yet ended).
+  function listUpcomingXpEvents(guildId, atMs = now()) {
+    return db.prepare(`
+    SELECT * FROM xp_events
+    WHERE guild_id=? AND cancelled=0 AND ends_at > ?
+    ORDER BY starts_at ASC
+    `).all(guildId, atMs).map(mapXpEvent);
+  }
 
-function listAllowedCommandChannels(guildId) {
-  return db.prepare(`
-  SELECT channel_id
-  FROM allowed_command_channels
-  WHERE guild_id=?
-  ORDER BY created_at ASC
-  `).all(guildId);
+  function listActiveXpEvents(guildId, atMs = now()) {
+    return db.prepare(`
+    SELECT * FROM xp_events
+    WHERE guild_id=? AND cancelled=0 AND starts_at <= ? AND ends_at > ?
+    `).all(guildId, atMs, atMs).map(mapXpEvent);
+  }
+
+  function cancelXpEvent(guildId, id) {
+    const info = db.prepare(`
+    UPDATE xp_events SET cancelled=1
+    WHERE guild_id=? AND id=? AND cancelled=0
+    `).run(guildId, id);
+    return info.changes > 0;
+  }
+
+  // Events (any guild) whose start/end announcement is due but hasn't been posted yet.
+  function listXpEventsPendingAnnouncement(atMs = now()) {
+    return db.prepare(`
+    SELECT * FROM xp_events
+    WHERE announce_channel_id IS NOT NULL
+    AND (
+      (start_announced=0 AND cancelled=0 AND starts_at <= ? AND ends_at > ?)
+      OR (end_announced=0 AND start_announced=1 AND (ends_at <= ? OR cancelled=1))
+    )
+    `).all(atMs, atMs, atMs).map(mapXpEvent);
+  }
+
+  function markXpEventAnnounced(id, which) {
+    const col = which === "end" ? "end_announced" : "start_announced";
+    db.prepare(`UPDATE xp_events SET ${col}=1 WHERE id=?`).run(id);
+  }
+
+  /**
+   * Departed members
+   */
+  function markMemberDeparted(guildId, userId, atMs = now()) {
+    db.prepare(`
+    INSERT INTO departed_members (guild_id, user_id, left_at)
+    VALUES (?, ?, ?)
+    ON CONFLICT(guild_id, user_id) DO NOTHING
+    `).run(guildId, userId, atMs);
+  }
+
+  function clearMemberDeparted(guildId, userId) {
+    db.prepare(`DELETE FROM departed_members WHERE guild_id=? AND user_id=?`).run(guildId, userId);
+  }
+
+  function listDepartedMembers(guildId) {
+    return db.prepare(`
+    SELECT user_id, left_at FROM departed_members WHERE guild_id=?
+    `).all(guildId);
+  }
+
+  /**
+   * Delete everything stored about a member in a guild: XP, ledger, activity,
+   * role drop timers, decay state and the departed marker.
+   */
+  function purgeMemberData(guildId, userId) {
+    const tx = db.transaction(() => {
+      for (const table of ["users", "xp_ledger", "activity_log", "activity_daily", "role_drop_state", "decay_state", "departed_members"]) {
+        db.prepare(`DELETE FROM ${table} WHERE guild_id=? AND user_id=?`).run(guildId, userId);
+      }
+    });
+    tx();
+  }
+
+  /**
+   * Decay grace state
+   */
+  function getDecayInactiveSince(guildId, userId) {
+    const row = db.prepare(`
+    SELECT inactive_since FROM decay_state WHERE guild_id=? AND user_id=?
+    `).get(guildId, userId);
+    return row?.inactive_since ?? null;
+  }
+
+  function setDecayInactiveSince(guildId, userId, sinceOrNull) {
+    if (sinceOrNull === null) {
+      db.prepare(`DELETE FROM decay_state WHERE guild_id=? AND user_id=?`).run(guildId, userId);
+      return;
+    }
+    db.prepare(`
+    INSERT INTO decay_state (guild_id, user_id, inactive_since)
+    VALUES (?, ?, ?)
+    ON CONFLICT(guild_id, user_id) DO UPDATE SET inactive_since=excluded.inactive_since
+    `).run(guildId, userId, sinceOrNull);
+  }
+
+  /**
+   * Decay run log
+   */
+  // entries: [{ user_id, before, after }] (only users whose XP changed)
+  function recordDecayRun(guildId, { trigger, triggeredBy = null, startedAt, entries }) {
+    const tx = db.transaction(() => {
+      const xpRemoved = entries.reduce((sum, e) => sum + (e.before - e.after), 0);
+      const info = db.prepare(`
+      INSERT INTO decay_runs (guild_id, trigger, triggered_by, started_at, finished_at, users_affected, xp_removed)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(guildId, trigger, triggeredBy, startedAt, now(), entries.length, xpRemoved);
+
+      const ins = db.prepare(`
+      INSERT INTO decay_run_entries (run_id, user_id, xp_before, xp_after)
+      VALUES (?, ?, ?, ?)
+      `);
+      for (const e of entries) ins.run(info.lastInsertRowid, e.user_id, e.before, e.after);
+      return Number(info.lastInsertRowid);
+    });
+    return tx();
+  }
+
+  function listDecayRuns(guildId, limit = 10) {
+    return db.prepare(`
+    SELECT * FROM decay_runs
+    WHERE guild_id=?
+    ORDER BY started_at DESC, id DESC
+    LIMIT ?
+    `).all(guildId, limit);
+  }
+
+  function getDecayRun(guildId, id) {
+    return db.prepare(`SELECT * FROM decay_runs WHERE guild_id=? AND id=?`).get(guildId, id) ?? null;
+  }
+
+  // Biggest losses first.
+  function listDecayRunEntries(runId, limit = 20) {
+    return db.prepare(`
+    SELECT user_id, xp_before, xp_after
+    FROM decay_run_entries
+    WHERE run_id=?
+    ORDER BY (xp_before - xp_after) DESC, user_id ASC
+    LIMIT ?
+    `).all(runId, limit);
+  }
+
+  /**
+   * Reaction XP awards
+   */
+  // Claim the award slot for (message, reactor, role). Returns false if it was already
+  // claimed (the user already earned from this message, even if it was revoked since).
+  function claimReactionAward(guildId, messageId, reactorId, role, recipientId) {
+    const info = db.prepare(`
+    INSERT INTO reaction_awards (guild_id, message_id, reactor_id, role, recipient_id, xp, created_at)
+    VALUES (?, ?, ?, ?, ?, 0, ?)
+    ON CONFLICT(guild_id, message_id, reactor_id, role) DO NOTHING
+    `).run(guildId, messageId, reactorId, role, recipientId, now());
+    return info.changes > 0;
+  }
+
+  // Undo a claim that earned nothing (e.g. a ×0 multiplier), so the reaction can still
+  // earn from this message later.
+  function releaseReactionAward(guildId, messageId, reactorId, role) {
+    db.prepare(`
+    DELETE FROM reaction_awards
+    WHERE guild_id=? AND message_id=? AND reactor_id=? AND role=? AND xp=0
+    `).run(guildId, messageId, reactorId, role);
+  }
+
+  function setReactionAwardXp(guildId, messageId, reactorId, role, xp) {
+    db.prepare(`
+    UPDATE reaction_awards SET xp=?
+    WHERE guild_id=? AND message_id=? AND reactor_id=? AND role=?
+    `).run(xp, guildId, messageId, reactorId, role);
+  }
+
+  /**
+   * Take back the XP a reactor's reaction on a message earned (for the reactor and/or
+   * the author), if it was awarded at or after `sinceMs`. Each award is revoked once.
+   * Returns [{ recipient_id, role, xp, oldXp, newXp }] for the awards revoked.
+   */
+  function revokeReactionAwards(guildId, messageId, reactorId, sinceMs) {
+    const tx = db.transaction(() => {
+      const rows = db.prepare(`
+      SELECT role, recipient_id, xp FROM reaction_awards
+      WHERE guild_id=? AND message_id=? AND reactor_id=?
+      AND revoked_at IS NULL AND xp > 0 AND created_at >= ?
+      `).all(guildId, messageId, reactorId, sinceMs);
+
+      const t = now();
+      return rows.map((r) => {
+        const oldXp = getXp(guildId, r.recipient_id);
+        const newXp = addXp(guildId, r.recipient_id, -r.xp, "reaction", "reaction removed");
+        db.prepare(`
+        UPDATE reaction_awards SET revoked_at=?
+        WHERE guild_id=? AND message_id=? AND reactor_id=? AND role=?
+        `).run(t, guildId, messageId, reactorId, r.role);
+        return { ...r, oldXp, newXp };
+      });
+    });
+    return tx();
+  }
+
+  /**
+   * Allowed command channels
+   */
+  function addAllowedCommandChannel(guildId, channelId) {
+    db.prepare(`
+    INSERT OR IGNORE INTO allowed_command_channels (guild_id, channel_id, created_at)
+    VALUES (?, ?, ?)
+    `).run(guildId, channelId, now());
+  }
+
+  function removeAllowedCommandChannel(guildId, channelId) {
+    db.prepare(`
+    DELETE FROM allowed_command_channels
+    WHERE guild_id=? AND channel_id=?
+    `).run(guildId, channelId);
+  }
+
+  function listAllowedCommandChannels(guildId) {
+    return db.prepare(`
+    SELECT channel_id
+    FROM allowed_command_channels
+    WHERE guild_id=?
+    ORDER BY created_at ASC
+    `).all(guildId);
+  }
+
+  return {
+    // raw better-sqlite3 handle (backups, maintenance)
+    sqlite: db,
+    close: () => db.close(),
+    now,
+
+    // caps/helpers (exported in case you want to show warnings)
+    MAX_SAFE_XP,
+    clampXpTotal,
+
+    backupDir,
+
+    // guild settings
+    getGuildSettings,
+    updateGuildSettings,
+
+    // users/xp
+    addXp,
+    setXp,
+    resetGuildXp,
+    importGuildData,
+    getXp,
+    topUsers,
+    countUsers,
+    getUserRank,
+    usersAroundUser,
+    allUsersInGuild,
+
+    // windowed leaderboards (xp_ledger)
+    topUsersSince,
+    countUsersSince,
+    getUserRankSince,
+
+    // activity
+    logActivity,
+    activityInWindow,
+    rollupActivityBefore,
+
+    // decay grace
+    getDecayInactiveSince,
+    setDecayInactiveSince,
+
+    // voice sessions
+    upsertVoiceSession,
+    getVoiceSession,
+    deleteVoiceSession,
+    listOpenVoiceSessions,
+    moveVoiceSession,
+    endVoiceSession,
+    addVoiceEligibleMinute,
+    touchVoiceSessions,
+    getVoiceStats,
+
+    // roles
+    upsertLevelRole,
+    deleteLevelRole,
+    listLevelRoles,
+    getRoleDropState,
+    setRoleBelowSince,
+
+    // xp multipliers
+    upsertXpMultiplier,
+    deleteXpMultiplier,
+    listXpMultipliers,
+
+    // xp events
+    createXpEvent,
+    getXpEvent,
+    listUpcomingXpEvents,
+    listActiveXpEvents,
+    cancelXpEvent,
+    listXpEventsPendingAnnouncement,
+    markXpEventAnnounced,
+
+    // departed members
+    markMemberDeparted,
+    clearMemberDeparted,
+    listDepartedMembers,
+    purgeMemberData,
+
+    // decay run log
+    recordDecayRun,
+    listDecayRuns,
+    getDecayRun,
+    listDecayRunEntries,
+
+    // reaction awards
+    claimReactionAward,
+    releaseReactionAward,
+    setReactionAwardXp,
+    revokeReactionAwards,
+
+    // command channel restriction
+    addAllowedCommandChannel,
+    removeAllowedCommandChannel,
+    listAllowedCommandChannels,
+  };
 }
 
 module.exports = {
-  db,
-  now,
-
-  // caps/helpers (exported in case you want to show warnings)
+  DEFAULT_DB_PATH,
   MAX_SAFE_XP,
-
-  // guild settings
-  getGuildSettings,
-  updateGuildSettings,
-
-  // users/xp
-  addXp,
-  setXp,
-  getXp,
-  topUsers,
-  allUsersInGuild,
-
-  // activity
-  logActivity,
-  countMessagesInWindow,
-
-  // voice sessions
-  upsertVoiceSession,
-  getVoiceSession,
-  deleteVoiceSession,
-
-  // roles
-  upsertLevelRole,
-  deleteLevelRole,
-  listLevelRoles,
-  getRoleDropState,
-  setRoleBelowSince,
-
-  // command channel restriction
-  addAllowedCommandChannel,
-  removeAllowedCommandChannel,
-  listAllowedCommandChannels,
+  MAX_XP_AWARD,
+  now,
+  clampXpTotal,
+  backupDir,
+  createDb,
 };
@@ -1,57 +1,321 @@
 const cron = require("node-cron");
-const {
-  allUsersInGuild,
-  countMessagesInWindow,
-  setXp,
-  getGuildSettings,
-} = require("./db");
-const { levelFromXp } = require("./xp");
-const { syncMemberRoles } = require("./roles");
-
-// Daily at 4 AM server local time.
-const DECAY_CRON = "0 4 * * *";
-
-function startDecayScheduler(client) {
-  cron.schedule(DECAY_CRON, async () => {
-    try {
-      for (const guild of client.guilds.cache.values()) {
-        await runDecayForGuild(client, guild.id);
-      }
-    } catch (err) {
-      console.error("[decay] scheduler error:", err?.message || err);
+const { levelFromXp, xpForLevel } = require("./xp");
+
+// Default schedule: daily at 4 AM (host time unless the guild sets a timezone).
+const DEFAULT_DECAY_CRON = "0 4 * * *";
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// percent: lose decay_percent each run
+// fixed:   lose decay_amount XP each run
+// grace:   lose decay_percent each run, once inactive for decay_grace_days
+const DECAY_MODES = ["percent", "fixed", "grace"];
+
+// none:  decay can go all the way to 0
+// level: never below the start of the user's current level
+// role:  never below the lowest mapped role's level (once the user has reached it)
+const DECAY_FLOORS = ["none", "level", "role"];
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Standard 5-field cron only (node-cron would also accept a seconds field).
+function isValidDecayCron(expr) {
+  const text = String(expr ?? "").trim();
+  return text.split(/\s+/).length === 5 && cron.validate(text);
+}
+
+/**
+ * Build a decay cron expression from /setdecay options.
+ * schedule: daily|weekly|custom; time: "HH:MM"; weekday: sun..sat; expression: custom cron.
+ * Returns { cron } or { error }.
+ */
+function buildDecayCron({ schedule, time = null, weekday = null, expression = null }) {
+  if (schedule === "custom") {
+    if (!isValidDecayCron(expression)) {
+      return { error: "Give a valid 5-field cron expression in `cron` (e.g. `30 3 * * 1` = Mondays 03:30)." };
     }
-  });
+    return { cron: String(expression).trim().split(/\s+/).join(" ") };
+  }
+
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(time ?? "04:00").trim());
+  if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) {
+    return { error: "`time` must be HH:MM (24-hour), e.g. `04:00`." };
+  }
+  const hm = `${Number(m[2])} ${Number(m[1])}`;
+
+  if (schedule === "weekly") {
+    const day = WEEKDAYS.indexOf(weekday ?? "sun");
+    if (day < 0) return { error: "`weekday` must be one of sun, mon, tue, wed, thu, fri, sat." };
+    return { cron: `${hm} * * ${day}` };
+  }
+  return { cron: `${hm} * * *` };
 }
 
-async function runDecayForGuild(client, guildId) {
-  const settings = getGuildSettings(guildId);
-  if (!settings.decay_enabled) return;
+/**
+ * Human-readable schedule ("daily at 04:00 (Europe/Berlin)", "weekly on Sun at 03:30", or the cron).
+ */
+function describeDecaySchedule(settings) {
+  const expr = settings.decay_cron || DEFAULT_DECAY_CRON;
+  const tz = settings.decay_timezone || "host time";
+  const f = expr.split(" ");
+  const simple = /^\d+$/.test(f[0]) && /^\d+$/.test(f[1]) && f[2] === "*" && f[3] === "*";
+  const hhmm = simple ? `${f[1].padStart(2, "0")}:${f[0].padStart(2, "0")}` : null;
 
-  const guild = await client.guilds.fetch(guildId).catch(() => null);
-  if (!guild) return;
+  if (simple && f[4] === "*") return `daily at ${hhmm} (${tz})`;
+  if (simple && /^[0-6]$/.test(f[4])) {
+    const day = WEEKDAYS[Number(f[4])];
+    return `weekly on ${day[0].toUpperCase()}${day.slice(1)} at ${hhmm} (${tz})`;
+  }
+  return `cron \`${expr}\` (${tz})`;
+}
 
-  const users = allUsersInGuild(guildId);
-  for (const u of users) {
-    const msgCount = countMessagesInWindow(
-      guildId,
-      u.user_id,
-      settings.decay_window_days
-    );
+/**
+ * Weighted activity in the decay window, compared against decay_min_messages.
+ * With the default weights (message 1, others 0) this is the plain message count.
+ * decay_weight_reaction applies to reactions given and received alike.
+ */
+function activityScore(activity, settings) {
+  const w = (v) => Math.max(0, Number(v) || 0);
+  return activity.message * w(settings.decay_weight_message)
+    + (activity.reaction + activity.reaction_received) * w(settings.decay_weight_reaction)
+    + activity.voice_minute * w(settings.decay_weight_voice);
+}
 
-    if (msgCount >= settings.decay_min_messages) continue;
+/**
+ * XP below which decay never takes a user. `roleFloorLevel` is the lowest mapped
+ * role's level (null when no roles are mapped).
+ */
+function decayFloorXp(xp, settings, roleFloorLevel) {
+  switch (settings.decay_floor) {
+    case "level":
+      return xpForLevel(levelFromXp(xp, settings), settings);
+    case "role": {
+      if (roleFloorLevel === null) return 0;
+      const floor = xpForLevel(roleFloorLevel, settings);
+      return xp >= floor ? floor : 0;
+    }
+    default:
+      return 0;
+  }
+}
 
+/**
+ * New XP for an inactive user under the guild's decay mode and floor.
+ */
+function decayedXp(xp, settings, roleFloorLevel = null) {
+  let next;
+  if (settings.decay_mode === "fixed") {
+    next = xp - Math.max(0, Math.floor(Number(settings.decay_amount) || 0));
+  } else {
     const pct = Math.min(0.95, Math.max(0, Number(settings.decay_percent) || 0));
-    const newXp = Math.floor(u.xp * (1 - pct));
-    if (newXp === u.xp) continue;
+    next = Math.floor(xp * (1 - pct));
+  }
+  return Math.min(xp, Math.max(0, next, decayFloorXp(xp, settings, roleFloorLevel)));
+}
+
+/**
+ * Human-readable decay policy for /settings and /setdecay.
+ */
+function describeDecay(settings) {
+  const pct = `${Math.round((Number(settings.decay_percent) || 0) * 100)}%`;
+  const how = settings.decay_mode === "fixed"
+    ? `−${settings.decay_amount} XP per run`
+    : settings.decay_mode === "grace"
+      ? `${pct} per run after ${settings.decay_grace_days} days inactive`
+      : `${pct} per run`;
+  const weights = `msg×${settings.decay_weight_message}, reaction×${settings.decay_weight_reaction}, voice min×${settings.decay_weight_voice}`;
+  const floor = settings.decay_floor === "level"
+    ? "start of current level"
+    : settings.decay_floor === "role" ? "lowest mapped role's level" : "none";
+  return `enabled=${!!settings.decay_enabled}, runs ${describeDecaySchedule(settings)}, active = ${settings.decay_min_messages} points / ${settings.decay_window_days} days (${weights}), decay ${how}, floor: ${floor}`;
+}
+
+/**
+ * Decay runs, previews and per-guild scheduling, bound to a database and the role
+ * sync built on it. Scheduled jobs are per instance.
+ */
+function createDecay({ db, roles }) {
+  const {
+    allUsersInGuild,
+    activityInWindow,
+    getDecayInactiveSince,
+    setDecayInactiveSince,
+    listLevelRoles,
+    recordDecayRun,
+    setXp,
+    getGuildSettings,
+  } = db;
+
+  const { syncMemberRoles } = roles;
+
+  // One cron job per guild: guildId => { task, key } (key = what the job was built from)
+  const decayJobs = new Map();
 
-    setXp(guildId, u.user_id, newXp);
+  /**
+   * (Re)schedule a guild's decay job from its settings. Cheap to call repeatedly:
+   * the job is only rebuilt when the schedule, timezone or enabled flag changed.
+   */
+  function scheduleGuildDecay(client, guildId) {
+    const settings = getGuildSettings(guildId);
+    const expr = settings.decay_cron || DEFAULT_DECAY_CRON;
+    const tz = settings.decay_timezone || null;
+    const key = `${settings.decay_enabled ? 1 : 0}|${expr}|${tz ?? ""}`;
 
-    const member = await guild.members.fetch(u.user_id).catch(() => null);
-    if (member) {
-      const lvl = levelFromXp(newXp, settings.level_xp_factor);
-      await syncMemberRoles(member, lvl);
+    const existing = decayJobs.get(guildId);
+    if (existing?.key === key) return;
+    existing?.task.stop();
+    decayJobs.delete(guildId);
+
+    if (!settings.decay_enabled) return;
+    if (!isValidDecayCron(expr) || (tz && !isValidTimezone(tz))) {
+      console.error(`[decay] Invalid schedule for guild ${guildId} (cron "${expr}", timezone "${tz}"); decay won't run.`);
+      return;
     }
+
+    const task = cron.schedule(expr, async () => {
+      try {
+        await runDecayForGuild(client, guildId, { trigger: "scheduled" });
+      } catch (err) {
+        console.error(`[decay] scheduled run failed for guild ${guildId}:`, err?.message || err);
+      }
+    }, tz ? { timezone: tz } : {});
+    decayJobs.set(guildId, { task, key });
   }
+
+  function unscheduleGuildDecay(guildId) {
+    decayJobs.get(guildId)?.task.stop();
+    decayJobs.delete(guildId);
+  }
+
+  function startDecayScheduler(client) {
+    for (const guild of client.guilds.cache.values()) {
+      scheduleGuildDecay(client, guild.id);
+    }
+  }
+
+  function lowestRoleLevel(guildId) {
+    const levels = listLevelRoles(guildId).map(r => r.level_required);
+    return levels.length ? Math.min(...levels) : null;
+  }
+
+  /**
+   * Work out what a decay run would do, without writing anything.
+   * Returns {
+   *   entries:     [{ user_id, before, after }] for users whose XP would change,
+   *   active:      user IDs above the activity threshold (grace timers cleared),
+   *   graceStarts: user IDs who just became inactive (grace timers started),
+   * }.
+   */
+  function planDecay(guildId, settings, t = Date.now()) {
+    const roleFloorLevel = lowestRoleLevel(guildId);
+    const graceMs = Math.max(0, Number(settings.decay_grace_days) || 0) * 24 * 60 * 60 * 1000;
+
+    const plan = { entries: [], active: [], graceStarts: [] };
+    // Members who left keep their XP as it was (data retention decides what happens to it).
+    for (const u of allUsersInGuild(guildId, { includeDeparted: false })) {
+      const activity = activityInWindow(guildId, u.user_id, settings.decay_window_days);
+
+      if (activityScore(activity, settings) >= settings.decay_min_messages) {
+        plan.active.push(u.user_id);
+        continue;
+      }
+
+      if (settings.decay_mode === "grace") {
+        const since = getDecayInactiveSince(guildId, u.user_id);
+        if (since === null) plan.graceStarts.push(u.user_id);
+        if (t - (since ?? t) < graceMs) continue;
+      }
+
+      const newXp = decayedXp(u.xp, settings, roleFloorLevel);
+      if (newXp !== u.xp) plan.entries.push({ user_id: u.user_id, before: u.xp, after: newXp });
+    }
+    return plan;
+  }
+
+  /**
+   * Run decay for a guild and record it in the decay run log.
+   * Returns { runId, usersAffected, xpRemoved }, or null if decay is off / the guild is gone.
+   */
+  async function runDecayForGuild(client, guildId, { trigger = "scheduled", triggeredBy = null } = {}) {
+    const settings = getGuildSettings(guildId);
+    if (!settings.decay_enabled) return null;
+
+    const guild = await client.guilds.fetch(guildId).catch(() => null);
+    if (!guild) return null;
+
+    const startedAt = Date.now();
+    const plan = planDecay(guildId, settings, startedAt);
+
+    for (const userId of plan.active) setDecayInactiveSince(guildId, userId, null);
+    for (const userId of plan.graceStarts) setDecayInactiveSince(guildId, userId, startedAt);
+
+    for (const e of plan.entries) {
+      setXp(guildId, e.user_id, e.after, "decay");
+
+      const member = await guild.members.fetch(e.user_id).catch(() => null);
+      if (member) {
+        const lvl = levelFromXp(e.after, settings);
+        await syncMemberRoles(member, lvl);
+      }
+    }
+
+    const runId = recordDecayRun(guildId, { trigger, triggeredBy, startedAt, entries: plan.entries });
+    const xpRemoved = plan.entries.reduce((sum, e) => sum + (e.before - e.after), 0);
+    if (plan.entries.length) {
+      console.log(`[decay] Run #${runId} in guild ${guildId}: ${plan.entries.length} user(s), -${xpRemoved} XP`);
+    }
+    return { runId, usersAffected: plan.entries.length, xpRemoved };
+  }
+
+  /**
+   * Dry run for /decay preview: the plan, total XP removed, and the mapped roles each
+   * affected user would fall below (removed once the role's drop grace days pass).
+   */
+  function previewDecay(guildId) {
+    const settings = getGuildSettings(guildId);
+    const { entries } = planDecay(guildId, settings);
+    const mappings = listLevelRoles(guildId);
+
+    const roleDrops = [];
+    for (const e of entries) {
+      const from = levelFromXp(e.before, settings);
+      const to = levelFromXp(e.after, settings);
+      const roles = mappings.filter(m => !m.keep_forever && from >= m.level_required && to < m.level_required);
+      if (roles.length) roleDrops.push({ user_id: e.user_id, roles });
+    }
+
+    entries.sort((a, b) => (b.before - b.after) - (a.before - a.after));
+    return {
+      settings,
+      entries,
+      xpRemoved: entries.reduce((sum, e) => sum + (e.before - e.after), 0),
+      roleDrops,
+    };
+  }
+
+  return {
+    scheduleGuildDecay,
+    unscheduleGuildDecay,
+    startDecayScheduler,
+    runDecayForGuild,
+    previewDecay,
+  };
 }
 
-module.exports = { startDecayScheduler };
+module.exports = {
+  DECAY_MODES,
+  DECAY_FLOORS,
+  WEEKDAYS,
+  isValidTimezone,
+  buildDecayCron,
+  describeDecaySchedule,
+  describeDecay,
+  createDecay,
+};
@@ -0,0 +1,60 @@
+// Offline import of another leveling bot's export (same parser as /xpdata importbot).
+// Usage: npm run import-bot -- <guildId> <file> [--format auto|mee6|csv] [--use xp|level] [--apply]
+// Without --apply it only prints a preview. Stop the bot first: it holds the database open.
+const fs = require("fs");
+const { createDb } = require("./db");
+const { BOT_IMPORT_FORMATS, parseBotExport, describeUnmatched } = require("./botImport");
+
+function usage(msg) {
+  if (msg) console.error(msg);
+  console.error("Usage: npm run import-bot -- <guildId> <file> [--format auto|mee6|csv] [--use xp|level] [--apply]");
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const opts = { format: "auto", use: "xp", apply: false, positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--apply") opts.apply = true;
+    else if (a === "--format") opts.format = argv[++i];
+    else if (a === "--use") opts.use = argv[++i];
+    else if (a.startsWith("--")) usage(`Unknown option ${a}`);
+    else opts.positional.push(a);
+  }
+  return opts;
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const [guildId, file] = opts.positional;
+
+  if (!/^\d{17,20}$/.test(guildId ?? "") || !file) usage();
+  if (!BOT_IMPORT_FORMATS.includes(opts.format)) usage(`--format must be one of ${BOT_IMPORT_FORMATS.join(", ")}`);
+  if (!["xp", "level"].includes(opts.use)) usage("--use must be xp or level");
+
+  const { getGuildSettings, importGuildData } = createDb();
+  const settings = getGuildSettings(guildId);
+  const parsed = parseBotExport(fs.readFileSync(file, "utf8"), { format: opts.format, use: opts.use, curve: settings });
+  if (parsed.error) {
+    console.error(parsed.error);
+    process.exit(1);
+  }
+
+  console.log(`Read ${parsed.rows.length} user(s) from ${file} (${parsed.format === "mee6" ? "JSON" : "CSV"}, using ${opts.use}).`);
+  if (parsed.unmatched.length) {
+    console.log(`Unmatched rows (${parsed.unmatched.length}): ${describeUnmatched(parsed.unmatched, 20)}`);
+  }
+
+  if (!opts.apply) {
+    console.log("Preview only; re-run with --apply to write XP.");
+    return;
+  }
+
+  importGuildData(guildId, { mode: "merge", users: parsed.rows });
+  console.log(
+    `Imported XP for ${parsed.rows.length} user(s) into guild ${guildId}. ` +
+    "Users who aren't in the server are hidden when the bot next starts; run /leveltorole resync to update roles."
+  );
+}
+
+main();
@@ -6,76 +6,61 @@ const {
   GatewayIntentBits,
   Partials,
   Events,
-  MessageFlags,
-  AttachmentBuilder,
-  PermissionFlagsBits,
 } = require("discord.js");
 
-const {
-  getGuildSettings,
-  updateGuildSettings,
-
-  addXp,
-  getXp,
-  topUsers,
-
-  logActivity,
-
-  addAllowedCommandChannel,
-  removeAllowedCommandChannel,
-  listAllowedCommandChannels,
-
-  upsertLevelRole,
-  deleteLevelRole,
-  listLevelRoles,
-  getRoleDropState,
-  setRoleBelowSince,
-} = require("./db");
-
-const { renderLeaderboardPng } = require("./renderLeaderboard");
+const { createDb } = require("./db");
 const { levelFromXp } = require("./xp");
-const { syncMemberRoles } = require("./roles");
-const { startVoiceTicker } = require("./voiceTicker");
-const { startDecayScheduler } = require("./decay");
-
-const MAX_XP_AWARD = 1_000_000_000;
+const { createRoles } = require("./roles");
+const { createRoleResync } = require("./roleResync");
+const { createMembers } = require("./members");
+const { createXpData } = require("./xpData");
+const { createBotImport } = require("./botImport");
+const { createBackup } = require("./backup");
+const { createActivityRetention } = require("./activityRetention");
+const { createLevelUp } = require("./levelUp");
+const { applyMultiplier, createMultipliers } = require("./multipliers");
+const { evaluateMessage, sweepRecentMessages } = require("./messageFilters");
+const { createVoiceTicker } = require("./voiceTicker");
+const { createDecay } = require("./decay");
+const { createVoiceSessions } = require("./voiceSessions");
+const { createXpEvents } = require("./xpEvents");
+const { createReactionXp } = require("./reactionXp");
+const { createCommandRouter } = require("./commands");
+
+// One database (DB_PATH, default xpbot.sqlite) shared by every module.
+const db = createDb();
+const roles = createRoles({ db });
+const levelUp = createLevelUp({ db });
+const multipliers = createMultipliers({ db });
+const roleResync = createRoleResync({ db, roles });
+const decay = createDecay({ db, roles });
+const xpData = createXpData({ db });
+const botImport = createBotImport({ db });
+const backup = createBackup({ db });
+
+const { getGuildSettings, addXp, getXp, logActivity } = db;
+const { syncMemberRoles } = roles;
+const { announceLevelUp } = levelUp;
+const { xpMultiplierFor } = multipliers;
+const { startDecayScheduler, scheduleGuildDecay, unscheduleGuildDecay } = decay;
+const { startBackupScheduler } = backup;
+const { handleMemberAdd, handleMemberRemove, startMemberRetention } = createMembers({ db, roles });
+const { startActivityRetention } = createActivityRetention({ db });
+const { startVoiceTicker } = createVoiceTicker({ db, roles, levelUp, multipliers });
+const { handleVoiceStateUpdate, reconcileVoiceSessions } = createVoiceSessions({ db });
+const { startXpEventScheduler } = createXpEvents({ db });
+const { handleReactionAdd, handleReactionRemove, sweepReactionCooldowns } = createReactionXp({ db, roles, levelUp, multipliers });
+
+// Everything a command handler may use (see commands/index.js).
+const handleInteraction = createCommandRouter({ db, roles, decay, roleResync, xpData, botImport, backup });
 
 // Cooldowns (in-memory)
-const msgCooldown = new Map();      // key: guildId:userId => lastTs
-const reactionCooldown = new Map(); // key: guildId:userId => lastTs
+const msgCooldown = new Map(); // key: guildId:userId => lastTs (reactions: see reactionXp.js)
 
 function key(guildId, userId) {
   return `${guildId}:${userId}`;
 }
 
-function isAdminOrMod(interaction) {
-  return interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild);
-}
-
-/**
- * Command channel restriction:
- * - If no allowed channels configured => allowed everywhere
- * - If configured => only allowed in those channels
- * - EXCEPTION: /setcommandchannel is allowed anywhere for admins to avoid lockout
- */
-function commandsAllowed(interaction) {
-  if (interaction.commandName === "setcommandchannel" && isAdminOrMod(interaction)) return true;
-  const rows = listAllowedCommandChannels(interaction.guildId);
-  if (!rows.length) return true;
-  return rows.some(r => r.channel_id === interaction.channelId);
-}
-
-function validateXpValue(value, label) {
-  if (value === null || value === undefined) return null;
-  if (!Number.isFinite(value) || value < 0) {
-    return `${label} XP must be a finite non-negative number.`;
-  }
-  if (value > MAX_XP_AWARD) {
-    return `XP value too large. Maximum value per ${label.toLowerCase()} is ${MAX_XP_AWARD.toLocaleString()}.`;
-  }
-  return null;
-}
-
 // ---------------- Cooldown cleanup ----------------
 // Keep memory bounded for long-running bots. We sweep occasionally.
 function sweepCooldownMap(map, maxAgeMs) {
@@ -92,28 +77,79 @@ const client = new Client({
     GatewayIntentBits.MessageContent,
     GatewayIntentBits.GuildVoiceStates,
     GatewayIntentBits.GuildMessageReactions,
+    GatewayIntentBits.GuildMembers,
   ],
-  partials: [Partials.Message, Partials.Channel, Partials.Reaction],
+  partials: [Partials.Message, Partials.Channel, Partials.Reaction, Partials.User, Partials.GuildMember],
 });
 
 client.once(Events.ClientReady, () => {
   console.log(`HeisenXP-Bot logged in as ${client.user.tag}`);
 
+  // Close/open voice sessions to match who is in voice right now.
+  try {
+    reconcileVoiceSessions(client);
+  } catch (err) {
+    console.error("[voiceSessions] reconcile error:", err?.message || err);
+  }
+
   // Start the per-minute voice XP ticker.
   startVoiceTicker(client);
 
-  // Start scheduled daily decay (4 AM server local time).
+  // Start per-guild decay jobs (each guild's schedule and timezone, default daily 04:00).
   startDecayScheduler(client);
 
+  // Post XP event start/end announcements (boosts themselves apply on every award).
+  startXpEventScheduler(client);
+
+  // Catch up on joins/leaves missed while offline, then purge departed members per retention.
+  startMemberRetention(client);
+
+  // Online SQLite backups with rotation (BACKUP_* in .env).
+  startBackupScheduler();
+
+  // Fold old raw activity into daily totals and reclaim the space (ACTIVITY_* in .env).
+  startActivityRetention();
+
   // Periodic cleanup of cooldown maps so memory stays bounded.
   // We keep a generous window so we don't accidentally delete active entries.
   setInterval(() => {
     // 6 hours is plenty for the cooldowns we use (seconds).
     sweepCooldownMap(msgCooldown, 6 * 60 * 60 * 1000);
-    sweepCooldownMap(reactionCooldown, 6 * 60 * 60 * 1000);
+    sweepReactionCooldowns(6 * 60 * 60 * 1000);
+    sweepRecentMessages(6 * 60 * 60 * 1000);
   }, 10 * 60 * 1000);
 });
 
+// Per-guild jobs (decay) follow the bot joining / leaving servers
+client.on(Events.GuildCreate, (guild) => {
+  try {
+    scheduleGuildDecay(client, guild.id);
+  } catch (e) {
+    console.error("[GuildCreate] error:", e?.message || e);
+  }
+});
+
+client.on(Events.GuildDelete, (guild) => {
+  unscheduleGuildDecay(guild.id);
+});
+
+// Member join / leave (role restore, leaderboard visibility, data retention)
+client.on(Events.GuildMemberAdd, async (member) => {
+  try {
+    await handleMemberAdd(member);
+  } catch (e) {
+    console.error("[GuildMemberAdd] error:", e?.message || e);
+  }
+});
+
+client.on(Events.GuildMemberRemove, (member) => {
+  try {
+    handleMemberRemove(member);
+  } catch (e) {
+    console.error("[GuildMemberRemove] error:", e?.message || e);
+  }
+});
+
 // Message XP
 client.on(Events.MessageCreate, async (message) => {
   try {
@@ -121,8 +157,19 @@ client.on(Events.MessageCreate, async (message) => {
     if (message.author?.bot) return;
 
     const settings = getGuildSettings(message.guild.id);
-    const gain = Number(settings.msg_xp) || 0;
+    const baseGain = Number(settings.msg_xp) || 0;
     const cdSec = Math.max(0, Number(settings.msg_cooldown_sec) || 0);
+    if (baseGain <= 0) return;
+
+    // Quality filters (length, duplicates, commands, link/attachment-only)
+    const verdict = evaluateMessage(message, settings);
+    if (!verdict.ok) return;
+
+    const member = message.member
+      ?? await message.guild.members.fetch(message.author.id).catch(() => null);
+
+    // Channel/role multipliers (0 = no-XP channel or role; don't burn the cooldown)
+    const gain = applyMultiplier(baseGain, xpMultiplierFor(member, message.channel) * verdict.scale);
     if (gain <= 0) return;
 
     const k = key(message.guild.id, message.author.id);
@@ -132,362 +179,47 @@ client.on(Events.MessageCreate, async (message) => {
 
     msgCooldown.set(k, nowMs);
 
-    const newXp = addXp(message.guild.id, message.author.id, gain);
+    const oldXp = getXp(message.guild.id, message.author.id);
+    const newXp = addXp(message.guild.id, message.author.id, gain, "message");
     logActivity(message.guild.id, message.author.id, "message", 1);
 
-    const member = await message.guild.members.fetch(message.author.id).catch(() => null);
     if (member) {
-      const lvl = levelFromXp(newXp, settings.level_xp_factor);
+      const lvl = levelFromXp(newXp, settings);
       await syncMemberRoles(member, lvl);
+      await announceLevelUp(member, levelFromXp(oldXp, settings), lvl, settings, message.channel);
     }
   } catch (e) {
     console.error("[MessageCreate] error:", e?.message || e);
   }
 });
 
-// Reaction XP (add)
-client.on(Events.MessageReactionAdd, async (reaction, user) => {
+// Voice session tracking (join / move / leave)
+client.on(Events.VoiceStateUpdate, (oldState, newState) => {
   try {
-    if (!reaction.message?.guild) return;
-    if (user?.bot) return;
-
-    // Ensure partials are resolved
-    if (reaction.partial) {
-      try { await reaction.fetch(); } catch { return; }
-    }
-    if (reaction.message.partial) {
-      try { await reaction.message.fetch(); } catch { /* ignore */ }
-    }
-
-    const guild = reaction.message.guild;
-    const settings = getGuildSettings(guild.id);
-    const gain = Number(settings.reaction_xp) || 0;
-    const cdSec = Math.max(0, Number(settings.reaction_cooldown_sec) || 0);
-    if (gain <= 0) return;
-
-    const k = key(guild.id, user.id);
-    const last = reactionCooldown.get(k) || 0;
-    const nowMs = Date.now();
-    if (cdSec > 0 && (nowMs - last) < cdSec * 1000) return;
-
-    reactionCooldown.set(k, nowMs);
-
-    const newXp = addXp(guild.id, user.id, gain);
-    logActivity(guild.id, user.id, "reaction", 1);
+    handleVoiceStateUpdate(oldState, newState);
+  } catch (e) {
+    console.error("[VoiceStateUpdate] error:", e?.message || e);
+  }
+});
 
-    const member = await guild.members.fetch(user.id).catch(() => null);
-    if (member) {
-      const lvl = levelFromXp(newXp, settings.level_xp_factor);
-      await syncMemberRoles(member, lvl);
-    }
+// Reaction XP (add / remove)
+client.on(Events.MessageReactionAdd, async (reaction, user) => {
+  try {
+    await handleReactionAdd(reaction, user);
   } catch (e) {
     console.error("[ReactionAdd] error:", e?.message || e);
   }
 });
 
-// Slash commands
-client.on(Events.InteractionCreate, async (interaction) => {
-  if (!interaction.isChatInputCommand()) return;
-  if (!interaction.guild) return;
-
+client.on(Events.MessageReactionRemove, async (reaction, user) => {
   try {
-    if (!commandsAllowed(interaction)) {
-      await interaction.reply({
-        content: "Commands aren’t enabled in this channel.",
-        flags: MessageFlags.Ephemeral,
-      });
-      return;
-    }
-
-    const guildId = interaction.guildId;
-    const settings = getGuildSettings(guildId);
-
-    // /xp [user] (ephemeral)
-    if (interaction.commandName === "xp") {
-      const target = interaction.options.getUser("user") ?? interaction.user;
-      const xp = getXp(guildId, target.id);
-      const level = levelFromXp(xp, settings.level_xp_factor);
-
-      await interaction.reply({
-        content: `${target.username}: **${xp} XP** (Level **${level}**)`,
-                              flags: MessageFlags.Ephemeral,
-      });
-      return;
-    }
-
-    // /leaderboard (PUBLIC) PNG top 10
-    if (interaction.commandName === "leaderboard") {
-      const rows = topUsers(guildId, 10);
-      if (!rows.length) {
-        await interaction.reply({
-          content: "No leaderboard data yet.",
-          flags: MessageFlags.Ephemeral,
-        });
-        return;
-      }
-
-      let members = null;
-      try {
-        members = await interaction.guild.members.fetch({ user: rows.map(r => r.user_id) });
-      } catch {
-        members = null;
-      }
-
-      const factor = Math.max(1, Number(settings.level_xp_factor) || 100);
-
-      const entries = rows.map((r, idx) => {
-        const m = members?.get?.(r.user_id);
-        const name = m?.displayName || m?.user?.username || `User ${r.user_id}`;
-        const level = levelFromXp(r.xp, factor);
-        return { rank: idx + 1, name, xp: r.xp, level };
-      });
-
-      const png = renderLeaderboardPng(entries, factor);
-      const file = new AttachmentBuilder(png, { name: "heisenxp-leaderboard.png" });
-
-      await interaction.reply({
-        content: "**Leaderboard (Top 10)**",
-                              files: [file],
-      });
-      return;
-    }
-
-    // Admin/mod gate from here down where appropriate
-    const admin = isAdminOrMod(interaction);
-
-    // /settings (admin/mod)
-    if (interaction.commandName === "settings") {
-      if (!admin) {
-        await interaction.reply({ content: "You don’t have permission to use this.", flags: MessageFlags.Ephemeral });
-        return;
-      }
-
-      const chans = listAllowedCommandChannels(guildId);
-      const chanText = chans.length
-      ? chans.map(r => `<#${r.channel_id}>`).join(", ")
-      : "All channels (no restriction set)";
-
-      const roles = listLevelRoles(guildId);
-      const roleText = roles.length
-      ? roles.map(r => `<@&${r.role_id}> @ Lvl ${r.level_required} (drop after ${r.drop_grace_days}d)`).join("\n")
-      : "(none configured)";
-
-      await interaction.reply({
-        content:
-        `**HeisenXP-Bot Settings**\n` +
-        `**XP:** msg=${settings.msg_xp}, reaction=${settings.reaction_xp}, voice/min=${settings.voice_xp_per_min}\n` +
-        `**Cooldowns:** msg=${settings.msg_cooldown_sec}s, reaction=${settings.reaction_cooldown_sec}s\n` +
-        `**Decay:** enabled=${!!settings.decay_enabled}, threshold=${settings.decay_min_messages} msgs / ${settings.decay_window_days} days, percent=${Math.round((Number(settings.decay_percent) || 0) * 100)}%\n` +
-        `**Level curve factor:** ${settings.level_xp_factor} (Level L starts at L²×factor)\n` +
-        `**Commands allowed in:** ${chanText}\n` +
-        `**Level→Role mappings:**\n${roleText}`,
-        flags: MessageFlags.Ephemeral,
-      });
-      return;
-    }
-
-    // /setxp (admin/mod)
-    if (interaction.commandName === "setxp") {
-      if (!admin) {
-        await interaction.reply({ content: "You don’t have permission to use this.", flags: MessageFlags.Ephemeral });
-        return;
-      }
-
-      const msg = interaction.options.getInteger("message");
-      const reaction = interaction.options.getInteger("reaction");
-      const voice = interaction.options.getInteger("voice");
-      const msgcooldown = interaction.options.getInteger("msgcooldown");
-      const reactioncooldown = interaction.options.getInteger("reactioncooldown");
-
-      const errors = [
-        validateXpValue(msg, "Message"),
-          validateXpValue(reaction, "Reaction"),
-          validateXpValue(voice, "Voice"),
-      ].filter(Boolean);
-
-      if (errors.length) {
-        await interaction.reply({ content: errors.join("\n"), flags: MessageFlags.Ephemeral });
-        return;
-      }
-
-      const patch = {};
-      if (msg !== null) patch.msg_xp = msg;
-      if (reaction !== null) patch.reaction_xp = reaction;
-      if (voice !== null) patch.voice_xp_per_min = voice;
-      if (msgcooldown !== null) patch.msg_cooldown_sec = msgcooldown;
-      if (reactioncooldown !== null) patch.reaction_cooldown_sec = reactioncooldown;
-
-      const updated = updateGuildSettings(guildId, patch);
-
-      await interaction.reply({
-        content:
-        `Updated XP settings:\n` +
-        `- msg_xp: **${updated.msg_xp}**\n` +
-        `- reaction_xp: **${updated.reaction_xp}**\n` +
-        `- voice_xp_per_min: **${updated.voice_xp_per_min}**\n` +
-        `- msg_cooldown_sec: **${updated.msg_cooldown_sec}**\n` +
-        `- reaction_cooldown_sec: **${updated.reaction_cooldown_sec}**`,
-        flags: MessageFlags.Ephemeral,
-      });
-      return;
-    }
-
-    // /setdecay (admin/mod)
-    if (interaction.commandName === "setdecay") {
-      if (!admin) {
-        await interaction.reply({ content: "You don’t have permission to use this.", flags: MessageFlags.Ephemeral });
-        return;
-      }
-
-      const enabled = interaction.options.getBoolean("enabled");
-      const messages = interaction.options.getInteger("messages");
-      const days = interaction.options.getInteger("days");
-      const percent = interaction.options.getNumber("percent"); // 0..95
-
-      const patch = {};
-
-      if (enabled !== null) patch.decay_enabled = enabled ? 1 : 0;
-      if (messages !== null) patch.decay_min_messages = Math.max(0, messages);
-      if (days !== null) patch.decay_window_days = Math.max(1, days);
-      if (percent !== null) patch.decay_percent = Math.max(0, Math.min(0.95, percent / 100));
-
-      const updated = updateGuildSettings(guildId, patch);
-
-      await interaction.reply({
-        content:
-        `Updated decay settings:\n` +
-        `- enabled: **${!!updated.decay_enabled}**\n` +
-        `- threshold: **${updated.decay_min_messages} messages** in **${updated.decay_window_days} days**\n` +
-        `- percent: **${Math.round((Number(updated.decay_percent) || 0) * 100)}%**`,
-                              flags: MessageFlags.Ephemeral,
-      });
-      return;
-    }
-
-    // /leveltorole (admin/mod)
-    if (interaction.commandName === "leveltorole") {
-      if (!admin) {
-        await interaction.reply({ content: "You don’t have permission to use this.", flags: MessageFlags.Ephemeral });
-        return;
-      }
-
-      const sub = interaction.options.getSubcommand();
-
-      if (sub === "set") {
-        const role = interaction.options.getRole("role", true);
-        const level = interaction.options.getInteger("level", true);
-        const dropdays = interaction.options.getInteger("dropdays", true);
-
-        upsertLevelRole(guildId, role.id, Math.max(0, level), Math.max(0, dropdays));
-
-        await interaction.reply({
-          content: `Mapped ${role} to **Lvl ${level}** (remove after **${dropdays}** day(s) below).`,
-                                flags: MessageFlags.Ephemeral,
-        });
-        return;
-      }
-
-      if (sub === "remove") {
-        const role = interaction.options.getRole("role", true);
-        deleteLevelRole(guildId, role.id);
-
-        await interaction.reply({
-          content: `Removed mapping for ${role}.`,
-          flags: MessageFlags.Ephemeral,
-        });
-        return;
-      }
-
-      if (sub === "list") {
-        const rows = listLevelRoles(guildId);
-        if (!rows.length) {
-          await interaction.reply({
-            content: "No level→role mappings configured.",
-            flags: MessageFlags.Ephemeral,
-          });
-          return;
-        }
-
-        const lines = rows.map(r => `- <@&${r.role_id}> @ **Lvl ${r.level_required}** (drop after **${r.drop_grace_days}d**)`);
-        await interaction.reply({
-          content: `**Level→Role mappings:**\n${lines.join("\n")}`,
-                                flags: MessageFlags.Ephemeral,
-        });
-        return;
-      }
-    }
-
-    // /setcommandchannel (admin/mod)
-    if (interaction.commandName === "setcommandchannel") {
-      if (!admin) {
-        await interaction.reply({ content: "You don’t have permission to use this.", flags: MessageFlags.Ephemeral });
-        return;
-      }
-
-      const sub = interaction.options.getSubcommand();
-
-      if (sub === "add") {
-        const ch = interaction.options.getChannel("channel", true);
-        addAllowedCommandChannel(guildId, ch.id);
-        await interaction.reply({
-          content: `Commands are now allowed in <#${ch.id}>.`,
-          flags: MessageFlags.Ephemeral,
-        });
-        return;
-      }
-
-      if (sub === "remove") {
-        const ch = interaction.options.getChannel("channel", true);
-        removeAllowedCommandChannel(guildId, ch.id);
-        await interaction.reply({
-          content: `Removed <#${ch.id}> from allowed command channels.`,
-          flags: MessageFlags.Ephemeral,
-        });
-        return;
-      }
-
-      if (sub === "list") {
-        const rows = listAllowedCommandChannels(guildId);
-        if (!rows.length) {
-          await interaction.reply({
-            content: "No allowed channels configured — commands are allowed in all channels.",
-            flags: MessageFlags.Ephemeral,
-          });
-          return;
-        }
-        const lines = rows.map(r => `- <#${r.channel_id}>`);
-        await interaction.reply({
-          content: `**Allowed command channels:**\n${lines.join("\n")}`,
-                                flags: MessageFlags.Ephemeral,
-        });
-        return;
-      }
-    }
-
-    // Fallback so Discord never times out
-    await interaction.reply({
-      content: `Unhandled command: \`/${interaction.commandName}\` (handler missing).`,
-                            flags: MessageFlags.Ephemeral,
-    });
-  } catch (err) {
-    console.error("Interaction handler error:", err);
-
-    try {
-      if (interaction.deferred || interaction.replied) {
-        await interaction.followUp({
-          content: "Something went wrong handling that command (check bot logs).",
-                                   flags: MessageFlags.Ephemeral,
-        });
-      } else {
-        await interaction.reply({
-          content: "Something went wrong handling that command (check bot logs).",
-                                flags: MessageFlags.Ephemeral,
-        });
-      }
-    } catch {
-      // If Discord rejects the response (already timed out), nothing else we can do.
-    }
+    await handleReactionRemove(reaction, user);
+  } catch (e) {
+    console.error("[ReactionRemove] error:", e?.message || e);
   }
 });
 
+// Slash commands, autocomplete, buttons and select menus (see commands/index.js)
+client.on(Events.InteractionCreate, handleInteraction);
+
 client.login(process.env.DISCORD_TOKEN);
@@ -0,0 +1,116 @@
+const LEVELUP_MODES = ["off", "same", "channel", "dm"];
+
+const DEFAULT_LEVELUP_TEMPLATE = "🎉 {user} just reached **Level {level}**!";
+
+// Discord message content limit.
+const MAX_MESSAGE_LEN = 2000;
+
+/**
+ * Fill a level-up template.
+ * Placeholders: {user} (mention), {username}, {level}, {role}, {server}
+ * {role} is the highest newly-earned mapped role (empty if none); a mention in
+ * guild channels, the plain role name in DMs (mentions don't render there).
+ */
+function renderLevelUpTemplate(template, { member, level, role, inDm }) {
+  const roleText = role ? (inDm ? role.name : `<@&${role.id}>`) : "";
+  const out = String(template || DEFAULT_LEVELUP_TEMPLATE)
+    .replace(/\{user\}/g, `<@${member.id}>`)
+    .replace(/\{username\}/g, member.displayName || member.user?.username || member.id)
+    .replace(/\{level\}/g, String(level))
+    .replace(/\{role\}/g, roleText)
+    .replace(/\{server\}/g, member.guild?.name ?? "");
+  return out.slice(0, MAX_MESSAGE_LEN);
+}
+
+/**
+ * Where announcements go, for /settings and /setlevelup.
+ */
+function describeLevelUpTarget(settings) {
+  const mode = settings.levelup_mode || "off";
+  if (mode === "off") return "off";
+  if (mode === "same") return "same channel";
+  if (mode === "dm") return "DM";
+  return settings.levelup_channel_id ? `<#${settings.levelup_channel_id}>` : "channel (not set)";
+}
+
+/**
+ * Level-up announcements bound to a database (for the role lookup in {role}).
+ */
+function createLevelUp({ db }) {
+  const {
+    listLevelRoles,
+  } = db;
+
+  /**
+   * Highest mapped role whose requirement falls in (oldLevel, newLevel], i.e. just earned.
+   */
+  function newlyEarnedRole(guild, oldLevel, newLevel) {
+    const earned = listLevelRoles(guild.id)
+      .filter(m => m.level_required > oldLevel && m.level_required <= newLevel);
+    if (!earned.length) return null;
+    const top = earned[earned.length - 1]; // listLevelRoles is ordered by level ascending
+    return guild.roles.cache.get(top.role_id) ?? null;
+  }
+
+  /**
+   * Post a level-up announcement if the member crossed into a higher level.
+   *
+   * sourceChannel: where the XP was earned (message/reaction channel, voice channel),
+   * used by mode "same". Voice channels are used only if they have a text chat.
+   *
+   * Never throws: announcement failures (missing perms, closed DMs) are logged and ignored.
+   */
+  async function announceLevelUp(member, oldLevel, newLevel, settings, sourceChannel = null) {
+    if (!member || newLevel <= oldLevel) return;
+
+    const mode = settings.levelup_mode || "off";
+    if (mode === "off") return;
+
+    try {
+      const role = newlyEarnedRole(member.guild, oldLevel, newLevel);
+      const inDm = mode === "dm";
+      const content = renderLevelUpTemplate(settings.levelup_template, {
+        member,
+        level: newLevel,
+        role,
+        inDm,
+      });
+
+      if (inDm) {
+        await member.send({ content });
+        return;
+      }
+
+      let channel = null;
+      if (mode === "channel" && settings.levelup_channel_id) {
+        channel = member.guild.channels.cache.get(settings.levelup_channel_id)
+          ?? await member.guild.channels.fetch(settings.levelup_channel_id).catch(() => null);
+      } else if (mode === "same") {
+        channel = sourceChannel;
+      }
+      if (!channel?.isTextBased?.()) return;
+
+      await channel.send({
+        content,
+        // Ping the member only; never roles or @everyone from a custom template.
+        allowedMentions: { users: [member.id] },
+      });
+    } catch (err) {
+      console.error(
+        `[levelUp] Failed to announce level ${newLevel} for user ${member.id} in guild ${member.guild?.id}: ${err?.message || err}`
+      );
+    }
+  }
+
+  return {
+    announceLevelUp,
+  };
+}
+
+module.exports = {
+  LEVELUP_MODES,
+  DEFAULT_LEVELUP_TEMPLATE,
+  renderLevelUpTemplate,
+  describeLevelUpTarget,
+  createLevelUp,
+};
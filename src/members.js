@@ -0,0 +1,140 @@
+const { levelFromXp } = require("./xp");
+
+const RETENTION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// departed_retention_days: NULL = keep forever, 0 = purge on leave, N = purge after N days
+function retentionDays(settings) {
+  const v = settings.departed_retention_days;
+  return v === null || v === undefined ? null : Math.max(0, Number(v) || 0);
+}
+
+/**
+ * Human-readable retention policy for /settings and /setretention.
+ */
+function describeRetention(settings) {
+  const days = retentionDays(settings);
+  if (days === null) return "keep forever (hidden from leaderboards while away)";
+  if (days === 0) return "purge immediately when they leave";
+  return `purge ${days} day(s) after they leave (hidden from leaderboards meanwhile)`;
+}
+
+/**
+ * Join/leave handling and the departed-member retention job, bound to a database
+ * and the role sync built on it.
+ */
+function createMembers({ db, roles }) {
+  const {
+    getGuildSettings,
+    getXp,
+    allUsersInGuild,
+    markMemberDeparted,
+    clearMemberDeparted,
+    listDepartedMembers,
+    purgeMemberData,
+  } = db;
+
+  const { syncMemberRoles } = roles;
+
+  async function restoreRoles(member) {
+    const settings = getGuildSettings(member.guild.id);
+    const lvl = levelFromXp(getXp(member.guild.id, member.id), settings);
+    await syncMemberRoles(member, lvl);
+  }
+
+  /**
+   * GuildMemberAdd: a returning member shows up on leaderboards again and gets their
+   * level roles back right away (instead of on their next message).
+   */
+  async function handleMemberAdd(member) {
+    if (member.user?.bot) return;
+    clearMemberDeparted(member.guild.id, member.id);
+    await restoreRoles(member);
+  }
+
+  /**
+   * GuildMemberRemove: hide the member from leaderboards, or purge their data right
+   * away if the guild's retention is "immediately".
+   */
+  function handleMemberRemove(member) {
+    if (member.user?.bot) return;
+    const guildId = member.guild.id;
+    if (retentionDays(getGuildSettings(guildId)) === 0) {
+      purgeMemberData(guildId, member.id);
+    } else {
+      markMemberDeparted(guildId, member.id);
+    }
+  }
+
+  /**
+   * Purge departed members whose retention period is over. Returns the number purged.
+   */
+  function purgeExpiredDeparted(guildId, atMs = Date.now()) {
+    const days = retentionDays(getGuildSettings(guildId));
+    if (days === null) return 0;
+
+    let purged = 0;
+    for (const d of listDepartedMembers(guildId)) {
+      if (atMs - d.left_at < days * DAY_MS) continue;
+      purgeMemberData(guildId, d.user_id);
+      purged++;
+    }
+    return purged;
+  }
+
+  /**
+   * On startup, catch up on joins/leaves that happened while the bot was offline:
+   * users with XP who aren't in the guild are marked departed (as of now), and
+   * departed users who are back get their roles restored.
+   * Needs the Server Members intent (a full member fetch per guild).
+   */
+  async function reconcileMembers(client) {
+    for (const guild of client.guilds.cache.values()) {
+      const members = await guild.members.fetch().catch((err) => {
+        console.error(`[members] Could not fetch members of guild ${guild.id}: ${err?.message || err}`);
+        return null;
+      });
+      if (!members) continue;
+
+      for (const u of allUsersInGuild(guild.id)) {
+        if (!members.has(u.user_id)) markMemberDeparted(guild.id, u.user_id);
+      }
+      for (const d of listDepartedMembers(guild.id)) {
+        const member = members.get(d.user_id);
+        if (!member) continue;
+        clearMemberDeparted(guild.id, d.user_id);
+        await restoreRoles(member).catch(() => {});
+      }
+    }
+  }
+
+  function runRetentionSweep(client) {
+    try {
+      for (const guild of client.guilds.cache.values()) {
+        const purged = purgeExpiredDeparted(guild.id);
+        if (purged) console.log(`[members] Purged data of ${purged} departed member(s) in guild ${guild.id}`);
+      }
+    } catch (err) {
+      console.error("[members] retention sweep error:", err?.message || err);
+    }
+  }
+
+  function startMemberRetention(client) {
+    reconcileMembers(client)
+      .catch((err) => console.error("[members] reconcile error:", err?.message || err))
+      .finally(() => runRetentionSweep(client));
+
+    setInterval(() => runRetentionSweep(client), RETENTION_CHECK_INTERVAL_MS);
+  }
+
+  return {
+    handleMemberAdd,
+    handleMemberRemove,
+    startMemberRetention,
+  };
+}
+
+module.exports = {
+  describeRetention,
+  createMembers,
+};
@@ -0,0 +1,165 @@
+// Message quality filters for message XP (per-guild settings, see /setmsgfilter).
+
+// Messages this long (meaningful chars) earn the full length-scaling bonus.
+const LENGTH_SCALE_FULL_CHARS = 300;
+
+// Recent messages per user for duplicate detection (in-memory).
+const recentMessages = new Map(); // key: guildId:userId => Array<{ text, ts }>
+const MAX_DEDUPE_WINDOW = 20;
+
+const URL_RE = /https?:\/\/\S+/gi;
+const DISCORD_TOKEN_RE = /<a?:\w+:\d+>|<[@#][!&]?\d+>|<t:\d+(?::[a-zA-Z])?>/g;
+
+/**
+ * The "meaningful" text of a message: no links, mentions, custom emoji or timestamps.
+ */
+function meaningfulText(content) {
+  return String(content ?? "")
+    .replace(URL_RE, " ")
+    .replace(DISCORD_TOKEN_RE, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Normalization for duplicate checks: case, punctuation, whitespace and
+ * character runs ("heyyyy" == "hey") don't make a message different.
+ */
+function normalizeForDedupe(text) {
+  return text
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, "")
+    .replace(/(.)\1{2,}/gu, "$1")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function bigrams(str) {
+  const out = new Map();
+  const cps = Array.from(str);
+  for (let i = 0; i < cps.length - 1; i++) {
+    const bg = cps[i] + cps[i + 1];
+    out.set(bg, (out.get(bg) ?? 0) + 1);
+  }
+  return out;
+}
+
+/**
+ * Sørensen–Dice similarity on character bigrams (0..1).
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (Array.from(a).length < 2 || Array.from(b).length < 2) return 0;
+  const A = bigrams(a);
+  const B = bigrams(b);
+  let overlap = 0;
+  let total = 0;
+  for (const [bg, n] of A) {
+    total += n;
+    overlap += Math.min(n, B.get(bg) ?? 0);
+  }
+  for (const n of B.values()) total += n;
+  return (2 * overlap) / total;
+}
+
+function parsePrefixes(text) {
+  return String(text ?? "").split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Remember a message and report whether it (nearly) duplicates one of the
+ * user's last `window` messages.
+ */
+function checkAndRememberDuplicate(key, text, window, threshold) {
+  const norm = normalizeForDedupe(text);
+  const list = recentMessages.get(key) ?? [];
+  const recent = list.slice(-window);
+  const dup = !!norm && recent.some(m => similarity(m.text, norm) >= threshold);
+
+  list.push({ text: norm, ts: Date.now() });
+  recentMessages.set(key, list.slice(-MAX_DEDUPE_WINDOW));
+  return dup;
+}
+
+/**
+ * Decide whether a message earns XP under the guild's filters.
+ * Returns { ok: true, scale } or { ok: false, reason }.
+ * `scale` is the length-scaling factor (1 when disabled).
+ */
+function evaluateMessage(message, settings) {
+  const content = String(message.content ?? "");
+  const text = meaningfulText(content);
+
+  const prefixes = parsePrefixes(settings.msg_command_prefixes);
+  if (prefixes.some(p => content.trimStart().startsWith(p))) {
+    return { ok: false, reason: "command" };
+  }
+
+  // Only links / attachments / stickers / mentions, no actual text.
+  if (settings.msg_require_text && !text) {
+    return { ok: false, reason: "no_text" };
+  }
+
+  // Long character runs ("aaaaaaaa") count as two characters.
+  const chars = Array.from(text.replace(/(.)\1{2,}/gu, "$1$1")).length;
+  const minChars = Math.max(0, Number(settings.msg_min_chars) || 0);
+  if (minChars > 0 && chars < minChars) return { ok: false, reason: "too_short" };
+
+  const minWords = Math.max(0, Number(settings.msg_min_words) || 0);
+  if (minWords > 0 && (text ? text.split(" ").length : 0) < minWords) {
+    return { ok: false, reason: "too_few_words" };
+  }
+
+  const window = Math.min(MAX_DEDUPE_WINDOW, Math.max(0, Number(settings.msg_dedupe_window) || 0));
+  if (window > 0 && text) {
+    const threshold = Math.min(1, Math.max(0.5, Number(settings.msg_dedupe_similarity) || 0.9));
+    const key = `${message.guild.id}:${message.author.id}`;
+    if (checkAndRememberDuplicate(key, text, window, threshold)) {
+      return { ok: false, reason: "duplicate" };
+    }
+  }
+
+  const scaleMax = Math.max(1, Number(settings.msg_length_scale_max) || 1);
+  const scale = scaleMax > 1
+    ? 1 + (scaleMax - 1) * Math.min(1, chars / LENGTH_SCALE_FULL_CHARS)
+    : 1;
+
+  return { ok: true, scale };
+}
+
+// Keep memory bounded for long-running bots (called from the cooldown sweeper).
+function sweepRecentMessages(maxAgeMs) {
+  const cutoff = Date.now() - maxAgeMs;
+  for (const [k, list] of recentMessages.entries()) {
+    const kept = list.filter(m => m.ts >= cutoff);
+    if (kept.length) recentMessages.set(k, kept);
+    else recentMessages.delete(k);
+  }
+}
+
+/**
+ * One-line summary of the message filters for /settings.
+ */
+function describeMessageFilters(settings) {
+  const parts = [];
+  if (settings.msg_min_chars > 0) parts.push(`min ${settings.msg_min_chars} chars`);
+  if (settings.msg_min_words > 0) parts.push(`min ${settings.msg_min_words} words`);
+  if (settings.msg_dedupe_window > 0) {
+    parts.push(`no repeats of last ${settings.msg_dedupe_window} msgs (≥${Math.round(Number(settings.msg_dedupe_similarity) * 100)}% similar)`);
+  }
+  if (settings.msg_require_text) parts.push("ignore link/attachment/sticker-only");
+  if (settings.msg_command_prefixes) parts.push(`ignore prefixes ${settings.msg_command_prefixes}`);
+  if (Number(settings.msg_length_scale_max) > 1) parts.push(`length scaling up to ×${settings.msg_length_scale_max}`);
+  return parts.length ? parts.join(", ") : "off";
+}
+
+module.exports = {
+  LENGTH_SCALE_FULL_CHARS,
+  MAX_DEDUPE_WINDOW,
+  evaluateMessage,
+  sweepRecentMessages,
+  describeMessageFilters,
+  meaningfulText,
+  similarity,
+};
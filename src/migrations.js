@@ -0,0 +1,427 @@
+// Versioned schema migrations, tracked in PRAGMA user_version.
+//
+// To change the schema, append a migration with the next version number; never edit
+// one that has shipped. Each migration runs in its own transaction, so it can create,
+// rename or drop tables/columns and rewrite data (SQLite supports ALTER TABLE
+// RENAME COLUMN and DROP COLUMN; rebuild the table for anything else).
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Helper: check if a table exists.
+ */
+function tableExists(db, name) {
+  const row = db
+  .prepare(`SELECT name FROM sqlite_master WHERE type='table' AND name=?`)
+  .get(name);
+  return !!row;
+}
+
+/**
+ * Helper: get columns for a table (empty if table doesn't exist)
+ */
+function getColumns(db, table) {
+  if (!tableExists(db, table)) return [];
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(r => r.name);
+}
+
+/**
+ * Helper: add column if missing (SQLite doesn't support IF NOT EXISTS for columns).
+ */
+function addColumnIfMissing(db, table, columnName, columnDefSql) {
+  const cols = new Set(getColumns(db, table));
+  if (cols.has(columnName)) return;
+  db.prepare(`ALTER TABLE ${table} ADD COLUMN ${columnDefSql}`).run();
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "baseline",
+    // Everything from before versioning. Idempotent, so unversioned databases of any
+    // age (user_version 0) end up with the same schema as a fresh install.
+    up(db) {
+      db.exec(`
+CREATE TABLE IF NOT EXISTS users (
+  guild_id TEXT NOT NULL,
+  user_id  TEXT NOT NULL,
+  xp       INTEGER NOT NULL DEFAULT 0,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  PRIMARY KEY (guild_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS activity_log (
+  guild_id TEXT NOT NULL,
+  user_id  TEXT NOT NULL,
+  kind     TEXT NOT NULL, -- message|reaction|reaction_received|voice_minute
+  amount   INTEGER NOT NULL DEFAULT 1,
+  created_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_activity_recent
+ON activity_log (guild_id, user_id, kind, created_at);
+
+-- Helps range scans on time windows (e.g., decay checks, pruning).
+CREATE INDEX IF NOT EXISTS idx_activity_created_at
+ON activity_log (created_at);
+
+-- Per-event XP ledger: the XP actually applied by addXp/setXp (after clamping).
+-- source: message|reaction|voice|decay|manual|import
+CREATE TABLE IF NOT EXISTS xp_ledger (
+  guild_id TEXT NOT NULL,
+  user_id  TEXT NOT NULL,
+  source   TEXT NOT NULL,
+  delta    INTEGER NOT NULL,
+  reason   TEXT, -- optional note (e.g. /xpadmin reason)
+  created_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_xp_ledger_guild_time
+ON xp_ledger (guild_id, created_at);
+
+-- Open voice session per user (current channel stint; see voice_segments for history)
+CREATE TABLE IF NOT EXISTS voice_sessions (
+  guild_id TEXT NOT NULL,
+  user_id  TEXT NOT NULL,
+  channel_id TEXT NOT NULL,
+  joined_at INTEGER NOT NULL,
+  PRIMARY KEY (guild_id, user_id)
+);
+
+-- Closed voice stints: one row per channel visited within a session
+-- (a session spans channel moves; rows share session_started_at).
+CREATE TABLE IF NOT EXISTS voice_segments (
+  guild_id TEXT NOT NULL,
+  user_id  TEXT NOT NULL,
+  channel_id TEXT NOT NULL,
+  session_started_at INTEGER NOT NULL,
+  started_at INTEGER NOT NULL,
+  ended_at INTEGER NOT NULL,
+  eligible_minutes INTEGER NOT NULL DEFAULT 0
+);
+CREATE INDEX IF NOT EXISTS idx_voice_segments_user
+ON voice_segments (guild_id, user_id, session_started_at);
+
+-- Per-guild settings (one row per guild)
+CREATE TABLE IF NOT EXISTS guild_settings (
+  guild_id TEXT PRIMARY KEY,
+
+  msg_xp INTEGER NOT NULL DEFAULT 5,
+  voice_xp_per_min INTEGER NOT NULL DEFAULT 1,
+  msg_cooldown_sec INTEGER NOT NULL DEFAULT 20,
+
+  decay_enabled INTEGER NOT NULL DEFAULT 1,
+  decay_window_days INTEGER NOT NULL DEFAULT 7,
+  decay_min_messages INTEGER NOT NULL DEFAULT 20,
+  decay_percent REAL NOT NULL DEFAULT 0.10,
+
+  level_xp_factor INTEGER NOT NULL DEFAULT 100,
+
+  updated_at INTEGER NOT NULL
+);
+
+-- Level -> role mapping, plus drop grace days
+CREATE TABLE IF NOT EXISTS level_roles (
+  guild_id TEXT NOT NULL,
+  role_id TEXT NOT NULL,
+  level_required INTEGER NOT NULL,
+  drop_grace_days INTEGER NOT NULL DEFAULT 3,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  PRIMARY KEY (guild_id, role_id)
+);
+
+-- Tracks when user first fell below a role's required level
+CREATE TABLE IF NOT EXISTS role_drop_state (
+  guild_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  role_id TEXT NOT NULL,
+  below_since INTEGER, -- ms epoch, NULL when not below
+  updated_at INTEGER NOT NULL,
+  PRIMARY KEY (guild_id, user_id, role_id)
+);
+
+-- XP multipliers per channel/category or role (0 = no XP there / for that role)
+CREATE TABLE IF NOT EXISTS xp_multipliers (
+  guild_id TEXT NOT NULL,
+  target_type TEXT NOT NULL, -- channel|role
+  target_id TEXT NOT NULL,
+  multiplier REAL NOT NULL,
+  created_at INTEGER NOT NULL,
+  updated_at INTEGER NOT NULL,
+  PRIMARY KEY (guild_id, target_type, target_id)
+);
+
+-- Scheduled XP boost events (e.g. double-XP weekends)
+CREATE TABLE IF NOT EXISTS xp_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  guild_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  multiplier REAL NOT NULL,
+  starts_at INTEGER NOT NULL,
+  ends_at INTEGER NOT NULL,
+  channel_ids TEXT, -- JSON array; NULL = every channel
+  announce_channel_id TEXT, -- NULL = no announcements
+  start_announced INTEGER NOT NULL DEFAULT 0,
+  end_announced INTEGER NOT NULL DEFAULT 0,
+  cancelled INTEGER NOT NULL DEFAULT 0,
+  created_by TEXT,
+  created_at INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_xp_events_guild_time
+ON xp_events (guild_id, ends_at);
+
+-- Members who left a guild (hidden from leaderboards until they rejoin; their data
+-- is purged per guild_settings.departed_retention_days)
+CREATE TABLE IF NOT EXISTS departed_members (
+  guild_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  left_at INTEGER NOT NULL,
+  PRIMARY KEY (guild_id, user_id)
+);
+
+-- Decay grace tracking: when a user first fell below the activity threshold
+-- (cleared as soon as they're active again). Used by decay_mode 'grace'.
+CREATE TABLE IF NOT EXISTS decay_state (
+  guild_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  inactive_since INTEGER NOT NULL,
+  PRIMARY KEY (guild_id, user_id)
+);
+
+-- Decay run log (scheduled and manual runs) with per-user before/after XP
+CREATE TABLE IF NOT EXISTS decay_runs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  guild_id TEXT NOT NULL,
+  trigger TEXT NOT NULL, -- scheduled|manual
+  triggered_by TEXT, -- user ID for manual runs
+  started_at INTEGER NOT NULL,
+  finished_at INTEGER NOT NULL,
+  users_affected INTEGER NOT NULL DEFAULT 0,
+  xp_removed INTEGER NOT NULL DEFAULT 0
+);
+CREATE INDEX IF NOT EXISTS idx_decay_runs_guild
+ON decay_runs (guild_id, started_at);
+
+CREATE TABLE IF NOT EXISTS decay_run_entries (
+  run_id INTEGER NOT NULL,
+  user_id TEXT NOT NULL,
+  xp_before INTEGER NOT NULL,
+  xp_after INTEGER NOT NULL,
+  PRIMARY KEY (run_id, user_id)
+);
+
+-- Reaction XP awards: one row per (message, reactor, recipient role), so a user
+-- earns at most once per message and removals can be revoked.
+-- role: reactor|author (who received the XP)
+CREATE TABLE IF NOT EXISTS reaction_awards (
+  guild_id TEXT NOT NULL,
+  message_id TEXT NOT NULL,
+  reactor_id TEXT NOT NULL,
+  role TEXT NOT NULL,
+  recipient_id TEXT NOT NULL,
+  xp INTEGER NOT NULL DEFAULT 0,
+  created_at INTEGER NOT NULL,
+  revoked_at INTEGER, -- NULL until the XP is taken back
+  PRIMARY KEY (guild_id, message_id, reactor_id, role)
+);
+
+-- Allowed command channels per guild (if empty => commands allowed everywhere)
+CREATE TABLE IF NOT EXISTS allowed_command_channels (
+  guild_id TEXT NOT NULL,
+  channel_id TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  PRIMARY KEY (guild_id, channel_id)
+);
+`);
+
+      // Add per-guild reaction XP + cooldown (new feature)
+      addColumnIfMissing(
+        db,
+        "guild_settings",
+        "reaction_xp",
+        "reaction_xp INTEGER NOT NULL DEFAULT 2"
+      );
+      addColumnIfMissing(
+        db,
+        "guild_settings",
+        "reaction_cooldown_sec",
+        "reaction_cooldown_sec INTEGER NOT NULL DEFAULT 10"
+      );
+
+      // Optional note on ledger rows (admin adjustments)
+      addColumnIfMissing(db, "xp_ledger", "reason", "reason TEXT");
+
+      // Level-up announcements: off|same|channel|dm, fixed channel, custom template (NULL = default)
+      addColumnIfMissing(
+        db,
+        "guild_settings",
+        "levelup_mode",
+        "levelup_mode TEXT NOT NULL DEFAULT 'off'"
+      );
+      addColumnIfMissing(db, "guild_settings", "levelup_channel_id", "levelup_channel_id TEXT");
+      addColumnIfMissing(db, "guild_settings", "levelup_template", "levelup_template TEXT");
+
+      // Voice session tracking: session start (spans channel moves), eligible minutes
+      // in the current stint, and a heartbeat used to close sessions left open by a restart.
+      addColumnIfMissing(db, "voice_sessions", "session_started_at", "session_started_at INTEGER");
+      addColumnIfMissing(
+        db,
+        "voice_sessions",
+        "eligible_minutes",
+        "eligible_minutes INTEGER NOT NULL DEFAULT 0"
+      );
+      addColumnIfMissing(db, "voice_sessions", "last_seen_at", "last_seen_at INTEGER");
+
+      // Message quality filters (all off by default)
+      addColumnIfMissing(db, "guild_settings", "msg_min_chars", "msg_min_chars INTEGER NOT NULL DEFAULT 0");
+      addColumnIfMissing(db, "guild_settings", "msg_min_words", "msg_min_words INTEGER NOT NULL DEFAULT 0");
+      addColumnIfMissing(db, "guild_settings", "msg_dedupe_window", "msg_dedupe_window INTEGER NOT NULL DEFAULT 0");
+      addColumnIfMissing(
+        db,
+        "guild_settings",
+        "msg_dedupe_similarity",
+        "msg_dedupe_similarity REAL NOT NULL DEFAULT 0.9"
+      );
+      addColumnIfMissing(db, "guild_settings", "msg_require_text", "msg_require_text INTEGER NOT NULL DEFAULT 0");
+      addColumnIfMissing(db, "guild_settings", "msg_command_prefixes", "msg_command_prefixes TEXT");
+      addColumnIfMissing(
+        db,
+        "guild_settings",
+        "msg_length_scale_max",
+        "msg_length_scale_max REAL NOT NULL DEFAULT 1"
+      );
+
+      // Level curve: linear|quadratic|exponential|custom (custom uses a JSON array of XP totals)
+      addColumnIfMissing(
+        db,
+        "guild_settings",
+        "level_curve",
+        "level_curve TEXT NOT NULL DEFAULT 'quadratic'"
+      );
+      addColumnIfMissing(db, "guild_settings", "level_curve_table", "level_curve_table TEXT");
+
+      // Decay policy: which activity counts (weights per kind), how XP decays
+      // (percent|fixed|grace) and an optional floor (none|level|role)
+      addColumnIfMissing(db, "guild_settings", "decay_weight_message", "decay_weight_message REAL NOT NULL DEFAULT 1");
+      addColumnIfMissing(db, "guild_settings", "decay_weight_reaction", "decay_weight_reaction REAL NOT NULL DEFAULT 0");
+      addColumnIfMissing(db, "guild_settings", "decay_weight_voice", "decay_weight_voice REAL NOT NULL DEFAULT 0");
+      addColumnIfMissing(db, "guild_settings", "decay_mode", "decay_mode TEXT NOT NULL DEFAULT 'percent'");
+      addColumnIfMissing(db, "guild_settings", "decay_amount", "decay_amount INTEGER NOT NULL DEFAULT 0");
+      addColumnIfMissing(db, "guild_settings", "decay_grace_days", "decay_grace_days INTEGER NOT NULL DEFAULT 0");
+      addColumnIfMissing(db, "guild_settings", "decay_floor", "decay_floor TEXT NOT NULL DEFAULT 'none'");
+
+      // Decay schedule: 5-field cron expression (NULL = daily at 04:00) and IANA timezone (NULL = host time)
+      addColumnIfMissing(db, "guild_settings", "decay_cron", "decay_cron TEXT");
+      addColumnIfMissing(db, "guild_settings", "decay_timezone", "decay_timezone TEXT");
+
+      // Role rewards: stack every earned role, or keep only the highest (plus keep-forever roles)
+      addColumnIfMissing(db, "guild_settings", "role_reward_mode", "role_reward_mode TEXT NOT NULL DEFAULT 'stack'");
+      addColumnIfMissing(db, "level_roles", "keep_forever", "keep_forever INTEGER NOT NULL DEFAULT 0");
+
+      // Departed members' data: NULL = keep forever, 0 = purge on leave, N = purge after N days
+      addColumnIfMissing(db, "guild_settings", "departed_retention_days", "departed_retention_days INTEGER");
+
+      // Reaction XP: who earns (reactor|author|both), self/bot-message exclusion, revoke window
+      addColumnIfMissing(
+        db,
+        "guild_settings",
+        "reaction_reward_mode",
+        "reaction_reward_mode TEXT NOT NULL DEFAULT 'reactor'"
+      );
+      addColumnIfMissing(db, "guild_settings", "reaction_allow_self", "reaction_allow_self INTEGER NOT NULL DEFAULT 0");
+      addColumnIfMissing(
+        db,
+        "guild_settings",
+        "reaction_allow_bot_messages",
+        "reaction_allow_bot_messages INTEGER NOT NULL DEFAULT 0"
+      );
+      addColumnIfMissing(
+        db,
+        "guild_settings",
+        "reaction_revoke_window_sec",
+        "reaction_revoke_window_sec INTEGER NOT NULL DEFAULT 3600"
+      );
+    },
+  },
+  {
+    version: 2,
+    name: "activity_daily",
+    // Daily per-user activity totals; raw activity_log rows older than the retention
+    // window are folded in here and deleted (see src/activityRetention.js).
+    up(db) {
+      db.exec(`
+CREATE TABLE activity_daily (
+  guild_id TEXT NOT NULL,
+  user_id  TEXT NOT NULL,
+  kind     TEXT NOT NULL, -- same kinds as activity_log
+  day      TEXT NOT NULL, -- UTC date, YYYY-MM-DD
+  amount   INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (guild_id, user_id, kind, day)
+);
+`);
+    },
+  },
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function getSchemaVersion(db) {
+  return db.pragma("user_version", { simple: true });
+}
+
+// Consistent single-file snapshot (VACUUM INTO is synchronous, unlike db.backup()).
+function backupBeforeMigrating(db, dir, from) {
+  fs.mkdirSync(dir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").slice(0, 15); // 20261019T033000
+  const file = path.join(dir, `xpbot-premigration-v${from}-${stamp}.sqlite`);
+  db.prepare("VACUUM INTO ?").run(file);
+  return file;
+}
+
+/**
+ * Bring the database up to LATEST_VERSION.
+ * - Refuses to run (throws) if the database is newer than this code.
+ * - Backs up an existing database into `backupDir` before the first pending migration.
+ * - Runs each pending migration in its own transaction, bumping user_version with it,
+ *   so a failure leaves the database at the last good version.
+ * Returns { from, to, backupFile }.
+ */
+function runMigrations(db, { backupDir }) {
+  const from = getSchemaVersion(db);
+  if (from > LATEST_VERSION) {
+    throw new Error(
+      `Database schema is v${from}, but this version of the bot only knows up to v${LATEST_VERSION}. ` +
+      "Update the bot, or restore a backup made before the upgrade (see README \"Database Backup\")."
+    );
+  }
+
+  const pending = MIGRATIONS.filter(m => m.version > from);
+  if (!pending.length) return { from, to: from, backupFile: null };
+
+  const hasData = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' LIMIT 1").get();
+  const backupFile = hasData ? backupBeforeMigrating(db, backupDir, from) : null;
+  if (backupFile) console.log(`[db] Backed up database to ${backupFile} before migrating from schema v${from}`);
+
+  for (const m of pending) {
+    try {
+      db.transaction(() => {
+        m.up(db);
+        db.pragma(`user_version = ${m.version}`);
+      })();
+    } catch (err) {
+      throw new Error(
+        `Migration v${m.version} (${m.name}) failed: ${err?.message || err}` +
+        (backupFile ? `. The database was left at v${getSchemaVersion(db)}; a copy from before the upgrade is at ${backupFile}` : "")
+      );
+    }
+    if (hasData) console.log(`[db] Migrated schema to v${m.version} (${m.name})`);
+  }
+
+  return { from, to: LATEST_VERSION, backupFile };
+}
+
+module.exports = {
+  LATEST_VERSION,
+  getSchemaVersion,
+  runMigrations,
+};
@@ -0,0 +1,108 @@
+const MAX_MULTIPLIER = 10;
+
+// IDs to match a channel against: itself, its parent channel (threads), its category.
+function channelChain(channel) {
+  if (!channel) return [];
+  return [channel.id, channel.parentId, channel.parent?.parentId].filter(Boolean);
+}
+
+/**
+ * Channel multiplier: the most specific configured match wins
+ * (thread/channel itself -> its parent channel -> the parent's category).
+ * Returns 1 when nothing is configured.
+ */
+function channelMultiplier(byChannel, channel) {
+  for (const id of channelChain(channel)) {
+    if (byChannel.has(id)) return byChannel.get(id);
+  }
+  return 1;
+}
+
+/**
+ * Role multiplier: any role set to 0 blocks XP entirely; otherwise the
+ * highest multiplier among the member's roles applies (roles don't stack).
+ * Returns 1 when none of the member's roles are configured.
+ */
+function roleMultiplier(byRole, member) {
+  if (!member?.roles?.cache) return 1;
+  let best = null;
+  for (const roleId of member.roles.cache.keys()) {
+    if (!byRole.has(roleId)) continue;
+    const m = byRole.get(roleId);
+    if (m <= 0) return 0;
+    best = best === null ? m : Math.max(best, m);
+  }
+  return best ?? 1;
+}
+
+/**
+ * Apply a multiplier to a base XP award (rounded to a whole number, never negative).
+ */
+function applyMultiplier(base, multiplier) {
+  const x = Number(base) * Number(multiplier);
+  if (!Number.isFinite(x) || x <= 0) return 0;
+  return Math.round(x);
+}
+
+/**
+ * Multiplier lookups bound to a database (configured multipliers and XP events).
+ */
+function createMultipliers({ db }) {
+  const {
+    listXpMultipliers,
+    listActiveXpEvents,
+  } = db;
+
+  /**
+   * Boost from running XP events: the strongest active event that covers the
+   * channel (events without a channel list cover every channel). Events don't stack.
+   */
+  function eventMultiplier(guildId, channel, atMs = Date.now()) {
+    const events = listActiveXpEvents(guildId, atMs);
+    if (!events.length) return 1;
+
+    const chain = channelChain(channel);
+    let best = null;
+    for (const ev of events) {
+      if (ev.channel_ids && !ev.channel_ids.some(id => chain.includes(id))) continue;
+      const m = Math.max(0, Number(ev.multiplier) || 0);
+      best = best === null ? m : Math.max(best, m);
+    }
+    return best ?? 1;
+  }
+
+  /**
+   * Combined XP multiplier for a member earning XP in a channel:
+   * channel multiplier × role multiplier × active event boost. 0 means "no XP".
+   */
+  function xpMultiplierFor(member, channel) {
+    const guildId = member?.guild?.id ?? channel?.guildId;
+    if (!guildId) return 1;
+
+    const boost = eventMultiplier(guildId, channel);
+
+    const rows = listXpMultipliers(guildId);
+    if (!rows.length) return boost;
+
+    const byChannel = new Map();
+    const byRole = new Map();
+    for (const r of rows) {
+      const m = Math.max(0, Number(r.multiplier) || 0);
+      if (r.target_type === "channel") byChannel.set(r.target_id, m);
+      else if (r.target_type === "role") byRole.set(r.target_id, m);
+    }
+
+    return channelMultiplier(byChannel, channel) * roleMultiplier(byRole, member) * boost;
+  }
+
+  return {
+    eventMultiplier,
+    xpMultiplierFor,
+  };
+}
+
+module.exports = {
+  MAX_MULTIPLIER,
+  applyMultiplier,
+  createMultipliers,
+};
@@ -0,0 +1,176 @@
+const { levelFromXp } = require("./xp");
+const { applyMultiplier } = require("./multipliers");
+
+// Who earns reaction XP: the user reacting, the message author, or both.
+const REACTION_REWARD_MODES = ["reactor", "author", "both"];
+
+/**
+ * Human-readable reaction rules for /settings and /setreaction.
+ */
+function describeReactionRules(settings) {
+  const windowMin = Math.round((Number(settings.reaction_revoke_window_sec) || 0) / 60);
+  return [
+    `reward ${settings.reaction_reward_mode || "reactor"}`,
+    `self-reactions ${settings.reaction_allow_self ? "count" : "ignored"}`,
+    `bot messages ${settings.reaction_allow_bot_messages ? "count" : "ignored"}`,
+    windowMin > 0 ? `revoked if removed within ${windowMin} min` : "never revoked",
+  ].join(", ");
+}
+
+async function resolveReaction(reaction) {
+  if (reaction.partial) {
+    try { await reaction.fetch(); } catch { return false; }
+  }
+  if (reaction.message.partial) {
+    try { await reaction.message.fetch(); } catch { return false; }
+  }
+  return true;
+}
+
+/**
+ * Reaction XP handlers bound to a database and the role sync, level-up and
+ * multiplier modules built on it. Cooldowns are per instance.
+ */
+function createReactionXp({ db, roles, levelUp, multipliers }) {
+  const {
+    getGuildSettings,
+    addXp,
+    getXp,
+    logActivity,
+    claimReactionAward,
+    releaseReactionAward,
+    setReactionAwardXp,
+    revokeReactionAwards,
+  } = db;
+
+  const { syncMemberRoles } = roles;
+  const { announceLevelUp } = levelUp;
+  const { xpMultiplierFor } = multipliers;
+
+  // Per reactor: one reaction per cooldown counts, for both the reactor and the author.
+  const reactionCooldown = new Map(); // key: guildId:userId => lastTs
+
+  // Award one recipient (already claimed in reaction_awards). Returns the XP given;
+  // when that is 0 (×0 multiplier) the claim is released.
+  async function award(guild, message, reactorId, role, recipientId, baseGain, settings) {
+    const member = await guild.members.fetch(recipientId).catch(() => null);
+    const gain = applyMultiplier(baseGain, xpMultiplierFor(member, message.channel));
+    if (gain <= 0) {
+      releaseReactionAward(guild.id, message.id, reactorId, role);
+      return 0;
+    }
+
+    const oldXp = getXp(guild.id, recipientId);
+    const newXp = addXp(guild.id, recipientId, gain, "reaction");
+    setReactionAwardXp(guild.id, message.id, reactorId, role, newXp - oldXp);
+    logActivity(guild.id, recipientId, role === "author" ? "reaction_received" : "reaction", 1);
+
+    if (member) {
+      const lvl = levelFromXp(newXp, settings);
+      await syncMemberRoles(member, lvl);
+      await announceLevelUp(member, levelFromXp(oldXp, settings), lvl, settings, message.channel);
+    }
+    return gain;
+  }
+
+  /**
+   * MessageReactionAdd: award the reactor and/or the message author (per guild mode).
+   * Each user earns at most once per message; re-adding a reaction never re-awards.
+   */
+  async function handleReactionAdd(reaction, user) {
+    if (!reaction.message?.guild) return;
+    if (user?.bot) return;
+    if (!(await resolveReaction(reaction))) return;
+
+    const message = reaction.message;
+    const guild = message.guild;
+    const settings = getGuildSettings(guild.id);
+    const baseGain = Number(settings.reaction_xp) || 0;
+    if (baseGain <= 0) return;
+
+    const author = message.author;
+    if (!author) return;
+    if (author.id === user.id && !settings.reaction_allow_self) return;
+    if (author.bot && !settings.reaction_allow_bot_messages) return;
+
+    const mode = REACTION_REWARD_MODES.includes(settings.reaction_reward_mode)
+      ? settings.reaction_reward_mode
+      : "reactor";
+
+    // Bot authors (when allowed) can make the message count, but never earn XP themselves.
+    const recipients = [];
+    if (mode !== "author") recipients.push({ role: "reactor", id: user.id });
+    if (mode !== "reactor" && !author.bot && author.id !== user.id) recipients.push({ role: "author", id: author.id });
+    if (!recipients.length) return;
+
+    const cdSec = Math.max(0, Number(settings.reaction_cooldown_sec) || 0);
+    const k = `${guild.id}:${user.id}`;
+    const nowMs = Date.now();
+    if (cdSec > 0 && (nowMs - (reactionCooldown.get(k) || 0)) < cdSec * 1000) return;
+
+    // Claim first so concurrent reactions (several emoji at once) can't double-award.
+    const claimed = recipients.filter(r => claimReactionAward(guild.id, message.id, user.id, r.role, r.id));
+    if (!claimed.length) return;
+
+    // Set before awarding so concurrent reactions see it; undone if nothing was earned.
+    const lastTs = reactionCooldown.get(k);
+    reactionCooldown.set(k, nowMs);
+
+    let given = 0;
+    for (const r of claimed) {
+      given += await award(guild, message, user.id, r.role, r.id, baseGain, settings);
+    }
+    if (!given && reactionCooldown.get(k) === nowMs) {
+      if (lastTs === undefined) reactionCooldown.delete(k);
+      else reactionCooldown.set(k, lastTs);
+    }
+  }
+
+  /**
+   * MessageReactionRemove: if the user has no reaction left on the message, take back
+   * what their reaction earned, provided it was awarded within the revoke window.
+   */
+  async function handleReactionRemove(reaction, user) {
+    if (!reaction.message?.guild) return;
+    if (user?.bot) return;
+
+    const guild = reaction.message.guild;
+    const settings = getGuildSettings(guild.id);
+    const windowSec = Math.max(0, Number(settings.reaction_revoke_window_sec) || 0);
+    if (windowSec <= 0) return;
+
+    // Still reacting with another emoji? Keep the award. (Best effort: relies on the
+    // reaction user cache, which is only filled for reactions seen since startup.)
+    const stillReacting = reaction.message.reactions?.cache?.some(r => r.users.cache.has(user.id));
+    if (stillReacting) return;
+
+    const revoked = revokeReactionAwards(guild.id, reaction.message.id, user.id, Date.now() - windowSec * 1000);
+    if (!revoked.length) return;
+
+    // Role sync only (no announcements when XP goes down).
+    for (const r of revoked) {
+      const member = await guild.members.fetch(r.recipient_id).catch(() => null);
+      if (member) await syncMemberRoles(member, levelFromXp(r.newXp, settings));
+    }
+  }
+
+  // Keep memory bounded for long-running bots (called from the cooldown sweeper).
+  function sweepReactionCooldowns(maxAgeMs) {
+    const cutoff = Date.now() - maxAgeMs;
+    for (const [k, ts] of reactionCooldown.entries()) {
+      if (ts < cutoff) reactionCooldown.delete(k);
+    }
+  }
+
+  return {
+    handleReactionAdd,
+    handleReactionRemove,
+    sweepReactionCooldowns,
+  };
+}
+
+module.exports = {
+  REACTION_REWARD_MODES,
+  describeReactionRules,
+  createReactionXp,
+};
@@ -1,5 +1,6 @@
 // src/renderLeaderboard.js
 const { createCanvas } = require("@napi-rs/canvas");
+const { xpForLevel } = require("./xp");
 
 // Font stack with broad Unicode coverage (install at least one of these on the host):
 // - fonts-noto (Noto Sans + Symbols)
@@ -38,17 +39,103 @@ function sanitizeDisplayName(name) {
   return cleaned.length ? cleaned : "—";
 }
 
+// Theme colors (match logo vibe: cyan + green on dark)
+const THEME = {
+    bg0: "#070A12",
+    bg1: "#0B1224",
+    panel: "#0F1A33",
+    panelEdge: "rgba(0, 220, 255, 0.22)",
+    text: "#EAF2FF",
+    subtext: "rgba(234, 242, 255, 0.72)",
+    cyan: "#00D8FF",
+    green: "#57FF9A",
+
+    // Trophy colors
+    gold: "#F6C453",
+    silver: "#C9D1D9",
+    bronze: "#C67C4E",
+};
+
+function roundRectPath(ctx, x, y, w, h, r) {
+    const rr = Math.min(r, w / 2, h / 2);
+    ctx.beginPath();
+    ctx.moveTo(x + rr, y);
+    ctx.arcTo(x + w, y, x + w, y + h, rr);
+    ctx.arcTo(x + w, y + h, x, y + h, rr);
+    ctx.arcTo(x, y + h, x, y, rr);
+    ctx.arcTo(x, y, x + w, y, rr);
+    ctx.closePath();
+}
+
+function drawGlowLine(ctx, x1, y1, x2, y2, color, widthPx, blur) {
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = widthPx;
+    ctx.shadowColor = color;
+    ctx.shadowBlur = blur;
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.stroke();
+    ctx.restore();
+}
+
+function measureFitText(ctx, str, maxW, font) {
+    const input = sanitizeDisplayName(str);
+    ctx.font = font;
+    if (ctx.measureText(input).width <= maxW) return input;
+
+    // Split by Unicode codepoints so we don't chop surrogate pairs (emoji, some symbols)
+    const cps = Array.from(input);
+    let hi = cps.length;
+    // Fast-ish: binary search the max prefix that fits
+    let lo = 0;
+    while (lo < hi) {
+        const mid = Math.ceil((lo + hi) / 2);
+        const candidate = cps.slice(0, mid).join("") + "…";
+        if (ctx.measureText(candidate).width <= maxW) lo = mid;
+        else hi = mid - 1;
+    }
+    const prefixLen = Math.max(1, lo);
+    return cps.slice(0, prefixLen).join("") + "…";
+}
+
+/**
+ * Compute progress within the current level toward next level (0..1).
+ * Uses: startXP = xpForLevel(L); nextXP = xpForLevel(L+1) on the guild's curve.
+ */
+function levelProgress(xp, lvl, curve = 100) {
+    const L = Math.max(0, Math.floor(lvl));
+    const startXP = xpForLevel(L, curve);
+    const nextXP = xpForLevel(L + 1, curve);
+    const denom = Math.max(1, nextXP - startXP);
+    const raw = (xp - startXP) / denom;
+    return Math.max(0, Math.min(1, raw));
+}
+
+// Hard cap on rows per image (matches the /leaderboard `limit` option maximum).
+const MAX_ROWS = 20;
+
 /**
  * Render a leaderboard as a PNG buffer (dark theme + HeisenXP colors).
  *
- * entries: Array<{ rank: number, name: string, xp: number, level: number }>
- * factor: number (XP curve factor, default 100). XP needed for level L is L^2 * factor.
+ * entries: Array<{ rank: number, name: string, xp: number, level: number, totalXp?: number, highlight?: boolean }>
+ *   totalXp: lifetime XP used for the level progress bar when `xp` is a windowed amount (defaults to xp).
+ * curve: level curve (see xp.js; a bare number is a quadratic factor). XP needed for level L is xpForLevel(L, curve).
+ * options:
+ *   rowCount: number of rows to draw (1..MAX_ROWS, default 10). Missing entries are padded
+ *             with placeholder rows so every page of a board has the same height.
+ *   startRank: rank shown on the first placeholder row position (default 1).
+ *   subtitle: header subtitle text.
+ *   gained: render XP as "+N XP" (windowed boards show XP earned, not totals).
  *
  * Returns: Buffer (PNG)
  */
-function renderLeaderboardPng(entries, factor = 100) {
-    // Always Top 10, always render 10 rows to guarantee consistent height
-    const ROW_COUNT = 10;
+function renderLeaderboardPng(entries, curve = 100, options = {}) {
+    const ROW_COUNT = Math.max(1, Math.min(MAX_ROWS, Math.floor(Number(options.rowCount) || 10)));
+    const startRank = Math.max(1, Math.floor(Number(options.startRank) || 1));
+    const subtitle = options.subtitle ?? `Top ${ROW_COUNT} by XP • Quantum-approved`;
+    const xpPrefix = options.gained ? "+" : "";
     const top = entries.slice(0, ROW_COUNT);
 
     // Layout
@@ -75,65 +162,12 @@ function renderLeaderboardPng(entries, factor = 100) {
     const canvas = createCanvas(width, height);
     const ctx = canvas.getContext("2d");
 
-    // Theme colors (match logo vibe: cyan + green on dark)
-    const bg0 = "#070A12";
-    const bg1 = "#0B1224";
-    const panel = "#0F1A33";
-    const panelEdge = "rgba(0, 220, 255, 0.22)";
-    const text = "#EAF2FF";
-    const subtext = "rgba(234, 242, 255, 0.72)";
-    const cyan = "#00D8FF";
-    const green = "#57FF9A";
-
-    // Trophy colors
-    const gold = "#F6C453";
-    const silver = "#C9D1D9";
-    const bronze = "#C67C4E";
+    const { bg0, bg1, panel, panelEdge, text, subtext, cyan, green, gold, silver, bronze } = THEME;
 
     // Helpers
-    const roundRect = (x, y, w, h, r) => {
-        const rr = Math.min(r, w / 2, h / 2);
-        ctx.beginPath();
-        ctx.moveTo(x + rr, y);
-        ctx.arcTo(x + w, y, x + w, y + h, rr);
-        ctx.arcTo(x + w, y + h, x, y + h, rr);
-        ctx.arcTo(x, y + h, x, y, rr);
-        ctx.arcTo(x, y, x + w, y, rr);
-        ctx.closePath();
-    };
-
-    const drawGlowLine = (x1, y1, x2, y2, color, widthPx, blur) => {
-        ctx.save();
-        ctx.strokeStyle = color;
-        ctx.lineWidth = widthPx;
-        ctx.shadowColor = color;
-        ctx.shadowBlur = blur;
-        ctx.beginPath();
-        ctx.moveTo(x1, y1);
-        ctx.lineTo(x2, y2);
-        ctx.stroke();
-        ctx.restore();
-    };
-
-    const measureFitText = (str, maxW, font) => {
-        const input = sanitizeDisplayName(str);
-        ctx.font = font;
-        if (ctx.measureText(input).width <= maxW) return input;
-
-        // Split by Unicode codepoints so we don't chop surrogate pairs (emoji, some symbols)
-        const cps = Array.from(input);
-        let hi = cps.length;
-        // Fast-ish: binary search the max prefix that fits
-        let lo = 0;
-        while (lo < hi) {
-            const mid = Math.ceil((lo + hi) / 2);
-            const candidate = cps.slice(0, mid).join("") + "…";
-            if (ctx.measureText(candidate).width <= maxW) lo = mid;
-            else hi = mid - 1;
-        }
-        const prefixLen = Math.max(1, lo);
-        return cps.slice(0, prefixLen).join("") + "…";
-    };
+    const roundRect = (x, y, w, h, r) => roundRectPath(ctx, x, y, w, h, r);
+    const glowLine = (...args) => drawGlowLine(ctx, ...args);
+    const fitText = (str, maxW, font) => measureFitText(ctx, str, maxW, font);
 
     /**
      * Draw a simple vector trophy icon (no asset needed).
@@ -210,19 +244,6 @@ function renderLeaderboardPng(entries, factor = 100) {
         ctx.restore();
     };
 
-    /**
-     * Compute progress within the current level toward next level.
-     * Uses: startXP = L^2 * factor; nextXP = (L+1)^2 * factor
-     */
-    const levelProgress = (xp, lvl) => {
-        const L = Math.max(0, Math.floor(lvl));
-        const startXP = L * L * factor;
-        const nextXP = (L + 1) * (L + 1) * factor;
-        const denom = Math.max(1, nextXP - startXP);
-        const raw = (xp - startXP) / denom;
-        return Math.max(0, Math.min(1, raw));
-    };
-
     // Background gradient
     const g = ctx.createLinearGradient(0, 0, 0, height);
     g.addColorStop(0, bg0);
@@ -249,7 +270,7 @@ function renderLeaderboardPng(entries, factor = 100) {
     ctx.restore();
 
     // Accent lines
-    drawGlowLine(
+    glowLine(
         headerX + 22,
         headerY + headerH - 18,
         headerX + headerW - 22,
@@ -258,7 +279,7 @@ function renderLeaderboardPng(entries, factor = 100) {
                  2,
                  10
     );
-    drawGlowLine(
+    glowLine(
         headerX + 22,
         headerY + headerH - 16,
         headerX + headerW - 22,
@@ -279,7 +300,7 @@ function renderLeaderboardPng(entries, factor = 100) {
     // Subtitle
     ctx.fillStyle = subtext;
     ctx.font = `500 16px ${FONT_STACK}`;
-    ctx.fillText("Top 10 by XP • Quantum-approved", headerX + 30, headerY + 62);
+    ctx.fillText(subtitle, headerX + 30, headerY + 62);
     ctx.restore();
 
     // Rows
@@ -293,20 +314,31 @@ function renderLeaderboardPng(entries, factor = 100) {
     const barShiftLeft = 30;
 
     for (let i = 0; i < ROW_COUNT; i++) {
-        const entry = top[i] || { rank: i + 1, name: "—", xp: 0, level: 0 };
+        const entry = top[i] || { rank: startRank + i, name: "—", xp: 0, level: 0 };
         const rowX = padding;
         const rowY = startY + i * rowStep;
         const rowW = width - padding * 2;
 
         // Row background
         roundRect(rowX, rowY, rowW, rowBoxH, 18);
-        ctx.fillStyle = i % 2 === 0 ? "rgba(15,26,51,0.86)" : "rgba(12,20,40,0.84)";
+        if (entry.highlight) {
+            ctx.fillStyle = "rgba(0, 216, 255, 0.16)";
+        } else {
+            ctx.fillStyle = i % 2 === 0 ? "rgba(15,26,51,0.86)" : "rgba(12,20,40,0.84)";
+        }
         ctx.fill();
 
-        // Subtle edge
+        // Edge (glowing for the highlighted row, subtle otherwise)
         ctx.save();
-        ctx.strokeStyle = "rgba(0, 216, 255, 0.10)";
-        ctx.lineWidth = 1;
+        if (entry.highlight) {
+            ctx.strokeStyle = green;
+            ctx.lineWidth = 2;
+            ctx.shadowColor = green;
+            ctx.shadowBlur = 14;
+        } else {
+            ctx.strokeStyle = "rgba(0, 216, 255, 0.10)";
+            ctx.lineWidth = 1;
+        }
         ctx.stroke();
         ctx.restore();
 
@@ -335,12 +367,12 @@ function renderLeaderboardPng(entries, factor = 100) {
         ctx.font = `800 18px ${FONT_STACK}`;
         ctx.textAlign = "left";
         ctx.textBaseline = "middle";
-        const safeName = measureFitText(sanitizeDisplayName(entry.name), nameMaxW, ctx.font);
+        const safeName = fitText(sanitizeDisplayName(entry.name), nameMaxW, ctx.font);
         ctx.fillText(safeName, nameX, midY);
         ctx.restore();
 
         // XP text
-        const xpText = `${entry.xp} XP`;
+        const xpText = `${xpPrefix}${entry.xp} XP`;
         ctx.save();
         ctx.fillStyle = "rgba(234, 242, 255, 0.86)";
         ctx.font = `700 16px ${FONT_STACK}`;
@@ -376,7 +408,7 @@ function renderLeaderboardPng(entries, factor = 100) {
         ctx.fill();
 
         // fill based on progress to next level
-        const pct = levelProgress(entry.xp || 0, entry.level || 0);
+        const pct = levelProgress(entry.totalXp ?? entry.xp ?? 0, entry.level || 0, curve);
         const fillW = Math.max(0, Math.floor(barW * pct));
 
         const barGrad = ctx.createLinearGradient(barX, 0, barX + barW, 0);
@@ -395,4 +427,16 @@ function renderLeaderboardPng(entries, factor = 100) {
     return canvas.toBuffer("image/png");
 }
 
-module.exports = { renderLeaderboardPng };
+module.exports = {
+    renderLeaderboardPng,
+    MAX_ROWS,
+
+    // shared with other canvas renderers (rank card)
+    FONT_STACK,
+    THEME,
+    sanitizeDisplayName,
+    levelProgress,
+    roundRectPath,
+    drawGlowLine,
+    measureFitText,
+};
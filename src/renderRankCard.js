@@ -0,0 +1,169 @@
+// src/renderRankCard.js
+const { createCanvas } = require("@napi-rs/canvas");
+const { xpForLevel } = require("./xp");
+const {
+    FONT_STACK,
+    THEME,
+    sanitizeDisplayName,
+    levelProgress,
+    roundRectPath,
+    drawGlowLine,
+    measureFitText,
+} = require("./renderLeaderboard");
+
+/**
+ * Render a personal rank card as a PNG buffer (same theme as the leaderboard).
+ *
+ * card: { name: string, rank: number|null, xp: number, level: number }
+ *   rank is null when the user has no XP row yet ("Unranked").
+ * curve: level curve (see xp.js; a bare number is a quadratic factor). XP needed for level L is xpForLevel(L, curve).
+ *
+ * Returns: Buffer (PNG)
+ */
+function renderRankCardPng(card, curve = 100) {
+    const { bg0, bg1, panel, panelEdge, text, subtext, cyan, green } = THEME;
+
+    // Layout
+    const width = 900;
+    const height = 260;
+    const padding = 28;
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext("2d");
+
+    const xp = Math.max(0, Number(card.xp) || 0);
+    const level = Math.max(0, Math.floor(Number(card.level) || 0));
+    const startXP = xpForLevel(level, curve);
+    const nextXP = xpForLevel(level + 1, curve);
+    const intoLevel = Math.max(0, xp - startXP);
+    const levelSpan = Math.max(1, nextXP - startXP);
+    const toNext = Math.max(0, nextXP - xp);
+
+    // Background gradient
+    const g = ctx.createLinearGradient(0, 0, 0, height);
+    g.addColorStop(0, bg0);
+    g.addColorStop(1, bg1);
+    ctx.fillStyle = g;
+    ctx.fillRect(0, 0, width, height);
+
+    // Card panel
+    const panelX = padding;
+    const panelY = padding;
+    const panelW = width - padding * 2;
+    const panelH = height - padding * 2;
+
+    roundRectPath(ctx, panelX, panelY, panelW, panelH, 22);
+    ctx.fillStyle = panel;
+    ctx.fill();
+
+    // Panel edge glow
+    ctx.save();
+    ctx.strokeStyle = panelEdge;
+    ctx.lineWidth = 2;
+    ctx.shadowColor = cyan;
+    ctx.shadowBlur = 18;
+    ctx.stroke();
+    ctx.restore();
+
+    const innerX = panelX + 30;
+    const innerRight = panelX + panelW - 30;
+
+    // Rank (top right)
+    const rankText = card.rank ? `#${card.rank}` : "Unranked";
+    ctx.save();
+    ctx.fillStyle = cyan;
+    ctx.font = `900 40px ${FONT_STACK}`;
+    ctx.textAlign = "right";
+    ctx.textBaseline = "top";
+    ctx.shadowColor = cyan;
+    ctx.shadowBlur = 12;
+    ctx.fillText(rankText, innerRight, panelY + 22);
+    const rankW = ctx.measureText(rankText).width;
+    ctx.restore();
+
+    ctx.save();
+    ctx.fillStyle = subtext;
+    ctx.font = `600 14px ${FONT_STACK}`;
+    ctx.textAlign = "right";
+    ctx.textBaseline = "top";
+    ctx.fillText("SERVER RANK", innerRight, panelY + 68);
+    ctx.restore();
+
+    // Display name (truncate to fit left of the rank)
+    ctx.save();
+    ctx.fillStyle = text;
+    ctx.font = `800 34px ${FONT_STACK}`;
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    const nameMaxW = Math.max(120, innerRight - innerX - rankW - 40);
+    const safeName = measureFitText(ctx, sanitizeDisplayName(card.name), nameMaxW, ctx.font);
+    ctx.fillText(safeName, innerX, panelY + 24);
+    ctx.restore();
+
+    // Level + total XP
+    ctx.save();
+    ctx.fillStyle = green;
+    ctx.font = `800 20px ${FONT_STACK}`;
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    const lvlText = `Level ${level}`;
+    ctx.fillText(lvlText, innerX, panelY + 72);
+    const lvlW = ctx.measureText(lvlText).width;
+
+    ctx.fillStyle = subtext;
+    ctx.font = `600 18px ${FONT_STACK}`;
+    ctx.fillText(`•  ${xp.toLocaleString()} XP total`, innerX + lvlW + 12, panelY + 74);
+    ctx.restore();
+
+    // Accent lines
+    drawGlowLine(ctx, innerX, panelY + 112, innerRight, panelY + 112, "rgba(0,216,255,0.35)", 2, 10);
+    drawGlowLine(ctx, innerX, panelY + 114, innerRight, panelY + 114, "rgba(87,255,154,0.22)", 2, 10);
+
+    // Progress labels
+    const labelY = panelY + 132;
+    ctx.save();
+    ctx.fillStyle = "rgba(234, 242, 255, 0.86)";
+    ctx.font = `700 16px ${FONT_STACK}`;
+    ctx.textAlign = "left";
+    ctx.textBaseline = "top";
+    ctx.fillText(
+        `${intoLevel.toLocaleString()} / ${levelSpan.toLocaleString()} XP into Level ${level}`,
+        innerX,
+        labelY
+    );
+
+    ctx.fillStyle = "rgba(234, 242, 255, 0.70)";
+    ctx.font = `600 16px ${FONT_STACK}`;
+    ctx.textAlign = "right";
+    ctx.fillText(`${toNext.toLocaleString()} XP to Level ${level + 1}`, innerRight, labelY);
+    ctx.restore();
+
+    // Progress bar = progress within current level toward next level
+    const barX = innerX;
+    const barY = labelY + 30;
+    const barW = innerRight - innerX;
+    const barH = 18;
+
+    ctx.save();
+    roundRectPath(ctx, barX, barY, barW, barH, 9);
+    ctx.fillStyle = "rgba(255,255,255,0.08)";
+    ctx.fill();
+
+    const pct = levelProgress(xp, level, curve);
+    const fillW = Math.max(0, Math.floor(barW * pct));
+
+    const barGrad = ctx.createLinearGradient(barX, 0, barX + barW, 0);
+    barGrad.addColorStop(0, cyan);
+    barGrad.addColorStop(1, green);
+
+    roundRectPath(ctx, barX, barY, fillW, barH, 9);
+    ctx.fillStyle = barGrad;
+    ctx.shadowColor = cyan;
+    ctx.shadowBlur = 10;
+    ctx.fill();
+    ctx.restore();
+
+    return canvas.toBuffer("image/png");
+}
+
+module.exports = { renderRankCardPng };
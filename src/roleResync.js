@@ -0,0 +1,85 @@
+const { levelFromXp } = require("./xp");
+
+// Members fetched per gateway request (Discord's limit for user ID lookups is 100).
+const RESYNC_BATCH_SIZE = 100;
+// Pause between batches so role edits don't pile up against Discord's rate limits.
+const RESYNC_BATCH_DELAY_MS = 1500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Guild-wide role resync bound to a database and the role sync built on it.
+ */
+function createRoleResync({ db, roles }) {
+  const {
+    allUsersInGuild,
+    getXp,
+  } = db;
+
+  const { syncMemberRoles } = roles;
+
+  // One resync at a time per guild.
+  const running = new Set();
+
+  function isResyncRunning(guildId) {
+    return running.has(guildId);
+  }
+
+  /**
+   * Re-apply level roles for everyone with XP in the guild.
+   * Members who left the server are skipped. `roleId` limits the sync to one mapped role.
+   * `userIds` syncs those users instead (e.g. after a reset removed their XP rows).
+   * `onProgress(totals)` is awaited after every batch.
+   * Returns { total, processed, missing, added, removed, failed }.
+   */
+  async function resyncGuildRoles(guild, settings, { roleId = null, userIds = null, onProgress = null } = {}) {
+    if (running.has(guild.id)) throw new Error("A role resync is already running for this server.");
+    running.add(guild.id);
+
+    try {
+      const users = userIds
+        ? userIds.map(id => ({ user_id: id, xp: getXp(guild.id, id) }))
+        : allUsersInGuild(guild.id);
+      const totals = { total: users.length, processed: 0, missing: 0, added: 0, removed: 0, failed: 0 };
+
+      for (let i = 0; i < users.length; i += RESYNC_BATCH_SIZE) {
+        const batch = users.slice(i, i + RESYNC_BATCH_SIZE);
+        const members = await guild.members
+          .fetch({ user: batch.map(u => u.user_id) })
+          .catch((err) => {
+            console.error(`[roles] Resync member fetch failed in guild ${guild.id}: ${err?.message || err}`);
+            return null;
+          });
+
+        for (const u of batch) {
+          const member = members?.get(u.user_id);
+          if (!member) {
+            totals.missing++;
+          } else {
+            const r = await syncMemberRoles(member, levelFromXp(u.xp, settings), { roleId });
+            totals.added += r.added;
+            totals.removed += r.removed;
+            totals.failed += r.failed;
+          }
+          totals.processed++;
+        }
+
+        if (onProgress) await onProgress({ ...totals });
+        if (i + RESYNC_BATCH_SIZE < users.length) await sleep(RESYNC_BATCH_DELAY_MS);
+      }
+
+      return totals;
+    } finally {
+      running.delete(guild.id);
+    }
+  }
+
+  return {
+    resyncGuildRoles,
+    isResyncRunning,
+  };
+}
+
+module.exports = {
+  createRoleResync,
+};
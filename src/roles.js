@@ -1,10 +1,3 @@
-const {
-  now,
-  listLevelRoles,
-  getRoleDropState,
-  setRoleBelowSince,
-} = require("./db");
-
 function logRoleError(action, err, { guildId, userId, roleId }) {
   // Don't spam: role ops are rare; this is valuable for self-hosters.
   console.error(
@@ -15,59 +8,107 @@ function logRoleError(action, err, { guildId, userId, roleId }) {
   );
 }
 
-// Grant when level >= required.
-// Remove only after user has been below required for > drop_grace_days.
-async function syncMemberRoles(member, level) {
-  const guildId = member.guild.id;
-  const mappings = listLevelRoles(guildId);
-  if (!mappings.length) return;
+// Role reward modes (guild_settings.role_reward_mode):
+// - stack:   keep every role whose level the member has reached
+// - highest: keep only the highest reached role(s); lower ones are dropped like any
+//            other role the member no longer qualifies for (after drop_grace_days).
+//            keep_forever milestone roles don't count as "highest" and are always kept.
+const ROLE_REWARD_MODES = ["stack", "highest"];
+
+function describeRoleRewardMode(settings) {
+  return settings.role_reward_mode === "highest"
+    ? "keep only the highest role (milestones kept)"
+    : "stack all earned roles";
+}
+
+/**
+ * Role sync bound to a database (see createDb).
+ */
+function createRoles({ db }) {
+  const {
+    now,
+    getGuildSettings,
+    listLevelRoles,
+    getRoleDropState,
+    setRoleBelowSince,
+  } = db;
+
+  // Grant when the member is entitled to the role (see modes above).
+  // Remove only after the member has not been entitled for > drop_grace_days.
+  // keep_forever roles are granted once reached and never removed.
+  // Pass `roleId` to only touch that one mapped role.
+  // Returns { added, removed, failed } (role changes made / attempted and failed).
+  async function syncMemberRoles(member, level, { roleId: onlyRoleId = null } = {}) {
+    const guildId = member.guild.id;
+    const stats = { added: 0, removed: 0, failed: 0 };
+    const mappings = listLevelRoles(guildId);
+    if (!mappings.length) return stats;
 
-  for (const m of mappings) {
-    const roleId = m.role_id;
-    const required = m.level_required;
-    const graceMs = Math.max(0, m.drop_grace_days) * 24 * 60 * 60 * 1000;
+    const highestOnly = getGuildSettings(guildId).role_reward_mode === "highest";
+    const reached = mappings.filter(m => level >= m.level_required && !m.keep_forever);
+    const topLevel = reached.length ? Math.max(...reached.map(m => m.level_required)) : null;
 
-    const hasRole = member.roles.cache.has(roleId);
-    const meets = level >= required;
+    for (const m of mappings) {
+      const roleId = m.role_id;
+      if (onlyRoleId && roleId !== onlyRoleId) continue;
+      const graceMs = Math.max(0, m.drop_grace_days) * 24 * 60 * 60 * 1000;
 
-    if (meets) {
-      if (!hasRole) {
+      const hasRole = member.roles.cache.has(roleId);
+      const meets = level >= m.level_required
+        && (!highestOnly || m.keep_forever || m.level_required === topLevel);
+
+      if (meets || (m.keep_forever && hasRole)) {
+        if (!hasRole) {
+          try {
+            await member.roles.add(roleId);
+            stats.added++;
+          } catch (err) {
+            stats.failed++;
+            logRoleError("add", err, { guildId, userId: member.id, roleId });
+          }
+        }
+        // clear drop timer regardless
         try {
-          await member.roles.add(roleId);
-        } catch (err) {
-          logRoleError("add", err, { guildId, userId: member.id, roleId });
+          setRoleBelowSince(guildId, member.id, roleId, null);
+        } catch {
+          // DB errors should be rare; let them bubble in caller if needed
         }
+        continue;
       }
-      // clear drop timer regardless
-      try {
-        setRoleBelowSince(guildId, member.id, roleId, null);
-      } catch {
-        // DB errors should be rare; let them bubble in caller if needed
-      }
-      continue;
-    }
 
-    // below threshold
-    const st = getRoleDropState(guildId, member.id, roleId);
-    const belowSince = st?.below_since ?? null;
+      // not entitled (below the level, or superseded by a higher role)
+      const st = getRoleDropState(guildId, member.id, roleId);
+      const belowSince = st?.below_since ?? null;
 
-    if (!belowSince) {
-      // Start timer only if they currently have the role.
-      if (hasRole) {
-        setRoleBelowSince(guildId, member.id, roleId, now());
+      if (!belowSince) {
+        // Start timer only if they currently have the role.
+        if (hasRole) {
+          setRoleBelowSince(guildId, member.id, roleId, now());
+        }
+        continue;
       }
-      continue;
-    }
 
-    if (hasRole && (now() - belowSince) > graceMs) {
-      try {
-        await member.roles.remove(roleId);
-      } catch (err) {
-        logRoleError("remove", err, { guildId, userId: member.id, roleId });
+      if (hasRole && (now() - belowSince) > graceMs) {
+        try {
+          await member.roles.remove(roleId);
+          stats.removed++;
+        } catch (err) {
+          stats.failed++;
+          logRoleError("remove", err, { guildId, userId: member.id, roleId });
+        }
+        setRoleBelowSince(guildId, member.id, roleId, null);
       }
-      setRoleBelowSince(guildId, member.id, roleId, null);
     }
+    return stats;
   }
+
+  return {
+    syncMemberRoles,
+  };
 }
 
-module.exports = { syncMemberRoles };
+module.exports = {
+  ROLE_REWARD_MODES,
+  describeRoleRewardMode,
+  createRoles,
+};
@@ -0,0 +1,73 @@
+/**
+ * Voice session tracking bound to a database.
+ */
+function createVoiceSessions({ db }) {
+  const {
+    upsertVoiceSession,
+    getVoiceSession,
+    listOpenVoiceSessions,
+    moveVoiceSession,
+    endVoiceSession,
+  } = db;
+
+  /**
+   * VoiceStateUpdate: track join / move / leave.
+   * Mute/deafen changes keep the session going (the ticker decides eligibility per minute).
+   */
+  function handleVoiceStateUpdate(oldState, newState) {
+    const guildId = newState.guild?.id ?? oldState.guild?.id;
+    const userId = newState.id ?? oldState.id;
+    if (!guildId || !userId) return;
+    if ((newState.member ?? oldState.member)?.user?.bot) return;
+
+    const from = oldState.channelId;
+    const to = newState.channelId;
+    if (from === to) return;
+
+    const t = Date.now();
+    if (!from && to) {
+      upsertVoiceSession(guildId, userId, to, t);
+    } else if (from && !to) {
+      endVoiceSession(guildId, userId, t);
+    } else {
+      moveVoiceSession(guildId, userId, to, t);
+    }
+  }
+
+  /**
+   * On startup, reconcile stored sessions with who is actually in voice:
+   * - users still in the same channel keep their session
+   * - sessions for users no longer in voice (or in another channel) are closed at
+   *   their last heartbeat, so bot downtime isn't counted for them
+   * - users already in voice without a session get one starting now
+   */
+  function reconcileVoiceSessions(client) {
+    const t = Date.now();
+
+    for (const s of listOpenVoiceSessions()) {
+      const guild = client.guilds.cache.get(s.guild_id);
+      if (!guild) continue;
+      const vs = guild.voiceStates.cache.get(s.user_id);
+      if (vs?.channelId === s.channel_id) continue;
+      endVoiceSession(s.guild_id, s.user_id, s.last_seen_at ?? s.joined_at);
+    }
+
+    for (const guild of client.guilds.cache.values()) {
+      for (const vs of guild.voiceStates.cache.values()) {
+        if (!vs.channelId) continue;
+        if (vs.member?.user?.bot) continue;
+        if (getVoiceSession(guild.id, vs.id)) continue;
+        upsertVoiceSession(guild.id, vs.id, vs.channelId, t);
+      }
+    }
+  }
+
+  return {
+    handleVoiceStateUpdate,
+    reconcileVoiceSessions,
+  };
+}
+
+module.exports = {
+  createVoiceSessions,
+};
@@ -1,6 +1,5 @@
-const { getGuildSettings, addXp, logActivity, getXp } = require("./db");
 const { levelFromXp } = require("./xp");
-const { syncMemberRoles } = require("./roles");
+const { applyMultiplier } = require("./multipliers");
 
 function isMutedOrDeafened(voiceState) {
   return !!(
@@ -11,65 +10,106 @@ function isMutedOrDeafened(voiceState) {
   );
 }
 
-async function runVoiceTick(client) {
-  for (const guild of client.guilds.cache.values()) {
-    const guildId = guild.id;
-    const settings = getGuildSettings(guildId);
-    const xpPerMin = Math.max(0, Number(settings.voice_xp_per_min) || 0);
-    if (xpPerMin <= 0) continue;
+/**
+ * Voice XP ticker. Needs the database plus the role sync, level-up and multiplier
+ * modules built on it (createRoles, createLevelUp, createMultipliers).
+ */
+function createVoiceTicker({ db, roles, levelUp, multipliers }) {
+  const {
+    getGuildSettings,
+    addXp,
+    logActivity,
+    getXp,
+    addVoiceEligibleMinute,
+    touchVoiceSessions,
+  } = db;
 
-    // Build channel -> eligible members map by iterating ONLY active voice states.
-    const channelEligible = new Map(); // channelId -> Member[]
+  const { syncMemberRoles } = roles;
+  const { announceLevelUp } = levelUp;
+  const { xpMultiplierFor } = multipliers;
 
-    for (const vs of guild.voiceStates.cache.values()) {
-      const channelId = vs.channelId;
-      if (!channelId) continue;
+  async function runVoiceTick(client) {
+    for (const guild of client.guilds.cache.values()) {
+      const guildId = guild.id;
 
-      // Ignore AFK channel if configured
-      if (guild.afkChannelId && channelId === guild.afkChannelId) continue;
+      // Session heartbeat (lets a restart close sessions at the right time).
+      touchVoiceSessions(guildId);
 
-      const member = vs.member;
-      if (!member) continue;
-      if (member.user?.bot) continue;
+      const settings = getGuildSettings(guildId);
+      // Eligible minutes and voice activity are recorded even when no XP is given (rate or
+      // multiplier 0), so /voicestats and decay still see time spent in voice.
+      const xpPerMin = Math.max(0, Number(settings.voice_xp_per_min) || 0);
 
-      if (isMutedOrDeafened(vs)) continue;
+      // Build channel -> eligible members map by iterating ONLY active voice states.
+      const channelEligible = new Map(); // channelId -> Member[]
 
-      let arr = channelEligible.get(channelId);
-      if (!arr) {
-        arr = [];
-        channelEligible.set(channelId, arr);
+      for (const vs of guild.voiceStates.cache.values()) {
+        const channelId = vs.channelId;
+        if (!channelId) continue;
+
+        // Ignore AFK channel if configured
+        if (guild.afkChannelId && channelId === guild.afkChannelId) continue;
+
+        const member = vs.member;
+        if (!member) continue;
+        if (member.user?.bot) continue;
+
+        if (isMutedOrDeafened(vs)) continue;
+
+        let arr = channelEligible.get(channelId);
+        if (!arr) {
+          arr = [];
+          channelEligible.set(channelId, arr);
+        }
+        arr.push(member);
       }
-      arr.push(member);
-    }
 
-    // Award only in channels with >= 2 eligible humans.
-    for (const [channelId, members] of channelEligible.entries()) {
-      if (members.length < 2) continue;
-
-      for (const member of members) {
-        try {
-          addXp(guildId, member.id, xpPerMin);
-          logActivity(guildId, member.id, "voice_minute", 1);
-
-          const xp = getXp(guildId, member.id);
-          const lvl = levelFromXp(xp, settings.level_xp_factor);
-          await syncMemberRoles(member, lvl);
-        } catch (err) {
-          console.error(
-            `[voiceTicker] Failed awarding voice XP in guild ${guildId} for user ${member.id} in channel ${channelId}: ${err?.message || err}`
-          );
+      // Award only in channels with >= 2 eligible humans.
+      for (const [channelId, members] of channelEligible.entries()) {
+        if (members.length < 2) continue;
+
+        const voiceChannel = guild.channels.cache.get(channelId) ?? null;
+
+        for (const member of members) {
+          try {
+            addVoiceEligibleMinute(guildId, member.id);
+            logActivity(guildId, member.id, "voice_minute", 1);
+
+            // Channel/role multipliers (0 = no XP here / for this member)
+            const gain = applyMultiplier(xpPerMin, xpMultiplierFor(member, voiceChannel));
+            if (gain <= 0) continue;
+
+            const oldXp = getXp(guildId, member.id);
+            const xp = addXp(guildId, member.id, gain, "voice");
+
+            const lvl = levelFromXp(xp, settings);
+            await syncMemberRoles(member, lvl);
+
+            await announceLevelUp(member, levelFromXp(oldXp, settings), lvl, settings, voiceChannel);
+          } catch (err) {
+            console.error(
+              `[voiceTicker] Failed awarding voice XP in guild ${guildId} for user ${member.id} in channel ${channelId}: ${err?.message || err}`
+            );
+          }
         }
       }
     }
   }
-}
 
-function startVoiceTicker(client) {
-  const msToNextMinute = 60000 - (Date.now() % 60000);
-  setTimeout(() => {
-    runVoiceTick(client).catch(() => {});
-    setInterval(() => runVoiceTick(client).catch(() => {}), 60000);
-  }, msToNextMinute);
+  function startVoiceTicker(client) {
+    const msToNextMinute = 60000 - (Date.now() % 60000);
+    setTimeout(() => {
+      runVoiceTick(client).catch(() => {});
+      setInterval(() => runVoiceTick(client).catch(() => {}), 60000);
+    }, msToNextMinute);
+  }
+
+  return {
+    runVoiceTick,
+    startVoiceTicker,
+  };
 }
 
-module.exports = { startVoiceTicker };
+module.exports = {
+  createVoiceTicker,
+};
@@ -1,6 +1,180 @@
-function levelFromXp(xp, levelXpFactor) {
-  const factor = Math.max(1, Number(levelXpFactor) || 100);
-  return Math.floor(Math.sqrt(Math.max(0, xp) / factor));
+// Level curves. A "curve" is { type, factor, table } (see curveFromSettings).
+// Anywhere a curve is accepted you can also pass a guild_settings row, or a bare
+// number (treated as a quadratic factor, for backwards compatibility).
+//
+// xpForLevel(L) is the total XP at which level L starts:
+// - linear:      L × factor
+// - quadratic:   L² × factor (default, the original HeisenXP curve)
+// - exponential: factor × (g^L − 1) / (g − 1), g = EXPONENTIAL_GROWTH
+// - custom:      table[L−1] (admin-supplied cumulative totals for levels 1..N),
+//                continued past the end with the table's last step
+
+const LEVEL_CURVES = ["linear", "quadratic", "exponential", "custom"];
+const EXPONENTIAL_GROWTH = 1.15;
+
+// Keeps custom tables sane (and the stored JSON small).
+const MAX_CURVE_TABLE_LEVELS = 500;
+
+function toCurve(curve) {
+  if (curve && typeof curve === "object" && ("level_xp_factor" in curve || "level_curve" in curve)) {
+    return curveFromSettings(curve);
+  }
+  if (curve && typeof curve === "object") {
+    const type = LEVEL_CURVES.includes(curve.type) ? curve.type : "quadratic";
+    const factor = Math.max(1, Number(curve.factor) || 100);
+    const table = Array.isArray(curve.table) && curve.table.length ? curve.table : null;
+    if (type === "custom" && !table) return { type: "quadratic", factor, table: null };
+    return { type, factor, table };
+  }
+  return { type: "quadratic", factor: Math.max(1, Number(curve) || 100), table: null };
+}
+
+/**
+ * Parse a custom curve table: XP totals for levels 1..N, strictly increasing.
+ * Accepts a JSON array or a comma/space separated list.
+ * Returns { table } or { error }.
+ */
+function parseCurveTable(input) {
+  let raw = input;
+  if (typeof raw === "string") {
+    const text = raw.trim();
+    try {
+      raw = text.startsWith("[") ? JSON.parse(text) : text.split(/[\s,]+/).filter(Boolean);
+    } catch {
+      return { error: "Table is not valid JSON." };
+    }
+  }
+  if (!Array.isArray(raw) || !raw.length) return { error: "Table must list at least one XP value." };
+  if (raw.length > MAX_CURVE_TABLE_LEVELS) {
+    return { error: `Table can define at most ${MAX_CURVE_TABLE_LEVELS} levels.` };
+  }
+
+  const table = [];
+  for (const v of raw) {
+    const n = Number(v);
+    if (!Number.isSafeInteger(n) || n <= 0) {
+      return { error: `Invalid XP value \`${v}\` (must be a positive whole number).` };
+    }
+    if (table.length && n <= table[table.length - 1]) {
+      return { error: "Table values must be strictly increasing (XP total needed for level 1, 2, 3, …)." };
+    }
+    table.push(n);
+  }
+  return { table };
+}
+
+// Parsed custom tables keyed by their stored JSON (settings are re-read on every event).
+const tableCache = new Map();
+
+function cachedTable(text) {
+  if (!tableCache.has(text)) {
+    if (tableCache.size > 1000) tableCache.clear();
+    tableCache.set(text, parseCurveTable(text).table ?? null);
+  }
+  return tableCache.get(text);
+}
+
+/**
+ * Build the curve for a guild_settings row.
+ */
+function curveFromSettings(settings) {
+  const table = settings?.level_curve_table ? cachedTable(settings.level_curve_table) : null;
+  return toCurve({
+    type: settings?.level_curve || "quadratic",
+    factor: settings?.level_xp_factor,
+    table,
+  });
+}
+
+// Last step of a custom table (used to extrapolate past its end).
+function tableStep(table) {
+  const n = table.length;
+  return n > 1 ? table[n - 1] - table[n - 2] : table[0];
+}
+
+// Inverse of levelFromXp: total XP at which `level` starts.
+function xpForLevel(level, curve) {
+  const c = toCurve(curve);
+  const L = Math.max(0, Math.floor(Number(level) || 0));
+  if (L === 0) return 0;
+
+  switch (c.type) {
+    case "linear":
+      return L * c.factor;
+    case "exponential":
+      return Math.floor(c.factor * (Math.pow(EXPONENTIAL_GROWTH, L) - 1) / (EXPONENTIAL_GROWTH - 1));
+    case "custom": {
+      const n = c.table.length;
+      if (L <= n) return c.table[L - 1];
+      return c.table[n - 1] + (L - n) * tableStep(c.table);
+    }
+    default:
+      return L * L * c.factor;
+  }
+}
+
+function levelFromXp(xp, curve) {
+  const c = toCurve(curve);
+  const x = Math.max(0, Number(xp) || 0);
+
+  let L;
+  switch (c.type) {
+    case "linear":
+      L = Math.floor(x / c.factor);
+      break;
+    case "exponential":
+      L = Math.floor(Math.log(1 + (x * (EXPONENTIAL_GROWTH - 1)) / c.factor) / Math.log(EXPONENTIAL_GROWTH));
+      break;
+    case "custom": {
+      const t = c.table;
+      if (x >= t[t.length - 1]) {
+        L = t.length + Math.floor((x - t[t.length - 1]) / tableStep(t));
+        break;
+      }
+      // Binary search: number of thresholds <= x
+      let lo = 0;
+      let hi = t.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (t[mid] <= x) lo = mid + 1;
+        else hi = mid;
+      }
+      L = lo;
+      break;
+    }
+    default:
+      L = Math.floor(Math.sqrt(x / c.factor));
+  }
+
+  // Guard against float rounding at exact boundaries.
+  L = Math.max(0, L);
+  while (L > 0 && xpForLevel(L, c) > x) L--;
+  while (xpForLevel(L + 1, c) <= x) L++;
+  return L;
+}
+
+/**
+ * Human-readable description for /settings.
+ */
+function describeCurve(curve) {
+  const c = toCurve(curve);
+  switch (c.type) {
+    case "linear":
+      return `linear, factor ${c.factor} (Level L starts at L×factor)`;
+    case "exponential":
+      return `exponential, factor ${c.factor} (each level costs ${Math.round((EXPONENTIAL_GROWTH - 1) * 100)}% more than the last)`;
+    case "custom":
+      return `custom table (${c.table.length} levels; Lvl 1 at ${c.table[0]} XP, Lvl ${c.table.length} at ${c.table[c.table.length - 1]} XP)`;
+    default:
+      return `quadratic, factor ${c.factor} (Level L starts at L²×factor)`;
+  }
 }
 
-module.exports = { levelFromXp };
+module.exports = {
+  LEVEL_CURVES,
+  levelFromXp,
+  xpForLevel,
+  curveFromSettings,
+  parseCurveTable,
+  describeCurve,
+};
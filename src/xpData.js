@@ -0,0 +1,280 @@
+// Per-guild export / import of XP data and configuration (/xpdata).
+const { clampXpTotal, MAX_XP_AWARD } = require("./db");
+const { LEVEL_CURVES, levelFromXp, parseCurveTable } = require("./xp");
+const { DECAY_MODES, DECAY_FLOORS, buildDecayCron, isValidTimezone } = require("./decay");
+const { LEVELUP_MODES } = require("./levelUp");
+const { ROLE_REWARD_MODES } = require("./roles");
+const { REACTION_REWARD_MODES } = require("./reactionXp");
+const { MAX_DEDUPE_WINDOW } = require("./messageFilters");
+
+const EXPORT_FORMAT = "heisenxp-guild-export";
+const EXPORT_VERSION = 1;
+
+// Settings that only make sense for the row itself.
+const NON_PORTABLE_SETTINGS = new Set(["guild_id", "updated_at"]);
+
+const SNOWFLAKE_RE = /^\d{17,20}$/;
+
+// Imported settings get the same limits as the /set* commands. Each rule returns
+// { value } (possibly normalized) or { error }.
+const ok = (value) => ({ value });
+const int = (min, max = Infinity) => (v) =>
+  Number.isInteger(v) && v >= min && v <= max
+    ? ok(v)
+    : { error: `must be a whole number ${max === Infinity ? `≥ ${min}` : `from ${min} to ${max}`}` };
+const num = (min, max) => (v) =>
+  typeof v === "number" && Number.isFinite(v) && v >= min && v <= max ? ok(v) : { error: `must be a number from ${min} to ${max}` };
+const flag = (v) => (v === 0 || v === 1 ? ok(v) : { error: "must be 0 or 1" });
+const oneOf = (list) => (v) => (list.includes(v) ? ok(v) : { error: `must be one of ${list.join(", ")}` });
+const text = (maxLen) => (v) =>
+  typeof v === "string" && v.length <= maxLen ? ok(v) : { error: `must be text of at most ${maxLen} characters` };
+const snowflake = (v) => (typeof v === "string" && SNOWFLAKE_RE.test(v) ? ok(v) : { error: "must be a channel ID" });
+const nullable = (rule) => (v) => (v === null ? ok(null) : rule(v));
+
+const SETTING_RULES = {
+  msg_xp: int(0, MAX_XP_AWARD),
+  reaction_xp: int(0, MAX_XP_AWARD),
+  voice_xp_per_min: int(0, MAX_XP_AWARD),
+  msg_cooldown_sec: int(0),
+  reaction_cooldown_sec: int(0),
+
+  msg_min_chars: int(0, 2000),
+  msg_min_words: int(0, 200),
+  msg_dedupe_window: int(0, MAX_DEDUPE_WINDOW),
+  msg_dedupe_similarity: num(0.5, 1),
+  msg_require_text: flag,
+  msg_command_prefixes: nullable(text(100)),
+  msg_length_scale_max: num(1, 5),
+
+  reaction_reward_mode: oneOf(REACTION_REWARD_MODES),
+  reaction_allow_self: flag,
+  reaction_allow_bot_messages: flag,
+  reaction_revoke_window_sec: int(0, 10080 * 60),
+
+  decay_enabled: flag,
+  decay_window_days: int(1),
+  decay_min_messages: int(0),
+  decay_percent: num(0, 0.95),
+  decay_mode: oneOf(DECAY_MODES),
+  decay_amount: int(0, MAX_XP_AWARD),
+  decay_grace_days: int(0, 365),
+  decay_floor: oneOf(DECAY_FLOORS),
+  decay_weight_message: num(0, 100),
+  decay_weight_reaction: num(0, 100),
+  decay_weight_voice: num(0, 100),
+  decay_cron: nullable((v) => {
+    const built = buildDecayCron({ schedule: "custom", expression: v });
+    return built.error ? { error: "is not a valid 5-field cron expression" } : ok(built.cron);
+  }),
+  decay_timezone: nullable((v) => (typeof v === "string" && isValidTimezone(v) ? ok(v) : { error: "is not a known timezone" })),
+
+  level_xp_factor: int(1),
+  level_curve: oneOf(LEVEL_CURVES),
+  level_curve_table: nullable((v) => {
+    const parsed = typeof v === "string" ? parseCurveTable(v) : { error: "must be a JSON list" };
+    return parsed.error ? { error: parsed.error } : ok(JSON.stringify(parsed.table));
+  }),
+
+  levelup_mode: oneOf(LEVELUP_MODES),
+  levelup_channel_id: nullable(snowflake),
+  levelup_template: nullable(text(500)),
+
+  role_reward_mode: oneOf(ROLE_REWARD_MODES),
+  departed_retention_days: nullable(int(0, 3650)),
+};
+
+/**
+ * Validate imported settings against SETTING_RULES. Returns { settings, skipped }.
+ * Unknown or non-portable keys are ignored; invalid values are skipped (and reported).
+ */
+function parseImportedSettings(raw, currentSettings) {
+  const settings = {};
+  const skipped = [];
+  for (const [k, v] of Object.entries(raw && typeof raw === "object" ? raw : {})) {
+    if (NON_PORTABLE_SETTINGS.has(k) || !(k in currentSettings)) continue;
+    const rule = SETTING_RULES[k];
+    if (!rule) {
+      skipped.push(`settings.${k}: not importable`);
+      continue;
+    }
+    const checked = rule(v);
+    if (checked.error) {
+      skipped.push(`settings.${k}: ${checked.error}`);
+      continue;
+    }
+    settings[k] = checked.value;
+  }
+
+  // Combinations the /set* commands refuse.
+  const effective = (k) => (k in settings ? settings[k] : currentSettings[k]);
+  if (settings.level_curve === "custom" && !effective("level_curve_table")) {
+    skipped.push("settings.level_curve: custom curve without a level_curve_table");
+    delete settings.level_curve;
+  }
+  if (settings.levelup_mode === "channel" && !effective("levelup_channel_id")) {
+    skipped.push("settings.levelup_mode: channel mode without a levelup_channel_id");
+    delete settings.levelup_mode;
+  }
+
+  return { settings, skipped };
+}
+
+// Users only, for spreadsheets.
+function exportToCsv(data) {
+  const lines = ["user_id,xp,level"];
+  for (const u of data.users) lines.push(`${u.user_id},${u.xp},${levelFromXp(u.xp, data.settings)}`);
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Validate an export file. Returns { data } or { error }, where data is
+ * { sourceGuildId, users, settings, levelRoles, channels, skipped: [reasons] }.
+ * XP totals go through clampXpTotal; bad rows and settings are skipped (and reported), not fatal.
+ */
+function parseGuildExport(text, currentSettings) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    return { error: "The file isn't valid JSON." };
+  }
+  if (!raw || raw.format !== EXPORT_FORMAT) {
+    return { error: "This isn't a HeisenXP export (use `/xpdata export` on the source server)." };
+  }
+  if (!Number.isInteger(raw.version) || raw.version > EXPORT_VERSION) {
+    return { error: `Unsupported export version \`${raw.version}\` (this bot reads up to version ${EXPORT_VERSION}).` };
+  }
+
+  const skipped = [];
+  const byUser = new Map();
+  for (const [i, u] of (Array.isArray(raw.users) ? raw.users : []).entries()) {
+    const id = String(u?.user_id ?? "");
+    if (!SNOWFLAKE_RE.test(id)) {
+      skipped.push(`users[${i}]: invalid user_id`);
+      continue;
+    }
+    if (u.xp === null || u.xp === undefined || u.xp === "" || !Number.isFinite(Number(u.xp))) {
+      skipped.push(`users[${i}]: invalid xp for ${id}`);
+      continue;
+    }
+    if (byUser.has(id)) skipped.push(`users[${i}]: duplicate ${id} (last one wins)`);
+    byUser.set(id, clampXpTotal(u.xp));
+  }
+
+  const { settings, skipped: skippedSettings } = parseImportedSettings(raw.settings, currentSettings);
+  skipped.push(...skippedSettings);
+
+  const levelRoles = [];
+  for (const [i, r] of (Array.isArray(raw.level_roles) ? raw.level_roles : []).entries()) {
+    const level = Number(r?.level_required);
+    const grace = Number(r?.drop_grace_days ?? 0);
+    if (!SNOWFLAKE_RE.test(String(r?.role_id ?? "")) || !Number.isInteger(level) || level < 0 || !Number.isInteger(grace) || grace < 0) {
+      skipped.push(`level_roles[${i}]: invalid mapping`);
+      continue;
+    }
+    levelRoles.push({ role_id: String(r.role_id), level_required: level, drop_grace_days: grace, keep_forever: !!r.keep_forever });
+  }
+
+  const channels = (Array.isArray(raw.allowed_command_channels) ? raw.allowed_command_channels : [])
+    .map(String)
+    .filter(id => SNOWFLAKE_RE.test(id));
+
+  return {
+    data: {
+      sourceGuildId: raw.guild_id ? String(raw.guild_id) : null,
+      users: [...byUser].map(([user_id, xp]) => ({ user_id, xp })),
+      settings,
+      levelRoles,
+      channels: [...new Set(channels)],
+      skipped,
+    },
+  };
+}
+
+/**
+ * Export building and import previews, bound to a database.
+ */
+function createXpData({ db }) {
+  const {
+    getGuildSettings,
+    allUsersInGuild,
+    listLevelRoles,
+    listAllowedCommandChannels,
+  } = db;
+
+  /**
+   * Everything we store for a guild that's worth moving: users + XP, settings,
+   * level-role mappings and allowed command channels.
+   */
+  function buildGuildExport(guildId) {
+    const settings = { ...getGuildSettings(guildId) };
+    for (const k of NON_PORTABLE_SETTINGS) delete settings[k];
+
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exported_at: new Date().toISOString(),
+      guild_id: guildId,
+      settings,
+      level_roles: listLevelRoles(guildId).map(r => ({
+        role_id: r.role_id,
+        level_required: r.level_required,
+        drop_grace_days: r.drop_grace_days,
+        keep_forever: !!r.keep_forever,
+      })),
+      allowed_command_channels: listAllowedCommandChannels(guildId).map(r => r.channel_id),
+      users: allUsersInGuild(guildId)
+        .sort((a, b) => b.xp - a.xp || a.user_id.localeCompare(b.user_id))
+        .map(u => ({ user_id: u.user_id, xp: u.xp })),
+    };
+  }
+
+  /**
+   * Dry-run summary of importing `data` into a guild with `mode` (merge|replace).
+   */
+  function describeImport(guildId, data, mode) {
+    const current = new Map(allUsersInGuild(guildId).map(u => [u.user_id, u.xp]));
+    const settings = getGuildSettings(guildId);
+
+    let added = 0;
+    let changed = 0;
+    for (const u of data.users) {
+      if (!current.has(u.user_id)) added++;
+      else if (current.get(u.user_id) !== u.xp) changed++;
+    }
+    const importIds = new Set(data.users.map(u => u.user_id));
+    const removed = mode === "replace" ? [...current.keys()].filter(id => !importIds.has(id)).length : 0;
+    const settingsChanged = Object.keys(data.settings).filter(k => settings[k] !== data.settings[k]);
+
+    const lines = [
+      `**Import preview** (${mode}, nothing changed yet)`,
+      `- users in file: **${data.users.length}** → **${added}** new, **${changed}** with different XP` +
+        (mode === "replace" ? `, **${removed}** current user(s) not in the file will lose their XP` : ""),
+      `- settings: **${settingsChanged.length}** value(s) differ` +
+        (settingsChanged.length ? ` (${settingsChanged.slice(0, 8).join(", ")}${settingsChanged.length > 8 ? ", …" : ""})` : ""),
+      `- level→role mappings: **${data.levelRoles.length}**` +
+        (mode === "replace" ? ` (replacing ${listLevelRoles(guildId).length})` : " (added/updated)"),
+      `- allowed command channels: **${data.channels.length}**` +
+        (mode === "replace" ? ` (replacing ${listAllowedCommandChannels(guildId).length})` : " (added)"),
+    ];
+    if (data.sourceGuildId && data.sourceGuildId !== guildId) {
+      lines.push(`⚠️ Exported from another server (\`${data.sourceGuildId}\`): role and channel IDs may not exist here.`);
+    }
+    if (data.skipped.length) {
+      lines.push(`⚠️ Skipped **${data.skipped.length}** invalid entr${data.skipped.length === 1 ? "y" : "ies"}: ` +
+        `${data.skipped.slice(0, 5).join("; ")}${data.skipped.length > 5 ? "; …" : ""}`);
+    }
+    return lines.join("\n");
+  }
+
+  return {
+    buildGuildExport,
+    describeImport,
+  };
+}
+
+module.exports = {
+  exportToCsv,
+  parseGuildExport,
+  createXpData,
+};
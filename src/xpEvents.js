@@ -0,0 +1,121 @@
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+const UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse an event start/end time.
+ * Accepts:
+ * - "now"
+ * - relative offsets: "+30m", "+2h", "+1d", "+1w" (relative to `baseMs`)
+ * - Unix timestamps (seconds or ms) and Discord timestamps "<t:1700000000>"
+ * - ISO-ish dates: "2026-10-24 18:00", "2026-10-24T18:00+02:00" (UTC unless an offset is given)
+ * Returns ms epoch, or null if unparseable.
+ */
+function parseWhen(input, baseMs = Date.now()) {
+  const text = String(input ?? "").trim();
+  if (!text) return null;
+  if (text.toLowerCase() === "now") return baseMs;
+
+  const rel = /^\+(\d+)\s*([mhdw])$/i.exec(text);
+  if (rel) return baseMs + Number(rel[1]) * UNIT_MS[rel[2].toLowerCase()];
+
+  const discordTs = /^<t:(\d+)(?::[a-zA-Z])?>$/.exec(text);
+  if (discordTs) return Number(discordTs[1]) * 1000;
+
+  if (/^\d{9,13}$/.test(text)) {
+    const n = Number(text);
+    return text.length <= 10 ? n * 1000 : n;
+  }
+
+  const iso = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}(?::\d{2})?))?\s*(Z|[+-]\d{2}:?\d{2})?$/i.exec(text);
+  if (iso) {
+    const time = iso[2] ?? "00:00";
+    const zone = iso[3] ?? "Z";
+    const ms = Date.parse(`${iso[1]}T${time}${zone.length === 5 ? `${zone.slice(0, 3)}:${zone.slice(3)}` : zone}`);
+    return Number.isFinite(ms) ? ms : null;
+  }
+
+  return null;
+}
+
+/**
+ * Pull channel IDs out of free text ("<#123> <#456>", "123, 456").
+ */
+function parseChannelIds(input) {
+  if (!input) return [];
+  return [...new Set(String(input).match(/\d{17,20}/g) ?? [])];
+}
+
+function describeXpEvent(ev) {
+  const where = ev.channel_ids ? ev.channel_ids.map(id => `<#${id}>`).join(", ") : "all channels";
+  const start = Math.floor(ev.starts_at / 1000);
+  const end = Math.floor(ev.ends_at / 1000);
+  return `**#${ev.id} ${ev.name}** — ×${ev.multiplier} in ${where}, <t:${start}:f> → <t:${end}:f>`;
+}
+
+/**
+ * XP event announcements bound to a database.
+ */
+function createXpEvents({ db }) {
+  const {
+    listXpEventsPendingAnnouncement,
+    markXpEventAnnounced,
+  } = db;
+
+  async function announce(client, ev, which) {
+    const channel = await client.channels.fetch(ev.announce_channel_id).catch(() => null);
+    if (!channel?.isTextBased?.()) {
+      // Channel gone or not postable: don't retry forever.
+      markXpEventAnnounced(ev.id, which);
+      return;
+    }
+
+    const where = ev.channel_ids ? ` in ${ev.channel_ids.map(id => `<#${id}>`).join(", ")}` : "";
+    const content = which === "start"
+      ? `🚀 **${ev.name}** has started: **×${ev.multiplier} XP**${where} until <t:${Math.floor(ev.ends_at / 1000)}:f>!`
+      : `🏁 **${ev.name}** has ended${ev.cancelled ? " early" : ""}. XP is back to normal.`;
+
+    try {
+      await channel.send({ content, allowedMentions: { parse: [] } });
+    } catch (err) {
+      console.error(`[xpEvents] Failed to announce ${which} of event ${ev.id} in guild ${ev.guild_id}: ${err?.message || err}`);
+    }
+    markXpEventAnnounced(ev.id, which);
+  }
+
+  async function runXpEventTick(client) {
+    const t = Date.now();
+    for (const ev of listXpEventsPendingAnnouncement(t)) {
+      if (!client.guilds.cache.has(ev.guild_id)) continue;
+      const which = ev.start_announced ? "end" : "start";
+      await announce(client, ev, which);
+    }
+  }
+
+  // Multipliers are applied from the DB on every award (see multipliers.js), so events
+  // survive restarts on their own; this only posts the optional start/end announcements.
+  function startXpEventScheduler(client) {
+    runXpEventTick(client).catch(() => {});
+    setInterval(() => {
+      runXpEventTick(client).catch((err) => {
+        console.error("[xpEvents] tick error:", err?.message || err);
+      });
+    }, CHECK_INTERVAL_MS);
+  }
+
+  return {
+    startXpEventScheduler,
+  };
+}
+
+module.exports = {
+  parseWhen,
+  parseChannelIds,
+  describeXpEvent,
+  createXpEvents,
+};
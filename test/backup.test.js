@@ -0,0 +1,48 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { listBackups, pruneBackups } = require("../src/backup");
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "heisenxp-backups-"));
+  process.env.BACKUP_DIR = dir;
+});
+afterEach(() => {
+  delete process.env.BACKUP_DIR;
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const touch = (...names) => names.forEach(name => fs.writeFileSync(path.join(dir, name), ""));
+
+test("lists scheduled and pre-migration backups, newest first", () => {
+  touch(
+    "xpbot-20261017-033000.sqlite",
+    "xpbot-premigration-v3-20261018T120000.sqlite",
+    "xpbot-20261019-033000.sqlite",
+    "notes.txt"
+  );
+  assert.deepEqual(listBackups().map(b => [b.name, b.kind]), [
+    ["xpbot-20261019-033000.sqlite", "scheduled"],
+    ["xpbot-premigration-v3-20261018T120000.sqlite", "premigration"],
+    ["xpbot-20261017-033000.sqlite", "scheduled"],
+  ]);
+});
+
+test("rotates each kind under its own keep count", () => {
+  touch(
+    "xpbot-20261017-033000.sqlite",
+    "xpbot-20261018-033000.sqlite",
+    "xpbot-20261019-033000.sqlite",
+    "xpbot-premigration-v2-20260101T000000.sqlite",
+    "xpbot-premigration-v3-20261018T120000.sqlite"
+  );
+  assert.equal(pruneBackups({ keep: 2, keepPremigration: 1 }), 2);
+  assert.deepEqual(listBackups().map(b => b.name), [
+    "xpbot-20261019-033000.sqlite",
+    "xpbot-premigration-v3-20261018T120000.sqlite",
+    "xpbot-20261018-033000.sqlite",
+  ]);
+});
@@ -0,0 +1,198 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { MessageFlags, PermissionFlagsBits, SlashCommandBuilder } = require("discord.js");
+const { createDb } = require("../src/db");
+const { createRoles } = require("../src/roles");
+const { createDecay } = require("../src/decay");
+const { createRoleResync } = require("../src/roleResync");
+const { loadCommands, commandData, createCommandRouter } = require("../src/commands");
+const { fakeGuild, fakeMember, fakeInteraction } = require("./fakes");
+
+const ADMIN = [PermissionFlagsBits.ManageGuild];
+const OWNER = "200000000000000042";
+const BOT_CHANNEL = "500000000000000007";
+const ADMIN_USER = "200000000000000099";
+
+let db;
+let handle;
+let guild;
+beforeEach(() => {
+  process.env.BOT_OWNER_IDS = OWNER;
+  db = createDb({ path: ":memory:" });
+  const roles = createRoles({ db });
+  handle = createCommandRouter({
+    db,
+    roles,
+    decay: createDecay({ db, roles }),
+    roleResync: createRoleResync({ db, roles }),
+  });
+  guild = fakeGuild();
+});
+afterEach(() => {
+  delete process.env.BOT_OWNER_IDS;
+  db.close();
+});
+
+const lastReply = (interaction) => interaction.responses.at(-1)?.[1];
+
+async function run(options) {
+  const interaction = fakeInteraction(guild, options);
+  await handle(interaction);
+  return interaction;
+}
+
+test("registers every command once, with its default permissions", () => {
+  const data = commandData();
+  const names = data.map(c => c.name);
+  assert.equal(new Set(names).size, names.length);
+  assert.ok(names.includes("xp") && names.includes("setcommandchannel"));
+
+  const perms = Object.fromEntries(data.map(c => [c.name, c.default_member_permissions ?? null]));
+  assert.equal(perms.xp, null);
+  assert.equal(perms.settings, String(PermissionFlagsBits.ManageGuild));
+  assert.equal(perms.backup, String(PermissionFlagsBits.Administrator));
+});
+
+test("loadCommands rejects duplicate names and component prefixes", () => {
+  const cmd = (name, extra = {}) => ({
+    data: new SlashCommandBuilder().setName(name).setDescription(name),
+    execute() {},
+    ...extra,
+  });
+  assert.throws(() => loadCommands([cmd("a"), cmd("a")]), /Duplicate command/);
+  assert.throws(
+    () => loadCommands([
+      cmd("a", { componentPrefix: "x", handleComponent() {} }),
+      cmd("b", { componentPrefix: "x", handleComponent() {} }),
+    ]),
+    /Duplicate component prefix/
+  );
+  assert.throws(() => loadCommands([cmd("a", { channels: "nowhere" })]), /channel policy/);
+});
+
+test("admin commands refuse members without the permission", async () => {
+  const i = await run({ commandName: "settings" });
+  assert.match(lastReply(i).content, /permission/);
+
+  const ok = await run({ commandName: "settings", permissions: ADMIN });
+  assert.match(lastReply(ok).content, /Settings/);
+});
+
+test("owner-only commands check the bot owner, not server permissions", async () => {
+  const admin = await run({ commandName: "backup", subcommand: "list", permissions: [PermissionFlagsBits.Administrator] });
+  assert.match(lastReply(admin).content, /bot owner/);
+
+  const owner = await run({ commandName: "backup", subcommand: "list", userId: OWNER });
+  assert.doesNotMatch(lastReply(owner).content, /bot owner/);
+});
+
+test("commands only run in allowed channels; /setcommandchannel works anywhere for admins", async () => {
+  db.addAllowedCommandChannel(guild.id, BOT_CHANNEL);
+
+  const elsewhere = await run({ commandName: "xp" });
+  assert.match(lastReply(elsewhere).content, /aren’t enabled in this channel/);
+  const inBotChannel = await run({ commandName: "xp", channelId: BOT_CHANNEL });
+  assert.match(lastReply(inBotChannel).content, /XP/);
+
+  const admin = await run({ commandName: "setcommandchannel", subcommand: "list", permissions: ADMIN });
+  assert.match(lastReply(admin).content, /Allowed command channels/);
+  const member = await run({ commandName: "setcommandchannel", subcommand: "list" });
+  assert.match(lastReply(member).content, /aren’t enabled in this channel/);
+});
+
+test("buttons are routed to the command that owns their custom ID prefix", async () => {
+  db.addXp(guild.id, "200000000000000001", 100);
+  const i = await run({ kind: "component", customId: "lb:page:0:10:all" });
+  assert.deepEqual(i.responses.map(r => r[0]), ["deferUpdate", "editReply"]);
+  assert.match(lastReply(i).content, /Leaderboard/);
+
+  const unknown = await run({ kind: "component", customId: "nope:1" });
+  assert.equal(unknown.responses.length, 0);
+});
+
+test("leaderboard \"Jump to me\" answers privately instead of changing the shared message", async () => {
+  db.addXp(guild.id, "200000000000000001", 100);
+  const i = await run({ kind: "component", customId: "lb:me:10:all", userId: "200000000000000001" });
+  assert.deepEqual(i.responses.map(r => r[0]), ["deferReply", "editReply"]);
+  assert.equal(i.responses[0][1].flags, MessageFlags.Ephemeral);
+  assert.match(lastReply(i).content, /page 1\/1/);
+});
+
+test("autocomplete suggests XP events to admins only", async () => {
+  const ev = db.createXpEvent(guild.id, {
+    name: "Double XP weekend",
+    multiplier: 2,
+    startsAt: Date.now(),
+    endsAt: Date.now() + 60 * 60 * 1000,
+    channelIds: [],
+    announceChannelId: null,
+    createdBy: OWNER,
+  });
+
+  const admin = await run({ kind: "autocomplete", commandName: "xpevent", focused: "weekend", permissions: ADMIN });
+  assert.deepEqual(lastReply(admin), [{ name: `#${ev.id} Double XP weekend (×2)`, value: ev.id }]);
+
+  const member = await run({ kind: "autocomplete", commandName: "xpevent", focused: "" });
+  assert.deepEqual(lastReply(member), []);
+});
+
+test("/xpevent list stays within Discord's message limit", async () => {
+  for (let i = 0; i < 60; i++) {
+    db.createXpEvent(guild.id, {
+      name: `Event number ${i} with a fairly long name`,
+      multiplier: 2,
+      startsAt: Date.now() + i * 60 * 60 * 1000,
+      endsAt: Date.now() + (i + 1) * 60 * 60 * 1000,
+      channelIds: [],
+      announceChannelId: null,
+      createdBy: OWNER,
+    });
+  }
+  const i = await run({ commandName: "xpevent", subcommand: "list", permissions: ADMIN });
+  assert.match(lastReply(i).content, /^\*\*XP events\*\*/);
+  assert.ok(lastReply(i).content.length <= 2000);
+});
+
+test("/xpadmin defers before syncing roles and reports through editReply", async () => {
+  const user = { id: "200000000000000001", toString: () => "<@200000000000000001>" };
+  const i = await run({ commandName: "xpadmin", subcommand: "give", options: { user, amount: 150 }, permissions: ADMIN });
+  assert.deepEqual(i.responses.map(r => r[0]), ["deferReply", "editReply"]);
+  assert.match(lastReply(i).content, /0 XP\*\* → \*\*150 XP/);
+});
+
+test("/xpadmin resetall re-syncs level roles in batches once confirmed", async () => {
+  const role = "300000000000000001";
+  const member = fakeMember(guild, { id: "200000000000000001", roleIds: [role] });
+  db.upsertLevelRole(guild.id, role, 1, 0);
+  db.setXp(guild.id, member.id, 500);
+  const fetches = [];
+  const fetch = guild.members.fetch;
+  guild.members.fetch = (arg) => {
+    fetches.push(arg);
+    return fetch(arg);
+  };
+
+  const i = await run({
+    kind: "component",
+    customId: `xpadmin:resetall:confirm:${ADMIN_USER}:${Date.now()}`,
+    userId: ADMIN_USER,
+    permissions: ADMIN,
+  });
+  assert.equal(db.getXp(guild.id, member.id), 0);
+  assert.deepEqual(fetches, [{ user: [member.id] }]);
+  // The role's drop timer starts; it's removed once its grace days pass.
+  assert.ok(db.getRoleDropState(guild.id, member.id, role).below_since);
+  assert.match(lastReply(i).content, /Reset XP for \*\*1\*\* user.*\n.*re-synced/);
+});
+
+test("handler errors become an ephemeral error reply", async () => {
+  const errors = console.error;
+  console.error = () => {};
+  try {
+    // Missing the required "user" option makes the handler throw.
+    const i = await run({ commandName: "xpadmin", subcommand: "give", options: { amount: 5 }, permissions: ADMIN });
+    assert.match(lastReply(i).content, /Something went wrong/);
+  } finally {
+    console.error = errors;
+  }
+});
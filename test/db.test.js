@@ -0,0 +1,65 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb, MAX_SAFE_XP } = require("../src/db");
+
+const G = "100000000000000001";
+const U = "200000000000000001";
+
+let db;
+beforeEach(() => {
+  db = createDb({ path: ":memory:" });
+});
+afterEach(() => db.close());
+
+function ledger() {
+  return db.sqlite.prepare("SELECT source, delta FROM xp_ledger ORDER BY rowid").all();
+}
+
+test("addXp adds and returns the new total", () => {
+  assert.equal(db.addXp(G, U, 5, "message"), 5);
+  assert.equal(db.addXp(G, U, 7, "message"), 12);
+  assert.equal(db.getXp(G, U), 12);
+});
+
+test("addXp never goes below 0 and records only the XP actually removed", () => {
+  db.addXp(G, U, 10);
+  assert.equal(db.addXp(G, U, -25, "decay"), 0);
+  assert.deepEqual(ledger(), [
+    { source: "manual", delta: 10 },
+    { source: "decay", delta: -10 },
+  ]);
+});
+
+test("addXp caps totals at MAX_SAFE_XP", () => {
+  db.addXp(G, U, MAX_SAFE_XP - 3);
+  assert.equal(db.addXp(G, U, 1e300), MAX_SAFE_XP);
+  assert.equal(ledger()[1].delta, 3);
+});
+
+test("addXp ignores non-finite and fractional deltas", () => {
+  db.addXp(G, U, 10);
+  assert.equal(db.addXp(G, U, Infinity), 10);
+  assert.equal(db.addXp(G, U, NaN), 10);
+  assert.equal(db.addXp(G, U, "abc"), 10);
+  assert.equal(db.addXp(G, U, 2.9), 12);
+  assert.equal(ledger().length, 2);
+});
+
+test("setXp clamps to [0, MAX_SAFE_XP]", () => {
+  db.setXp(G, U, -5);
+  assert.equal(db.getXp(G, U), 0);
+  db.setXp(G, U, Number.POSITIVE_INFINITY);
+  assert.equal(db.getXp(G, U), MAX_SAFE_XP);
+  db.setXp(G, U, 41.7);
+  assert.equal(db.getXp(G, U), 41);
+});
+
+test("each createDb(':memory:') is a separate database", () => {
+  const other = createDb({ path: ":memory:" });
+  try {
+    db.addXp(G, U, 50);
+    assert.equal(other.getXp(G, U), 0);
+  } finally {
+    other.close();
+  }
+});
@@ -0,0 +1,107 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb } = require("../src/db");
+const { createRoles } = require("../src/roles");
+const { createDecay } = require("../src/decay");
+const { fakeGuild, fakeMember, fakeClient } = require("./fakes");
+
+const ACTIVE = "200000000000000001";
+const IDLE = "200000000000000002";
+
+let db;
+let decay;
+let guild;
+let client;
+beforeEach(() => {
+  db = createDb({ path: ":memory:" });
+  decay = createDecay({ db, roles: createRoles({ db }) });
+  guild = fakeGuild();
+  client = fakeClient([guild]);
+  fakeMember(guild, { id: ACTIVE });
+  fakeMember(guild, { id: IDLE });
+
+  // Defaults: active = 20 messages in 7 days, inactive users lose 10% per run.
+  db.setXp(guild.id, ACTIVE, 1000);
+  db.setXp(guild.id, IDLE, 1000);
+  for (let i = 0; i < 20; i++) db.logActivity(guild.id, ACTIVE, "message");
+});
+afterEach(() => db.close());
+
+test("takes decay_percent from inactive users only and logs the run", async () => {
+  const result = await decay.runDecayForGuild(client, guild.id, { trigger: "manual", triggeredBy: "42" });
+
+  assert.equal(db.getXp(guild.id, ACTIVE), 1000);
+  assert.equal(db.getXp(guild.id, IDLE), 900);
+  assert.equal(result.usersAffected, 1);
+  assert.equal(result.xpRemoved, 100);
+
+  const [run] = db.listDecayRuns(guild.id);
+  assert.equal(run.id, result.runId);
+  assert.equal(run.trigger, "manual");
+  assert.deepEqual(
+    db.listDecayRunEntries(run.id).map(e => [e.user_id, e.xp_before, e.xp_after]),
+    [[IDLE, 1000, 900]]
+  );
+});
+
+test("members who left the server don't decay", async () => {
+  db.markMemberDeparted(guild.id, IDLE);
+  const result = await decay.runDecayForGuild(client, guild.id);
+  assert.equal(result.usersAffected, 0);
+  assert.equal(db.getXp(guild.id, IDLE), 1000);
+});
+
+test("does nothing when decay is disabled", async () => {
+  db.updateGuildSettings(guild.id, { decay_enabled: 0 });
+  assert.equal(await decay.runDecayForGuild(client, guild.id), null);
+  assert.equal(db.getXp(guild.id, IDLE), 1000);
+});
+
+test("fixed mode with a level floor stops at the start of the current level", async () => {
+  // 1000 XP = level 3 (900..1599 on the default curve).
+  db.updateGuildSettings(guild.id, { decay_mode: "fixed", decay_amount: 250, decay_floor: "level" });
+  await decay.runDecayForGuild(client, guild.id);
+  assert.equal(db.getXp(guild.id, IDLE), 900);
+});
+
+test("weighted activity: voice minutes can count as activity", async () => {
+  db.updateGuildSettings(guild.id, { decay_weight_voice: 1 });
+  for (let i = 0; i < 20; i++) db.logActivity(guild.id, IDLE, "voice_minute");
+  const result = await decay.runDecayForGuild(client, guild.id);
+  assert.equal(result.usersAffected, 0);
+});
+
+test("weighted activity: reactions count whether given or received", async () => {
+  db.updateGuildSettings(guild.id, { decay_weight_reaction: 1 });
+  for (let i = 0; i < 10; i++) {
+    db.logActivity(guild.id, IDLE, "reaction");
+    db.logActivity(guild.id, IDLE, "reaction_received");
+  }
+  const result = await decay.runDecayForGuild(client, guild.id);
+  assert.equal(result.usersAffected, 0);
+});
+
+test("grace mode waits decay_grace_days before decaying", async () => {
+  db.updateGuildSettings(guild.id, { decay_mode: "grace", decay_grace_days: 3 });
+
+  await decay.runDecayForGuild(client, guild.id);
+  assert.equal(db.getXp(guild.id, IDLE), 1000);
+  assert.ok(db.getDecayInactiveSince(guild.id, IDLE) !== null);
+
+  db.setDecayInactiveSince(guild.id, IDLE, Date.now() - 4 * 24 * 60 * 60 * 1000);
+  await decay.runDecayForGuild(client, guild.id);
+  assert.equal(db.getXp(guild.id, IDLE), 900);
+});
+
+test("removes level roles the user decays out of (after their grace days)", async () => {
+  // 950 XP is level 3; after 10% decay 855 XP is level 2.
+  const role = "300000000000000003";
+  db.setXp(guild.id, IDLE, 950);
+  db.upsertLevelRole(guild.id, role, 3, 0);
+  const member = guild.members.cache.get(IDLE);
+  member.roles.cache.set(role, { id: role });
+  db.setRoleBelowSince(guild.id, IDLE, role, Date.now() - 1000);
+
+  await decay.runDecayForGuild(client, guild.id);
+  assert.ok(!member.roles.cache.has(role));
+});
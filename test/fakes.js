@@ -0,0 +1,170 @@
+// Minimal stand-ins for the discord.js objects the XP modules touch. Only the fields
+// and methods the modules actually use are implemented.
+const { Collection, PermissionsBitField } = require("discord.js");
+
+function fakeGuild({ id = "100000000000000001", name = "Test Guild", afkChannelId = null } = {}) {
+  const guild = {
+    id,
+    name,
+    afkChannelId,
+    members: { cache: new Collection() },
+    roles: { cache: new Collection() },
+    channels: { cache: new Collection() },
+    voiceStates: { cache: new Collection() },
+  };
+
+  // guild.members.fetch(id) / fetch({ user: [ids] }) / fetch()
+  guild.members.fetch = async (arg) => {
+    if (typeof arg === "string") {
+      const m = guild.members.cache.get(arg);
+      if (!m) throw new Error("Unknown Member");
+      return m;
+    }
+    if (arg?.user) return guild.members.cache.filter((m) => arg.user.includes(m.id));
+    return guild.members.cache;
+  };
+  guild.channels.fetch = async (channelId) => guild.channels.cache.get(channelId) ?? null;
+  return guild;
+}
+
+/**
+ * A member of `guild`. roles.add/remove update roles.cache and record the calls
+ * in member.roleCalls ([["add", roleId], ...]); `failRoles` makes those roles throw.
+ */
+function fakeMember(guild, { id, bot = false, roleIds = [], failRoles = [] } = {}) {
+  const cache = new Collection(roleIds.map((r) => [r, { id: r }]));
+  const member = {
+    id,
+    guild,
+    displayName: `user-${id}`,
+    user: { id, bot, username: `user-${id}` },
+    roleCalls: [],
+    roles: {
+      cache,
+      async add(roleId) {
+        member.roleCalls.push(["add", roleId]);
+        if (failRoles.includes(roleId)) throw new Error("Missing Permissions");
+        cache.set(roleId, { id: roleId });
+      },
+      async remove(roleId) {
+        member.roleCalls.push(["remove", roleId]);
+        if (failRoles.includes(roleId)) throw new Error("Missing Permissions");
+        cache.delete(roleId);
+      },
+    },
+    sent: [],
+    async send(payload) {
+      member.sent.push(payload);
+    },
+  };
+  guild.members.cache.set(id, member);
+  return member;
+}
+
+function fakeVoiceChannel(guild, { id }) {
+  const channel = { id, guildId: guild.id, parentId: null, parent: null, isTextBased: () => false };
+  guild.channels.cache.set(id, channel);
+  return channel;
+}
+
+/**
+ * Put `member` in a voice channel (channelId null = not in voice).
+ */
+function fakeVoiceState(member, { channelId, selfMute = false, selfDeaf = false, serverMute = false, serverDeaf = false } = {}) {
+  const vs = { id: member.id, guild: member.guild, member, channelId, selfMute, selfDeaf, serverMute, serverDeaf };
+  member.guild.voiceStates.cache.set(member.id, vs);
+  return vs;
+}
+
+function fakeClient(guilds = []) {
+  const cache = new Collection(guilds.map((g) => [g.id, g]));
+  return {
+    guilds: {
+      cache,
+      async fetch(id) {
+        const g = cache.get(id);
+        if (!g) throw new Error("Unknown Guild");
+        return g;
+      },
+    },
+  };
+}
+
+/**
+ * An interaction in `guild`. `kind` is "command", "autocomplete" or "component".
+ * Options are read from `options` ({ name: value }); every response (reply, deferReply,
+ * deferUpdate, editReply, followUp, update, respond) is recorded in interaction.responses as
+ * [method, payload].
+ */
+function fakeInteraction(guild, {
+  kind = "command",
+  commandName = null,
+  subcommand = null,
+  options = {},
+  focused = "",
+  customId = null,
+  userId = "200000000000000099",
+  channelId = "500000000000000001",
+  permissions = [],
+  client = fakeClient([guild]),
+} = {}) {
+  const option = (name, required = false) => {
+    if (options[name] === undefined && required) throw new Error(`Missing required option "${name}"`);
+    return options[name] ?? null;
+  };
+  const interaction = {
+    id: "600000000000000001",
+    guild,
+    guildId: guild.id,
+    channelId,
+    client,
+    commandName,
+    customId,
+    user: { id: userId, username: `user-${userId}` },
+    memberPermissions: new PermissionsBitField(permissions),
+    deferred: false,
+    replied: false,
+    responded: false,
+    responses: [],
+    isChatInputCommand: () => kind === "command",
+    isAutocomplete: () => kind === "autocomplete",
+    isMessageComponent: () => kind === "component",
+    isButton: () => kind === "component",
+    options: {
+      getSubcommand: (required = true) => {
+        if (!subcommand && required) throw new Error("No subcommand");
+        return subcommand;
+      },
+      getFocused: () => focused,
+      getString: option,
+      getInteger: option,
+      getNumber: option,
+      getBoolean: option,
+      getUser: option,
+      getRole: option,
+      getChannel: option,
+      getAttachment: option,
+    },
+  };
+  const record = (method, after) => async (payload) => {
+    interaction.responses.push([method, payload]);
+    after?.();
+  };
+  interaction.reply = record("reply", () => { interaction.replied = true; });
+  interaction.deferReply = record("deferReply", () => { interaction.deferred = true; });
+  interaction.deferUpdate = record("deferUpdate", () => { interaction.deferred = true; });
+  interaction.update = record("update", () => { interaction.replied = true; });
+  interaction.editReply = record("editReply");
+  interaction.followUp = record("followUp");
+  interaction.respond = record("respond", () => { interaction.responded = true; });
+  return interaction;
+}
+
+module.exports = {
+  fakeGuild,
+  fakeMember,
+  fakeVoiceChannel,
+  fakeVoiceState,
+  fakeClient,
+  fakeInteraction,
+};
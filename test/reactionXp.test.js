@@ -0,0 +1,67 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb } = require("../src/db");
+const { createRoles } = require("../src/roles");
+const { createLevelUp } = require("../src/levelUp");
+const { createMultipliers } = require("../src/multipliers");
+const { createReactionXp } = require("../src/reactionXp");
+const { fakeGuild, fakeMember } = require("./fakes");
+
+const CHANNEL = "500000000000000001";
+const AUTHOR = "200000000000000001";
+const REACTOR = "200000000000000002";
+
+let db;
+let reactionXp;
+let guild;
+let channel;
+beforeEach(() => {
+  db = createDb({ path: ":memory:" });
+  reactionXp = createReactionXp({
+    db,
+    roles: createRoles({ db }),
+    levelUp: createLevelUp({ db }),
+    multipliers: createMultipliers({ db }),
+  });
+  guild = fakeGuild();
+  channel = { id: CHANNEL, guildId: guild.id, parentId: null, parent: null, isTextBased: () => true };
+  fakeMember(guild, { id: AUTHOR });
+  fakeMember(guild, { id: REACTOR });
+});
+afterEach(() => db.close());
+
+let nextMessage = 1;
+function fakeReaction() {
+  const message = {
+    id: `700000000000000${String(nextMessage++).padStart(3, "0")}`,
+    partial: false,
+    guild,
+    channel,
+    author: { id: AUTHOR, bot: false },
+  };
+  return { partial: false, message };
+}
+const reactor = { id: REACTOR, bot: false };
+
+test("a reaction earns once per message for the reactor (default mode)", async () => {
+  const reaction = fakeReaction();
+  await reactionXp.handleReactionAdd(reaction, reactor);
+  assert.equal(db.getXp(guild.id, REACTOR), 2);
+  assert.equal(db.getXp(guild.id, AUTHOR), 0);
+
+  db.updateGuildSettings(guild.id, { reaction_cooldown_sec: 0 });
+  await reactionXp.handleReactionAdd(reaction, reactor);
+  assert.equal(db.getXp(guild.id, REACTOR), 2);
+});
+
+test("a ×0 multiplier neither uses up the message nor starts the cooldown", async () => {
+  const reaction = fakeReaction();
+  db.upsertXpMultiplier(guild.id, "channel", CHANNEL, 0);
+  await reactionXp.handleReactionAdd(reaction, reactor);
+  assert.equal(db.getXp(guild.id, REACTOR), 0);
+
+  // Right away (within the 10 s cooldown), after the multiplier is lifted.
+  db.deleteXpMultiplier(guild.id, "channel", CHANNEL);
+  await reactionXp.handleReactionAdd(reaction, reactor);
+  assert.equal(db.getXp(guild.id, REACTOR), 2);
+});
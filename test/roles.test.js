@@ -0,0 +1,99 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb } = require("../src/db");
+const { createRoles } = require("../src/roles");
+const { fakeGuild, fakeMember } = require("./fakes");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const R5 = "300000000000000005";
+const R10 = "300000000000000010";
+
+let db;
+let roles;
+let guild;
+beforeEach(() => {
+  db = createDb({ path: ":memory:" });
+  roles = createRoles({ db });
+  guild = fakeGuild();
+  db.upsertLevelRole(guild.id, R5, 5, 3);
+  db.upsertLevelRole(guild.id, R10, 10, 0);
+});
+afterEach(() => db.close());
+
+// Pretend the member fell below `roleId` `days` ago.
+function belowFor(member, roleId, days) {
+  db.setRoleBelowSince(guild.id, member.id, roleId, Date.now() - days * DAY_MS);
+}
+
+test("grants every reached role in stack mode", async () => {
+  const member = fakeMember(guild, { id: "200000000000000001" });
+  const stats = await roles.syncMemberRoles(member, 12);
+  assert.deepEqual(stats, { added: 2, removed: 0, failed: 0 });
+  assert.ok(member.roles.cache.has(R5) && member.roles.cache.has(R10));
+});
+
+test("dropping below a level starts the grace timer instead of removing the role", async () => {
+  const member = fakeMember(guild, { id: "200000000000000001", roleIds: [R5] });
+  const stats = await roles.syncMemberRoles(member, 4);
+  assert.equal(stats.removed, 0);
+  assert.ok(member.roles.cache.has(R5));
+  assert.ok(db.getRoleDropState(guild.id, member.id, R5).below_since > 0);
+});
+
+test("keeps the role within drop_grace_days and removes it after", async () => {
+  const member = fakeMember(guild, { id: "200000000000000001", roleIds: [R5] });
+
+  belowFor(member, R5, 2);
+  await roles.syncMemberRoles(member, 4);
+  assert.ok(member.roles.cache.has(R5));
+
+  belowFor(member, R5, 4);
+  const stats = await roles.syncMemberRoles(member, 4);
+  assert.equal(stats.removed, 1);
+  assert.ok(!member.roles.cache.has(R5));
+  assert.equal(db.getRoleDropState(guild.id, member.id, R5).below_since, null);
+});
+
+test("getting back above the level clears the timer", async () => {
+  const member = fakeMember(guild, { id: "200000000000000001", roleIds: [R5] });
+  belowFor(member, R5, 2);
+  await roles.syncMemberRoles(member, 6);
+  assert.equal(db.getRoleDropState(guild.id, member.id, R5).below_since, null);
+
+  // A later drop starts a fresh grace period.
+  await roles.syncMemberRoles(member, 4);
+  assert.ok(member.roles.cache.has(R5));
+});
+
+test("keep_forever roles are never removed", async () => {
+  db.upsertLevelRole(guild.id, R5, 5, 0, true);
+  const member = fakeMember(guild, { id: "200000000000000001", roleIds: [R5] });
+  belowFor(member, R5, 30);
+  await roles.syncMemberRoles(member, 0);
+  assert.ok(member.roles.cache.has(R5));
+});
+
+test("highest mode drops superseded roles after their grace period", async () => {
+  db.updateGuildSettings(guild.id, { role_reward_mode: "highest" });
+  const member = fakeMember(guild, { id: "200000000000000001", roleIds: [R5] });
+
+  await roles.syncMemberRoles(member, 10);
+  assert.ok(member.roles.cache.has(R10));
+  assert.ok(member.roles.cache.has(R5), "R5 is kept during its 3 grace days");
+
+  belowFor(member, R5, 4);
+  await roles.syncMemberRoles(member, 10);
+  assert.ok(!member.roles.cache.has(R5));
+});
+
+test("counts failed role edits without throwing", async () => {
+  const member = fakeMember(guild, { id: "200000000000000001", failRoles: [R5] });
+  const errors = console.error;
+  console.error = () => {};
+  try {
+    const stats = await roles.syncMemberRoles(member, 5);
+    assert.deepEqual(stats, { added: 0, removed: 0, failed: 1 });
+  } finally {
+    console.error = errors;
+  }
+});
@@ -0,0 +1,103 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb } = require("../src/db");
+const { createRoles } = require("../src/roles");
+const { createLevelUp } = require("../src/levelUp");
+const { createMultipliers } = require("../src/multipliers");
+const { createVoiceTicker } = require("../src/voiceTicker");
+const { fakeGuild, fakeMember, fakeVoiceChannel, fakeVoiceState, fakeClient } = require("./fakes");
+
+const VC = "400000000000000001";
+const AFK = "400000000000000009";
+
+let db;
+let ticker;
+let guild;
+let client;
+beforeEach(() => {
+  db = createDb({ path: ":memory:" });
+  ticker = createVoiceTicker({
+    db,
+    roles: createRoles({ db }),
+    levelUp: createLevelUp({ db }),
+    multipliers: createMultipliers({ db }),
+  });
+  guild = fakeGuild({ afkChannelId: AFK });
+  client = fakeClient([guild]);
+  fakeVoiceChannel(guild, { id: VC });
+  fakeVoiceChannel(guild, { id: AFK });
+});
+afterEach(() => db.close());
+
+let nextId = 1;
+function inVoice(channelId, opts = {}, memberOpts = {}) {
+  const member = fakeMember(guild, { id: `2000000000000000${String(nextId++).padStart(2, "0")}`, ...memberOpts });
+  fakeVoiceState(member, { channelId, ...opts });
+  return member;
+}
+
+const xpOf = (m) => db.getXp(guild.id, m.id);
+
+test("awards voice_xp_per_min to each eligible member when 2+ are in a channel", async () => {
+  const a = inVoice(VC);
+  const b = inVoice(VC);
+  await ticker.runVoiceTick(client);
+  assert.equal(xpOf(a), 1);
+  assert.equal(xpOf(b), 1);
+  assert.deepEqual(db.activityInWindow(guild.id, a.id, 1).voice_minute, 1);
+});
+
+test("a member alone in a channel earns nothing", async () => {
+  const a = inVoice(VC);
+  await ticker.runVoiceTick(client);
+  assert.equal(xpOf(a), 0);
+});
+
+test("muted/deafened members and bots don't count toward the 2-member minimum", async () => {
+  const a = inVoice(VC);
+  const muted = inVoice(VC, { selfMute: true });
+  const deaf = inVoice(VC, { serverDeaf: true });
+  const bot = inVoice(VC, {}, { bot: true });
+  await ticker.runVoiceTick(client);
+  assert.deepEqual([a, muted, deaf, bot].map(xpOf), [0, 0, 0, 0]);
+
+  const b = inVoice(VC);
+  await ticker.runVoiceTick(client);
+  assert.deepEqual([a, b, muted, deaf, bot].map(xpOf), [1, 1, 0, 0, 0]);
+});
+
+test("nobody earns in the AFK channel", async () => {
+  const a = inVoice(AFK);
+  const b = inVoice(AFK);
+  await ticker.runVoiceTick(client);
+  assert.deepEqual([a, b].map(xpOf), [0, 0]);
+});
+
+test("voice_xp_per_min 0 disables voice XP; multipliers scale it", async () => {
+  const a = inVoice(VC);
+  const b = inVoice(VC);
+
+  db.updateGuildSettings(guild.id, { voice_xp_per_min: 0 });
+  await ticker.runVoiceTick(client);
+  assert.deepEqual([a, b].map(xpOf), [0, 0]);
+
+  db.updateGuildSettings(guild.id, { voice_xp_per_min: 2 });
+  db.upsertXpMultiplier(guild.id, "channel", VC, 3);
+  await ticker.runVoiceTick(client);
+  assert.deepEqual([a, b].map(xpOf), [6, 6]);
+});
+
+test("voice activity is logged even when no XP is given, so decay still sees it", async () => {
+  const a = inVoice(VC);
+  const b = inVoice(VC);
+  const voiceMinutes = (m) => db.activityInWindow(guild.id, m.id, 1).voice_minute;
+
+  db.updateGuildSettings(guild.id, { voice_xp_per_min: 0 });
+  await ticker.runVoiceTick(client);
+  db.updateGuildSettings(guild.id, { voice_xp_per_min: 1 });
+  db.upsertXpMultiplier(guild.id, "channel", VC, 0);
+  await ticker.runVoiceTick(client);
+
+  assert.deepEqual([a, b].map(xpOf), [0, 0]);
+  assert.deepEqual([a, b].map(voiceMinutes), [2, 2]);
+});
@@ -0,0 +1,49 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { levelFromXp, xpForLevel } = require("../src/xp");
+
+test("levelFromXp: default quadratic curve (L² × 100)", () => {
+  assert.equal(levelFromXp(0), 0);
+  assert.equal(levelFromXp(99), 0);
+  assert.equal(levelFromXp(100), 1);
+  assert.equal(levelFromXp(399), 1);
+  assert.equal(levelFromXp(400), 2);
+  assert.equal(levelFromXp(10_000), 10);
+});
+
+test("levelFromXp: bad input counts as 0 XP", () => {
+  assert.equal(levelFromXp(-50), 0);
+  assert.equal(levelFromXp(NaN), 0);
+  assert.equal(levelFromXp(undefined), 0);
+});
+
+test("levelFromXp: linear and exponential curves", () => {
+  assert.equal(levelFromXp(250, { type: "linear", factor: 100 }), 2);
+  const exp = { type: "exponential", factor: 100 };
+  for (const L of [1, 5, 20]) {
+    assert.equal(levelFromXp(xpForLevel(L, exp), exp), L);
+    assert.equal(levelFromXp(xpForLevel(L, exp) - 1, exp), L - 1);
+  }
+});
+
+test("levelFromXp: custom table, extrapolated past its end with the last step", () => {
+  const curve = { type: "custom", table: [10, 30, 70] };
+  assert.equal(levelFromXp(9, curve), 0);
+  assert.equal(levelFromXp(10, curve), 1);
+  assert.equal(levelFromXp(69, curve), 2);
+  assert.equal(levelFromXp(70, curve), 3);
+  assert.equal(levelFromXp(110, curve), 4);
+});
+
+test("levelFromXp accepts a guild_settings row", () => {
+  const settings = { level_curve: "linear", level_xp_factor: 50, level_curve_table: null };
+  assert.equal(levelFromXp(149, settings), 2);
+});
+
+test("levelFromXp is the inverse of xpForLevel at every boundary", () => {
+  for (const curve of [100, { type: "linear", factor: 7 }, { type: "custom", table: [5, 6, 40] }]) {
+    for (let L = 0; L <= 60; L++) {
+      assert.equal(levelFromXp(xpForLevel(L, curve), curve), L);
+    }
+  }
+});
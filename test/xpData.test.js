@@ -0,0 +1,61 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb } = require("../src/db");
+const { parseGuildExport, createXpData } = require("../src/xpData");
+
+const G = "100000000000000001";
+
+function withDb(fn) {
+  const db = createDb({ path: ":memory:" });
+  try {
+    return fn(db);
+  } finally {
+    db.close();
+  }
+}
+
+const exportText = (settings) => JSON.stringify({ format: "heisenxp-guild-export", version: 1, settings, users: [] });
+
+test("an export round-trips through parseGuildExport unchanged", () => withDb((db) => {
+  db.updateGuildSettings(G, { decay_cron: "30 3 * * 1", decay_timezone: "Europe/Berlin", level_curve: "custom", level_curve_table: "[100,250]" });
+  const exported = createXpData({ db }).buildGuildExport(G);
+  const { data } = parseGuildExport(JSON.stringify(exported), db.getGuildSettings(G));
+  assert.deepEqual(data.skipped, []);
+  assert.deepEqual(data.settings, exported.settings);
+}));
+
+test("invalid settings are skipped and reported instead of imported", () => withDb((db) => {
+  const current = db.getGuildSettings(G);
+  const { data } = parseGuildExport(exportText({
+    msg_xp: 12,
+    decay_mode: null,
+    decay_percent: 3,
+    decay_cron: "every day",
+    decay_timezone: "Mars/Olympus",
+    level_curve: "foo",
+    level_curve_table: "[5, 3]",
+    levelup_mode: "shout",
+    msg_xp_extra: 1,
+  }), current);
+
+  assert.deepEqual(data.settings, { msg_xp: 12 });
+  assert.deepEqual(data.skipped.map(s => s.split(":")[0]), [
+    "settings.decay_mode",
+    "settings.decay_percent",
+    "settings.decay_cron",
+    "settings.decay_timezone",
+    "settings.level_curve",
+    "settings.level_curve_table",
+    "settings.levelup_mode",
+  ]);
+
+  // The importer only ever sees values the columns accept.
+  db.importGuildData(G, { mode: "merge", users: [], settings: data.settings, levelRoles: [], channels: [] });
+  assert.equal(db.getGuildSettings(G).msg_xp, 12);
+}));
+
+test("a custom curve needs a table, and channel announcements need a channel", () => withDb((db) => {
+  const { data } = parseGuildExport(exportText({ level_curve: "custom", levelup_mode: "channel" }), db.getGuildSettings(G));
+  assert.deepEqual(data.settings, {});
+  assert.equal(data.skipped.length, 2);
+}));